@@ -0,0 +1,319 @@
+import Client from '../src/Client';
+
+const response = (status, body) => Promise.resolve({
+  ok: status < 300,
+  status,
+  json: () => Promise.resolve(body),
+  headers: { get: () => null },
+});
+
+const request = (client, operation, params) => new Promise(resolve => {
+  client.request(operation, params || { ClientId: 'client' }, (err, data) => resolve({ err, data }));
+});
+
+describe('Client', () => {
+  afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  describe('request', () => {
+    test('resolves the response data', async () => {
+      global.fetch = jest.fn(() => response(200, { Session: 'session' }));
+      const client = new Client('us-east-1');
+
+      const { err, data } = await request(client, 'InitiateAuth');
+      expect(err).toBeNull();
+      expect(data).toEqual({ Session: 'session' });
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://cognito-idp.us-east-1.amazonaws.com/');
+      expect(options.headers['X-Amz-Target']).toBe('AWSCognitoIdentityProviderService.InitiateAuth');
+      expect(JSON.parse(options.body)).toEqual({ ClientId: 'client' });
+    });
+
+    test('fails with the code of the service error', async () => {
+      global.fetch = jest.fn(() => response(400, {
+        __type: 'com.amazonaws#NotAuthorizedException',
+        message: 'Incorrect username or password.',
+      }));
+      const client = new Client('us-east-1');
+
+      const { err } = await request(client, 'InitiateAuth');
+      expect(err).toEqual({
+        code: 'NotAuthorizedException',
+        name: 'NotAuthorizedException',
+        statusCode: 400,
+        message: 'Incorrect username or password.',
+      });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not turn an exception of the callback into a rejection', async () => {
+      global.fetch = jest.fn(() => response(200, {}));
+      const client = new Client('us-east-1');
+      const unhandled = jest.fn();
+      process.on('unhandledRejection', unhandled);
+      const timers = [];
+      jest.spyOn(global, 'setTimeout').mockImplementation(fn => timers.push(fn));
+
+      const callback = jest.fn(() => {
+        throw new Error('callback error');
+      });
+      client.request('GetUser', {}, callback);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(timers.length).toBe(1);
+      expect(() => timers[0]()).toThrow('callback error');
+      expect(callback).toHaveBeenCalledTimes(1);
+
+      await new Promise(resolve => setImmediate(resolve));
+      process.removeListener('unhandledRejection', unhandled);
+      expect(unhandled).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('retries', () => {
+    const throttled = () => response(400, { __type: 'TooManyRequestsException', message: 'Rate exceeded' });
+    const serverError = () => response(500, { __type: 'InternalErrorException', message: 'Internal error' });
+    const networkError = () => Promise.reject(new TypeError('Failed to fetch'));
+
+    test('retries throttled requests of any operation', async () => {
+      global.fetch = jest.fn()
+        .mockImplementationOnce(throttled)
+        .mockImplementationOnce(throttled)
+        .mockImplementationOnce(() => response(200, { UserSub: 'sub' }));
+      const client = new Client('us-east-1', null, { retryDelay: 1 });
+
+      const { err, data } = await request(client, 'SignUp');
+      expect(err).toBeNull();
+      expect(data).toEqual({ UserSub: 'sub' });
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('retries server and network errors of idempotent operations', async () => {
+      global.fetch = jest.fn()
+        .mockImplementationOnce(serverError)
+        .mockImplementationOnce(networkError)
+        .mockImplementationOnce(() => response(200, { Username: 'username' }));
+      const client = new Client('us-east-1', null, { retryDelay: 1 });
+
+      const { err, data } = await request(client, 'GetUser');
+      expect(err).toBeNull();
+      expect(data).toEqual({ Username: 'username' });
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('does not retry server and network errors of other operations', async () => {
+      const operations = [
+        'SignUp',
+        'ConfirmSignUp',
+        'RespondToAuthChallenge',
+        'ChangePassword',
+        'ConfirmForgotPassword',
+      ];
+      const client = new Client('us-east-1', null, { retryDelay: 1 });
+
+      for (let i = 0; i < operations.length; i += 1) {
+        global.fetch = jest.fn(serverError);
+        const serverResult = await request(client, operations[i]);
+        expect(serverResult.err.code).toBe('InternalErrorException');
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+
+        global.fetch = jest.fn(networkError);
+        const networkResult = await request(client, operations[i]);
+        expect(networkResult.err.code).toBe('NetworkError');
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+      }
+    });
+
+    test('retries server and network errors of a token refresh', async () => {
+      global.fetch = jest.fn()
+        .mockImplementationOnce(serverError)
+        .mockImplementationOnce(networkError)
+        .mockImplementationOnce(() => response(200, { AuthenticationResult: {} }));
+      const client = new Client('us-east-1', null, { retryDelay: 1 });
+
+      const { err } = await request(client, 'InitiateAuth', { AuthFlow: 'REFRESH_TOKEN_AUTH' });
+      expect(err).toBeNull();
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('does not retry server and network errors of a sign in', async () => {
+      const client = new Client('us-east-1', null, { retryDelay: 1 });
+      const signIn = () => request(client, 'InitiateAuth', { AuthFlow: 'USER_SRP_AUTH' });
+
+      global.fetch = jest.fn(serverError);
+      expect((await signIn()).err.code).toBe('InternalErrorException');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+
+      global.fetch = jest.fn(networkError);
+      expect((await signIn()).err.code).toBe('NetworkError');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('fails with the last error after maxRetries', async () => {
+      global.fetch = jest.fn(throttled);
+      const client = new Client('us-east-1', null, { maxRetries: 2, retryDelay: 1 });
+
+      const { err } = await request(client, 'InitiateAuth');
+      expect(err.code).toBe('TooManyRequestsException');
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('maxRetries 0 disables the retries', async () => {
+      global.fetch = jest.fn(throttled);
+      const client = new Client('us-east-1', null, { maxRetries: 0 });
+
+      const { err } = await request(client, 'InitiateAuth');
+      expect(err.code).toBe('TooManyRequestsException');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('waits a jittered exponential backoff', async () => {
+      global.fetch = jest.fn(throttled);
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+      const client = new Client('us-east-1', null, { maxRetries: 3, retryDelay: 4 });
+
+      await request(client, 'InitiateAuth');
+      const delays = setTimeoutSpy.mock.calls.map(call => call[1]).filter(delay => delay > 0);
+      expect(delays).toEqual([2, 4, 8]);
+    });
+  });
+
+  describe('NetworkError', () => {
+    test('fails with NetworkError when there is no response', async () => {
+      global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+      const client = new Client('us-east-1', null, { maxRetries: 0 });
+
+      const { err } = await request(client, 'GetUser');
+      expect(err).toEqual({
+        code: 'NetworkError',
+        name: 'NetworkError',
+        message: 'Failed to fetch',
+      });
+    });
+
+    test('fails with NetworkError after the timeout', async () => {
+      global.fetch = jest.fn(() => new Promise(() => {}));
+      const client = new Client('us-east-1', null, { maxRetries: 0, timeout: 10 });
+
+      const { err } = await request(client, 'GetUser');
+      expect(err.code).toBe('NetworkError');
+      expect(err.message).toBe('Request timed out after 10ms');
+    });
+
+    test('retries a timed out idempotent request', async () => {
+      global.fetch = jest.fn()
+        .mockImplementationOnce(() => new Promise(() => {}))
+        .mockImplementationOnce(() => response(200, { Username: 'username' }));
+      const client = new Client('us-east-1', null, { retryDelay: 1, timeout: 10 });
+
+      const { err, data } = await request(client, 'GetUser');
+      expect(err).toBeNull();
+      expect(data).toEqual({ Username: 'username' });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not retry a timed out sign up', async () => {
+      global.fetch = jest.fn(() => new Promise(() => {}));
+      const client = new Client('us-east-1', null, { retryDelay: 1, timeout: 10 });
+
+      const { err } = await request(client, 'SignUp');
+      expect(err.code).toBe('NetworkError');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+  describe('options', () => {
+    test('uses the fetch of the options', async () => {
+      global.fetch = jest.fn(() => response(200, {}));
+      const fetch = jest.fn(() => response(200, { Username: 'username' }));
+      const client = new Client('us-east-1', null, { fetch });
+
+      const { data } = await request(client, 'GetUser');
+      expect(data).toEqual({ Username: 'username' });
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('appends the userAgent to the user agent header', async () => {
+      const fetch = jest.fn(() => response(200, {}));
+      await request(new Client('us-east-1', null, { fetch }), 'GetUser');
+      await request(new Client('us-east-1', null, { fetch, userAgent: 'my-app/1.0' }), 'GetUser');
+
+      expect(fetch.mock.calls[0][1].headers['X-Amz-User-Agent']).toBe('aws-amplify/1.0');
+      expect(fetch.mock.calls[1][1].headers['X-Amz-User-Agent']).toBe('aws-amplify/1.0 my-app/1.0');
+    });
+
+    test('beforeRequest receives and may change the request', async () => {
+      const fetch = jest.fn(() => response(200, {}));
+      const beforeRequest = jest.fn(req => {
+        req.url = 'http://localhost:9229/';
+        req.options.headers['X-Trace-Id'] = 'trace';
+        return Promise.resolve();
+      });
+      const client = new Client('us-east-1', null, { fetch, beforeRequest });
+
+      await request(client, 'GetUser');
+      const req = beforeRequest.mock.calls[0][0];
+      expect(req.operation).toBe('GetUser');
+      expect(req.params).toEqual({ ClientId: 'client' });
+      expect(fetch.mock.calls[0][0]).toBe('http://localhost:9229/');
+      expect(fetch.mock.calls[0][1].headers['X-Trace-Id']).toBe('trace');
+    });
+
+    test('every attempt starts from the original request', async () => {
+      const fetch = jest.fn()
+        .mockImplementationOnce(() => response(400, { __type: 'TooManyRequestsException' }))
+        .mockImplementationOnce(() => response(200, {}));
+      const beforeRequest = jest.fn(req => {
+        expect(req.options.headers['X-Trace-Id']).toBeUndefined();
+        req.options.headers['X-Trace-Id'] = 'trace';
+      });
+      const client = new Client('us-east-1', null, { fetch, beforeRequest, retryDelay: 1 });
+
+      const { err } = await request(client, 'GetUser');
+      expect(err).toBeNull();
+      expect(beforeRequest).toHaveBeenCalledTimes(2);
+    });
+
+    test('afterResponse receives the request and the response of each attempt', async () => {
+      const fetch = jest.fn()
+        .mockImplementationOnce(() => response(400, { __type: 'TooManyRequestsException' }))
+        .mockImplementationOnce(() => response(200, { Username: 'username' }));
+      const afterResponse = jest.fn();
+      const client = new Client('us-east-1', null, { fetch, afterResponse, retryDelay: 1 });
+
+      await request(client, 'GetUser');
+      expect(afterResponse).toHaveBeenCalledTimes(2);
+
+      const failed = afterResponse.mock.calls[0][0];
+      expect(failed.request.operation).toBe('GetUser');
+      expect(failed.attempt).toBe(0);
+      expect(failed.statusCode).toBe(400);
+      expect(failed.data).toBeNull();
+      expect(failed.error.code).toBe('TooManyRequestsException');
+
+      const succeeded = afterResponse.mock.calls[1][0];
+      expect(succeeded.attempt).toBe(1);
+      expect(succeeded.statusCode).toBe(200);
+      expect(succeeded.data).toEqual({ Username: 'username' });
+      expect(succeeded.error).toBeNull();
+      expect(typeof succeeded.duration).toBe('number');
+    });
+
+    test('an error of a hook fails the request', async () => {
+      const fetch = jest.fn(() => response(200, {}));
+      const afterResponse = jest.fn();
+      const beforeRequest = () => {
+        throw new Error('hook error');
+      };
+      const client = new Client('us-east-1', null, { fetch, beforeRequest, afterResponse });
+
+      const { err } = await request(client, 'GetUser');
+      expect(err.message).toBe('hook error');
+      expect(fetch).not.toHaveBeenCalled();
+      expect(afterResponse).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,281 @@
+import crypto from 'crypto';
+
+import CognitoJwtVerifier from '../src/CognitoJwtVerifier';
+
+const UserPoolId = 'us-east-1_example';
+const ClientId = 'client';
+const issuer = `https://cognito-idp.us-east-1.amazonaws.com/${UserPoolId}`;
+
+const newKey = kid => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = Object.assign(publicKey.export({ format: 'jwk' }), { kid, alg: 'RS256', use: 'sig' });
+  return { jwk, privateKey };
+};
+
+const base64Url = value => Buffer.from(value).toString('base64')
+  .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+const sign = (key, claims, kid) => {
+  const header = base64Url(JSON.stringify({ kid: kid || key.jwk.kid, alg: 'RS256' }));
+  const payload = base64Url(JSON.stringify(claims));
+  const signature = crypto.createSign('RSA-SHA256').update(`${header}.${payload}`).sign(key.privateKey);
+  return `${header}.${payload}.${base64Url(signature)}`;
+};
+
+const now = () => Math.floor(new Date().getTime() / 1000);
+
+const accessClaims = overrides => Object.assign({
+  sub: 'sub',
+  iss: issuer,
+  token_use: 'access',
+  client_id: ClientId,
+  username: 'username',
+  iat: now(),
+  exp: now() + 3600,
+}, overrides);
+
+const verify = (verifier, token) => new Promise(resolve => {
+  verifier.verify(token, (err, claims) => resolve({ err, claims }));
+});
+
+const jwksResponse = keys => Promise.resolve({
+  ok: true,
+  status: 200,
+  json: () => Promise.resolve({ keys: keys.map(key => key.jwk) }),
+});
+
+const key1 = newKey('key1');
+const key2 = newKey('key2');
+
+let uri = 0;
+const nextJwksUri = () => {
+  uri += 1;
+  return `https://example.com/${uri}/jwks.json`;
+};
+
+describe('CognitoJwtVerifier', () => {
+  afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  describe('constructor', () => {
+    test('requires a ClientId', () => {
+      expect(() => new CognitoJwtVerifier({ UserPoolId })).toThrow(/ClientId is required/);
+      expect(() => new CognitoJwtVerifier({ UserPoolId, ClientId: [] })).toThrow(/ClientId is required/);
+    });
+
+    test('accepts tokens of any client with SkipClientIdCheck', async () => {
+      const verifier = new CognitoJwtVerifier({ UserPoolId, SkipClientIdCheck: true, Jwks: { keys: [key1.jwk] } });
+      const { err, claims } = await verify(verifier, sign(key1, accessClaims({ client_id: 'other' })));
+      expect(err).toBeNull();
+      expect(claims.client_id).toBe('other');
+    });
+  });
+
+  describe('verify', () => {
+    const verifier = new CognitoJwtVerifier({ UserPoolId, ClientId, Jwks: { keys: [key1.jwk] } });
+
+    test('valid access token', async () => {
+      const { err, claims } = await verify(verifier, sign(key1, accessClaims()));
+      expect(err).toBeNull();
+      expect(claims.username).toBe('username');
+    });
+
+    test('valid id token', async () => {
+      const token = sign(key1, accessClaims({ token_use: 'id', aud: ClientId, client_id: undefined }));
+      const { err, claims } = await verify(verifier, token);
+      expect(err).toBeNull();
+      expect(claims.aud).toBe(ClientId);
+    });
+
+    test('tampered signature', async () => {
+      const token = sign(key1, accessClaims());
+      const signature = Buffer.from(token.split('.')[2].replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+      signature[10] ^= 1;
+      const tampered = `${token.split('.').slice(0, 2).join('.')}.${base64Url(signature)}`;
+      const { err } = await verify(verifier, tampered);
+      expect(err.code).toBe('InvalidSignatureException');
+    });
+
+    test('tampered payload', async () => {
+      const parts = sign(key1, accessClaims()).split('.');
+      const payload = base64Url(JSON.stringify(accessClaims({ username: 'admin' })));
+      const { err } = await verify(verifier, `${parts[0]}.${payload}.${parts[2]}`);
+      expect(err.code).toBe('InvalidSignatureException');
+    });
+
+    test('signed by another key with the same kid', async () => {
+      const { err } = await verify(verifier, sign(key2, accessClaims(), 'key1'));
+      expect(err.code).toBe('InvalidSignatureException');
+    });
+
+    test('not a JWT', async () => {
+      const { err } = await verify(verifier, 'token');
+      expect(err.code).toBe('InvalidTokenException');
+    });
+
+    test('wrong issuer', async () => {
+      const { err } = await verify(verifier, sign(key1, accessClaims({ iss: `${issuer}x` })));
+      expect(err.code).toBe('InvalidTokenException');
+      expect(err.message).toMatch(/not issued by/);
+    });
+
+    test('wrong client id', async () => {
+      const { err } = await verify(verifier, sign(key1, accessClaims({ client_id: 'other' })));
+      expect(err.code).toBe('InvalidTokenException');
+      expect(err.message).toMatch(/not issued to/);
+    });
+
+    test('wrong audience', async () => {
+      const token = sign(key1, accessClaims({ token_use: 'id', aud: 'other' }));
+      const { err } = await verify(verifier, token);
+      expect(err.code).toBe('InvalidTokenException');
+    });
+
+    test('wrong token use', async () => {
+      const idVerifier = new CognitoJwtVerifier({ UserPoolId, ClientId, TokenUse: 'id', Jwks: { keys: [key1.jwk] } });
+      const { err } = await verify(idVerifier, sign(key1, accessClaims()));
+      expect(err.code).toBe('InvalidTokenException');
+      expect(err.message).toMatch(/not an id token/);
+
+      const refresh = await verify(verifier, sign(key1, accessClaims({ token_use: 'refresh' })));
+      expect(refresh.err.code).toBe('InvalidTokenException');
+    });
+
+    test('expired token', async () => {
+      const { err } = await verify(verifier, sign(key1, accessClaims({ exp: now() - 30 })));
+      expect(err.code).toBe('TokenExpiredException');
+    });
+
+    test('expired token within the clock skew', async () => {
+      const skewed = new CognitoJwtVerifier({ UserPoolId, ClientId, ClockSkew: 60, Jwks: { keys: [key1.jwk] } });
+      const { err } = await verify(skewed, sign(key1, accessClaims({ exp: now() - 30 })));
+      expect(err).toBeNull();
+
+      const expired = await verify(skewed, sign(key1, accessClaims({ exp: now() - 90 })));
+      expect(expired.err.code).toBe('TokenExpiredException');
+    });
+
+    test('unknown kid', async () => {
+      const { err } = await verify(verifier, sign(key2, accessClaims()));
+      expect(err.code).toBe('InvalidTokenException');
+      expect(err.message).toMatch(/Unknown key id/);
+    });
+
+    test('calls back asynchronously on every path', async () => {
+      const tokens = ['token', sign(key1, accessClaims()), sign(key2, accessClaims())];
+      const callback = jest.fn();
+      tokens.forEach(token => verifier.verify(token, callback));
+      expect(callback).not.toHaveBeenCalled();
+
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(callback).toHaveBeenCalledTimes(3);
+    });
+
+    test('waits for an asynchronous modPow', async () => {
+      const BigInteger = require('../src/BigInteger').default;
+      const modPow = BigInteger.prototype.modPow;
+      jest.spyOn(BigInteger.prototype, 'modPow').mockImplementation(function asyncModPow(e, m, callback) {
+        setTimeout(() => modPow.call(this, e, m, callback), 0);
+      });
+
+      const { err, claims } = await verify(verifier, sign(key1, accessClaims()));
+      expect(err).toBeNull();
+      expect(claims.sub).toBe('sub');
+    });
+  });
+
+  describe('JWKS', () => {
+    test('fetches the JWKS once', async () => {
+      global.fetch = jest.fn(() => jwksResponse([key1]));
+      const JwksUri = nextJwksUri();
+      const verifier = new CognitoJwtVerifier({ UserPoolId, ClientId, JwksUri });
+
+      expect((await verify(verifier, sign(key1, accessClaims()))).err).toBeNull();
+      expect((await verify(verifier, sign(key1, accessClaims()))).err).toBeNull();
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledWith(JwksUri);
+    });
+
+    test('fetches the JWKS again when the keys are rotated', async () => {
+      global.fetch = jest.fn()
+        .mockImplementationOnce(() => jwksResponse([key1]))
+        .mockImplementationOnce(() => jwksResponse([key2]));
+      const verifier = new CognitoJwtVerifier({ UserPoolId, ClientId, JwksUri: nextJwksUri() });
+
+      expect((await verify(verifier, sign(key1, accessClaims()))).err).toBeNull();
+
+      const time = new Date().getTime() + 61 * 1000;
+      jest.spyOn(Date.prototype, 'getTime').mockReturnValue(time);
+      const { err, claims } = await verify(verifier, sign(key2, accessClaims({ exp: now() + 3600 })));
+      expect(err).toBeNull();
+      expect(claims.sub).toBe('sub');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('fetches the JWKS again at most once a minute', async () => {
+      global.fetch = jest.fn(() => jwksResponse([key1]));
+      const verifier = new CognitoJwtVerifier({ UserPoolId, ClientId, JwksUri: nextJwksUri() });
+
+      expect((await verify(verifier, sign(key1, accessClaims()))).err).toBeNull();
+      for (let i = 0; i < 5; i += 1) {
+        const { err } = await verify(verifier, sign(key2, accessClaims(), `unknown${i}`));
+        expect(err.message).toMatch(/Unknown key id/);
+      }
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('fetches the JWKS with the Fetch option', async () => {
+      global.fetch = jest.fn(() => jwksResponse([key1]));
+      const Fetch = jest.fn(() => jwksResponse([key1]));
+      const JwksUri = nextJwksUri();
+      const verifier = new CognitoJwtVerifier({ UserPoolId, ClientId, JwksUri, Fetch });
+
+      expect((await verify(verifier, sign(key1, accessClaims()))).err).toBeNull();
+      expect(Fetch).toHaveBeenCalledWith(JwksUri);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('fails with JwksFetchException without a fetch', async () => {
+      const verifier = new CognitoJwtVerifier({ UserPoolId, ClientId, JwksUri: nextJwksUri() });
+
+      const { err } = await verify(verifier, sign(key1, accessClaims()));
+      expect(err.code).toBe('JwksFetchException');
+      expect(err.message).toMatch(/No fetch/);
+    });
+
+    test('fails with JwksFetchException', async () => {
+      global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 500 }));
+      const verifier = new CognitoJwtVerifier({ UserPoolId, ClientId, JwksUri: nextJwksUri() });
+
+      const { err } = await verify(verifier, sign(key1, accessClaims()));
+      expect(err.code).toBe('JwksFetchException');
+    });
+
+    test('does not turn an exception of the callback into a rejection', async () => {
+      global.fetch = jest.fn(() => jwksResponse([key1]));
+      const verifier = new CognitoJwtVerifier({ UserPoolId, ClientId, JwksUri: nextJwksUri() });
+      const unhandled = jest.fn();
+      process.on('unhandledRejection', unhandled);
+      const timers = [];
+      jest.spyOn(global, 'setTimeout').mockImplementation(fn => timers.push(fn));
+
+      const callback = jest.fn(() => {
+        throw new Error('callback error');
+      });
+      verifier.verify(sign(key1, accessClaims()), callback);
+      await new Promise(resolve => setImmediate(resolve));
+      // the JWKS, then the claims are called back later
+      expect(timers.length).toBe(1);
+      timers.shift()();
+      expect(timers.length).toBe(1);
+      expect(() => timers.shift()()).toThrow('callback error');
+      expect(callback).toHaveBeenCalledTimes(1);
+
+      await new Promise(resolve => setImmediate(resolve));
+      process.removeListener('unhandledRejection', unhandled);
+      expect(unhandled).not.toHaveBeenCalled();
+    });
+  });
+});
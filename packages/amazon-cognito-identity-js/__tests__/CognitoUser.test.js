@@ -0,0 +1,331 @@
+import AuthenticationDetails from '../src/AuthenticationDetails';
+import CognitoUser from '../src/CognitoUser';
+import CognitoUserPool from '../src/CognitoUserPool';
+
+const jwt = payload => {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64');
+  return `${encode({ alg: 'RS256' })}.${encode(payload)}.signature`;
+};
+
+const authenticationResult = () => ({
+  AuthenticationResult: {
+    AccessToken: jwt({ username: 'username', exp: 4102444800, iat: 1514764800 }),
+    IdToken: jwt({ 'cognito:username': 'username', exp: 4102444800, iat: 1514764800 }),
+    RefreshToken: 'refreshToken',
+  },
+});
+
+const newUser = () => {
+  const pool = new CognitoUserPool({
+    UserPoolId: 'us-east-1_example',
+    ClientId: 'client',
+  });
+  return new CognitoUser({ Username: 'username', Pool: pool });
+};
+
+// answers each operation with the response, or the error, of the next call
+const stubRequests = (user, responses) => {
+  const request = jest.fn((operation, params, callback) => {
+    const next = responses.shift();
+    if (next instanceof Error) {
+      callback(next, null);
+    } else {
+      callback(null, next);
+    }
+  });
+  user.client.request = request;
+  return request;
+};
+
+const newStorage = () => {
+  const items = {};
+  return {
+    setItem: (key, value) => {
+      items[key] = value;
+    },
+    getItem: key => (key in items ? items[key] : null),
+    removeItem: key => {
+      delete items[key];
+    },
+    clear: () => Object.keys(items).forEach(key => delete items[key]),
+  };
+};
+
+const passwordDetails = () => new AuthenticationDetails({ Username: 'username', Password: 'password' });
+
+describe('CognitoUser', () => {
+  describe('promise versions', () => {
+    const challenges = [
+      ['SMS_MFA', 'MFA_REQUIRED'],
+      ['SOFTWARE_TOKEN_MFA', 'TOTP_REQUIRED'],
+      ['SELECT_MFA_TYPE', 'SELECT_MFA_TYPE'],
+      ['MFA_SETUP', 'MFA_SETUP'],
+      ['CUSTOM_CHALLENGE', 'CUSTOM_CHALLENGE'],
+    ];
+
+    test('authenticateUserAsync resolves to the session', async () => {
+      const user = newUser();
+      user.setAuthenticationFlowType('USER_PASSWORD_AUTH');
+      stubRequests(user, [authenticationResult()]);
+
+      const result = await user.authenticateUserAsync(passwordDetails());
+      expect(result.type).toBe('SUCCESS');
+      expect(result.session.getRefreshToken().getToken()).toBe('refreshToken');
+      expect(result.userConfirmationNecessary).toBe(false);
+    });
+
+    test('authenticateUserAsync resolves to each challenge', async () => {
+      for (let i = 0; i < challenges.length; i += 1) {
+        const [challengeName, type] = challenges[i];
+        const user = newUser();
+        user.setAuthenticationFlowType('USER_PASSWORD_AUTH');
+        stubRequests(user, [{
+          ChallengeName: challengeName,
+          ChallengeParameters: { parameter: 'value' },
+          Session: 'session',
+        }]);
+
+        const result = await user.authenticateUserAsync(passwordDetails());
+        expect(result).toEqual({
+          type,
+          challengeName,
+          challengeParameters: { parameter: 'value' },
+        });
+      }
+    });
+
+    test('authenticateUserAsync resolves to the new password challenge', async () => {
+      const user = newUser();
+      user.setAuthenticationFlowType('USER_PASSWORD_AUTH');
+      stubRequests(user, [{
+        ChallengeName: 'NEW_PASSWORD_REQUIRED',
+        ChallengeParameters: {
+          userAttributes: JSON.stringify({ email: 'jane@example.com' }),
+          requiredAttributes: JSON.stringify(['userAttributes.name']),
+        },
+        Session: 'session',
+      }]);
+
+      const result = await user.authenticateUserAsync(passwordDetails());
+      expect(result).toEqual({
+        type: 'NEW_PASSWORD_REQUIRED',
+        challengeName: 'NEW_PASSWORD_REQUIRED',
+        userAttributes: { email: 'jane@example.com' },
+        requiredAttributes: ['name'],
+      });
+    });
+
+    test('authenticateUserAsync rejects with the error', async () => {
+      const user = newUser();
+      user.setAuthenticationFlowType('USER_PASSWORD_AUTH');
+      const error = Object.assign(new Error('Incorrect username or password.'), {
+        code: 'NotAuthorizedException',
+      });
+      stubRequests(user, [error]);
+
+      await expect(user.authenticateUserAsync(passwordDetails())).rejects.toBe(error);
+    });
+
+    test('sendMFACodeAsync resolves to the session', async () => {
+      const user = newUser();
+      user.setAuthenticationFlowType('USER_PASSWORD_AUTH');
+      stubRequests(user, [
+        { ChallengeName: 'SMS_MFA', ChallengeParameters: {}, Session: 'session' },
+        authenticationResult(),
+      ]);
+
+      expect((await user.authenticateUserAsync(passwordDetails())).type).toBe('MFA_REQUIRED');
+      expect((await user.sendMFACodeAsync('123456')).type).toBe('SUCCESS');
+    });
+
+    test('confirmRegistrationAsync resolves and rejects', async () => {
+      const user = newUser();
+      const error = new Error('Invalid code');
+      stubRequests(user, [{}, error]);
+
+      expect(await user.confirmRegistrationAsync('123456', true)).toBe('SUCCESS');
+      await expect(user.confirmRegistrationAsync('654321', true)).rejects.toBe(error);
+    });
+
+    test('forgotPasswordAsync resolves to the code delivery details', async () => {
+      const user = newUser();
+      const data = { CodeDeliveryDetails: { DeliveryMedium: 'EMAIL' } };
+      stubRequests(user, [data]);
+
+      expect(await user.forgotPasswordAsync()).toEqual(data);
+    });
+
+    test('signUpAsync resolves to the new user', async () => {
+      const user = newUser();
+      const request = stubRequests(user, [{ UserConfirmed: false, UserSub: 'sub' }]);
+
+      const result = await user.pool.signUpAsync('jane', 'password', [], null);
+      expect(request.mock.calls[0][0]).toBe('SignUp');
+      expect(result.user.getUsername()).toBe('jane');
+      expect(result.userConfirmed).toBe(false);
+      expect(result.userSub).toBe('sub');
+    });
+  });
+  describe('authenticateUser with USER_PASSWORD_AUTH', () => {
+    // the user migration Lambda trigger needs the password, so it is sent instead of SRP
+    const authenticate = user => new Promise((resolve, reject) => {
+      user.authenticateUser(passwordDetails(), {
+        onSuccess: session => resolve({ type: 'onSuccess', session }),
+        onFailure: reject,
+        mfaRequired: (challengeName, challengeParameters) =>
+          resolve({ type: 'mfaRequired', challengeName, challengeParameters }),
+        newPasswordRequired: (userAttributes, requiredAttributes) =>
+          resolve({ type: 'newPasswordRequired', userAttributes, requiredAttributes }),
+      });
+    });
+
+    const newPasswordUser = () => {
+      const user = newUser();
+      user.setAuthenticationFlowType('USER_PASSWORD_AUTH');
+      jest.spyOn(user, 'authenticateUserPlainUsernamePassword');
+      return user;
+    };
+
+    test('sends the password and caches the tokens', async () => {
+      const user = newPasswordUser();
+      const request = stubRequests(user, [authenticationResult()]);
+
+      const result = await authenticate(user);
+      expect(user.authenticateUserPlainUsernamePassword).toHaveBeenCalledTimes(1);
+      expect(request).toHaveBeenCalledTimes(1);
+      const [operation, params] = request.mock.calls[0];
+      expect(operation).toBe('InitiateAuth');
+      expect(params.AuthFlow).toBe('USER_PASSWORD_AUTH');
+      expect(params.ClientId).toBe('client');
+      expect(params.AuthParameters).toEqual({ USERNAME: 'username', PASSWORD: 'password' });
+
+      expect(result.type).toBe('onSuccess');
+      expect(result.session.getRefreshToken().getToken()).toBe('refreshToken');
+      expect(user.getSignInUserSession()).toBe(result.session);
+      const lastUserKey = 'CognitoIdentityServiceProvider.client.LastAuthUser';
+      expect(user.storage.getItem(lastUserKey)).toBe('username');
+    });
+
+    test('signs in with the user name of USER_ID_FOR_SRP', async () => {
+      const user = newPasswordUser();
+      stubRequests(user, [{
+        ChallengeName: 'SMS_MFA',
+        ChallengeParameters: { USER_ID_FOR_SRP: 'migrated-user' },
+        Session: 'session',
+      }]);
+
+      await authenticate(user);
+      expect(user.getUsername()).toBe('migrated-user');
+    });
+
+    test('NEW_PASSWORD_REQUIRED, then completeNewPasswordChallenge', async () => {
+      const user = newPasswordUser();
+      const request = stubRequests(user, [
+        {
+          ChallengeName: 'NEW_PASSWORD_REQUIRED',
+          ChallengeParameters: {
+            userAttributes: JSON.stringify({ email: 'jane@example.com' }),
+            requiredAttributes: JSON.stringify(['userAttributes.name']),
+          },
+          Session: 'session1',
+        },
+        authenticationResult(),
+      ]);
+
+      const result = await authenticate(user);
+      expect(result).toEqual({
+        type: 'newPasswordRequired',
+        userAttributes: { email: 'jane@example.com' },
+        requiredAttributes: ['name'],
+      });
+
+      const session = await new Promise((resolve, reject) => {
+        user.completeNewPasswordChallenge('newPassword', { name: 'Jane' }, {
+          onSuccess: resolve,
+          onFailure: reject,
+        });
+      });
+      const [operation, params] = request.mock.calls[1];
+      expect(operation).toBe('RespondToAuthChallenge');
+      expect(params.ChallengeName).toBe('NEW_PASSWORD_REQUIRED');
+      expect(params.Session).toBe('session1');
+      expect(params.ChallengeResponses).toEqual({
+        USERNAME: 'username',
+        NEW_PASSWORD: 'newPassword',
+        'userAttributes.name': 'Jane',
+      });
+      expect(session.getRefreshToken().getToken()).toBe('refreshToken');
+    });
+
+    test('SMS_MFA, then sendMFACode', async () => {
+      const user = newPasswordUser();
+      const request = stubRequests(user, [
+        {
+          ChallengeName: 'SMS_MFA',
+          ChallengeParameters: { CODE_DELIVERY_DESTINATION: '+*******1234' },
+          Session: 'session1',
+        },
+        authenticationResult(),
+      ]);
+
+      const result = await authenticate(user);
+      expect(result).toEqual({
+        type: 'mfaRequired',
+        challengeName: 'SMS_MFA',
+        challengeParameters: { CODE_DELIVERY_DESTINATION: '+*******1234' },
+      });
+
+      const session = await new Promise((resolve, reject) => {
+        user.sendMFACode('123456', { onSuccess: resolve, onFailure: reject });
+      });
+      const [operation, params] = request.mock.calls[1];
+      expect(operation).toBe('RespondToAuthChallenge');
+      expect(params.ChallengeName).toBe('SMS_MFA');
+      expect(params.Session).toBe('session1');
+      expect(params.ChallengeResponses.SMS_MFA_CODE).toBe('123456');
+      expect(session.getRefreshToken().getToken()).toBe('refreshToken');
+    });
+
+    test('fails without a password', async () => {
+      const user = newPasswordUser();
+      const request = stubRequests(user, []);
+
+      const details = new AuthenticationDetails({ Username: 'username' });
+      const error = await new Promise(resolve => {
+        user.authenticateUser(details, { onFailure: resolve });
+      });
+      expect(error.message).toBe('PASSWORD parameter is required');
+      expect(request).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('signed in users', () => {
+    const signedInUsersKey = 'CognitoIdentityServiceProvider.client.SignedInUsers';
+
+    test('are kept in the storage of the user', async () => {
+      const poolStorage = newStorage();
+      const userStorage = newStorage();
+      const pool = new CognitoUserPool({
+        UserPoolId: 'us-east-1_example',
+        ClientId: 'client',
+        Storage: poolStorage,
+      });
+      const signIn = Username => {
+        const user = new CognitoUser({ Username, Pool: pool, Storage: userStorage });
+        user.setAuthenticationFlowType('USER_PASSWORD_AUTH');
+        stubRequests(user, [authenticationResult()]);
+        return user.authenticateUserAsync(passwordDetails()).then(() => user);
+      };
+
+      const jane = await signIn('jane');
+      const john = await signIn('john');
+      expect(JSON.parse(userStorage.getItem(signedInUsersKey))).toEqual(['jane', 'john']);
+      expect(john.getSignedInUsernames()).toEqual(['jane', 'john']);
+      expect(poolStorage.getItem(signedInUsersKey)).toBeNull();
+
+      jane.clearCachedTokens();
+      expect(JSON.parse(userStorage.getItem(signedInUsersKey))).toEqual(['john']);
+      expect(poolStorage.getItem(signedInUsersKey)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import { fromNodeCallback, fromCallbacks, fromAuthCallbacks } from '../src/PromiseHelper';
+
+describe('PromiseHelper', () => {
+  describe('fromNodeCallback', () => {
+    test('resolves to the result', async () => {
+      const result = await fromNodeCallback(callback => callback(null, 'SUCCESS'));
+      expect(result).toBe('SUCCESS');
+    });
+
+    test('rejects with the error', async () => {
+      const error = new Error('error');
+      await expect(fromNodeCallback(callback => callback(error, null))).rejects.toBe(error);
+    });
+  });
+
+  describe('fromCallbacks', () => {
+    test('resolves to the result of onSuccess, inputVerificationCode or associateSecretCode', async () => {
+      const names = ['onSuccess', 'inputVerificationCode', 'associateSecretCode'];
+      for (let i = 0; i < names.length; i += 1) {
+        const result = await fromCallbacks(callback => callback[names[i]](names[i]));
+        expect(result).toBe(names[i]);
+      }
+    });
+
+    test('rejects with the error of onFailure', async () => {
+      const error = new Error('error');
+      await expect(fromCallbacks(callback => callback.onFailure(error))).rejects.toBe(error);
+    });
+  });
+
+  describe('fromAuthCallbacks', () => {
+    test('resolves to the session', async () => {
+      const result = await fromAuthCallbacks(callback => callback.onSuccess('session'));
+      expect(result).toEqual({ type: 'SUCCESS', session: 'session', userConfirmationNecessary: false });
+
+      const confirm = await fromAuthCallbacks(callback => callback.onSuccess('session', true));
+      expect(confirm.userConfirmationNecessary).toBe(true);
+    });
+
+    test('rejects with the error of onFailure', async () => {
+      const error = new Error('error');
+      await expect(fromAuthCallbacks(callback => callback.onFailure(error))).rejects.toBe(error);
+    });
+
+    test('resolves to the MFA challenges', async () => {
+      const challenges = [
+        ['mfaRequired', 'SMS_MFA', 'MFA_REQUIRED'],
+        ['totpRequired', 'SOFTWARE_TOKEN_MFA', 'TOTP_REQUIRED'],
+        ['selectMFAType', 'SELECT_MFA_TYPE', 'SELECT_MFA_TYPE'],
+        ['mfaSetup', 'MFA_SETUP', 'MFA_SETUP'],
+      ];
+      for (let i = 0; i < challenges.length; i += 1) {
+        const [name, challengeName, type] = challenges[i];
+        const result = await fromAuthCallbacks(callback =>
+          callback[name](challengeName, { parameter: 'value' }));
+        expect(result).toEqual({ type, challengeName, challengeParameters: { parameter: 'value' } });
+      }
+    });
+
+    test('resolves to the custom challenge', async () => {
+      const result = await fromAuthCallbacks(callback => callback.customChallenge({ question: 'q' }));
+      expect(result).toEqual({
+        type: 'CUSTOM_CHALLENGE',
+        challengeName: 'CUSTOM_CHALLENGE',
+        challengeParameters: { question: 'q' },
+      });
+    });
+
+    test('resolves to the new password challenge', async () => {
+      const result = await fromAuthCallbacks(callback =>
+        callback.newPasswordRequired({ email: 'jane@example.com' }, ['name']));
+      expect(result).toEqual({
+        type: 'NEW_PASSWORD_REQUIRED',
+        challengeName: 'NEW_PASSWORD_REQUIRED',
+        userAttributes: { email: 'jane@example.com' },
+        requiredAttributes: ['name'],
+      });
+    });
+  });
+});
@@ -6,7 +6,9 @@ declare module "amazon-cognito-identity-js" {
 
     export interface IAuthenticationDetailsData {
         Username: string;
-        Password: string;
+        Password?: string;
+        ValidationData?: {[key: string]: any};
+        AuthParameters?: {[key: string]: any};
     }
 
     export class AuthenticationDetails {
@@ -15,6 +17,7 @@ declare module "amazon-cognito-identity-js" {
         public getUsername(): string;
         public getPassword(): string;
         public getValidationData(): any[];
+        public getAuthParameters(): {[key: string]: any};
     }
 
     export interface ICognitoStorage {
@@ -30,6 +33,15 @@ declare module "amazon-cognito-identity-js" {
         Storage?: ICognitoStorage;
     }
 
+    export type AuthResult =
+        { type: 'SUCCESS', session: CognitoUserSession, userConfirmationNecessary: boolean } |
+        {
+            type: 'MFA_REQUIRED' | 'TOTP_REQUIRED' | 'SELECT_MFA_TYPE' | 'MFA_SETUP' | 'CUSTOM_CHALLENGE',
+            challengeName: string,
+            challengeParameters: any
+        } |
+        { type: 'NEW_PASSWORD_REQUIRED', challengeName: string, userAttributes: any, requiredAttributes: any };
+
     export class CognitoUser {
         constructor(data: ICognitoUserData);
 
@@ -48,10 +60,24 @@ declare module "amazon-cognito-identity-js" {
                                     onFailure: (err: any) => void,
                                     newPasswordRequired?: (userAttributes: any, requiredAttributes: any) => void,
                                     mfaRequired?: (challengeName: any, challengeParameters: any) => void,
-                                    customChallenge?: (challengeParameters: any) => void
+                                    totpRequired?: (challengeName: any, challengeParameters: any) => void,
+                                    customChallenge?: (challengeParameters: any) => void,
+                                    mfaSetup?: (challengeName: any, challengeParameters: any) => void,
+                                    selectMFAType?: (challengeName: any, challengeParameters: any) => void
                                 }): void;
         public confirmRegistration(code: string, forceAliasCreation: boolean, callback: NodeCallback<any, any>): void;
-        public sendCustomChallengeAnswer(answerChallenge: any, callback:NodeCallback<any, any>):void;
+        public initiateAuth(authenticationDetails: AuthenticationDetails,
+                            callbacks: {
+                                onSuccess: (session: CognitoUserSession) => void,
+                                onFailure: (err: any) => void,
+                                customChallenge: (challengeParameters: any) => void
+                            }): void;
+        public sendCustomChallengeAnswer(answerChallenge: any,
+                                         callbacks: {
+                                             onSuccess: (session: CognitoUserSession) => void,
+                                             onFailure: (err: any) => void,
+                                             customChallenge?: (challengeParameters: any) => void
+                                         }): void;
         public resendConfirmationCode(callback: NodeCallback<Error, "SUCCESS">): void;
         public changePassword(oldPassword: string, newPassword: string, callback: NodeCallback<Error, "SUCCESS">): void;
         public forgotPassword(callbacks: { onSuccess: (data: any) => void, onFailure: (err: Error) => void, inputVerificationCode?: (data: any) => void }): void;
@@ -59,7 +85,11 @@ declare module "amazon-cognito-identity-js" {
         public setDeviceStatusRemembered(callbacks: { onSuccess: (success: string) => void, onFailure: (err: any) => void }): void;
         public setDeviceStatusNotRemembered(callbacks: { onSuccess: (success: string) => void, onFailure: (err: any) => void }): void;
         public getDevice(callbacks: {onSuccess: (success: string) => void, onFailure: (err: Error) => void}): any;
-        public sendMFACode(confirmationCode: string, callbacks: { onSuccess: (session: CognitoUserSession) => void, onFailure: (err: any) => void }): void;
+        public forgetDevice(callbacks: { onSuccess: (success: string) => void, onFailure: (err: Error) => void }): void;
+        public forgetSpecificDevice(deviceKey: string, callbacks: { onSuccess: (success: string) => void, onFailure: (err: Error) => void }): void;
+        public listDevices(limit: number, paginationToken: string | null, callbacks: { onSuccess: (data: any) => void, onFailure: (err: Error) => void }): void;
+        public getCachedDeviceKeyAndPassword(): void;
+        public sendMFACode(confirmationCode: string, callbacks: { onSuccess: (session: CognitoUserSession) => void, onFailure: (err: any) => void }, mfaType?: string): void;
         public completeNewPasswordChallenge(newPassword: string,
                                             requiredAttributeData: any,
                                             callbacks: {
@@ -79,6 +109,66 @@ declare module "amazon-cognito-identity-js" {
         public enableMFA(callback: NodeCallback<Error, string>): void;
         public disableMFA(callback: NodeCallback<Error, string>): void;
         public getMFAOptions(callback: NodeCallback<Error, MFAOption[]>): void;
+        public getUserData(callback: NodeCallback<Error, any>): void;
+        public setUserMfaPreference(smsMfaSettings: IMfaSettings | null,
+                                    softwareTokenMfaSettings: IMfaSettings | null,
+                                    callback: NodeCallback<Error, string>): void;
+        public sendMFASelectionAnswer(answerChallenge: string,
+                                      callbacks: {
+                                          onFailure: (err: any) => void,
+                                          mfaRequired: (challengeName: any, challengeParameters: any) => void,
+                                          totpRequired: (challengeName: any, challengeParameters: any) => void
+                                      }): void;
+        public associateSoftwareToken(callbacks: {
+                                          associateSecretCode: (secretCode: string) => void,
+                                          onFailure: (err: any) => void
+                                      }): void;
+        public verifySoftwareToken(totpCode: string,
+                                   friendlyDeviceName: string,
+                                   callbacks: {
+                                       onSuccess: (session: CognitoUserSession | any) => void,
+                                       onFailure: (err: Error) => void
+                                   }): void;
+
+        public initiateAuthAsync(authenticationDetails: AuthenticationDetails): Promise<AuthResult>;
+        public authenticateUserAsync(authenticationDetails: AuthenticationDetails): Promise<AuthResult>;
+        public completeNewPasswordChallengeAsync(newPassword: string, requiredAttributeData: any): Promise<AuthResult>;
+        public sendCustomChallengeAnswerAsync(answerChallenge: any): Promise<AuthResult>;
+        public sendMFACodeAsync(confirmationCode: string, mfaType?: string): Promise<AuthResult>;
+        public sendMFASelectionAnswerAsync(answerChallenge: string): Promise<AuthResult>;
+        public confirmRegistrationAsync(code: string, forceAliasCreation: boolean): Promise<any>;
+        public resendConfirmationCodeAsync(): Promise<any>;
+        public getSessionAsync(): Promise<CognitoUserSession>;
+        public refreshSessionAsync(refreshToken: CognitoRefreshToken): Promise<CognitoUserSession>;
+        public changePasswordAsync(oldPassword: string, newPassword: string): Promise<"SUCCESS">;
+        public forgotPasswordAsync(): Promise<any>;
+        public confirmPasswordAsync(verificationCode: string, newPassword: string): Promise<void>;
+        public enableMFAAsync(): Promise<string>;
+        public disableMFAAsync(): Promise<string>;
+        public setUserMfaPreferenceAsync(smsMfaSettings: IMfaSettings | null,
+                                         softwareTokenMfaSettings: IMfaSettings | null): Promise<string>;
+        public getMFAOptionsAsync(): Promise<MFAOption[]>;
+        public associateSoftwareTokenAsync(): Promise<string>;
+        public verifySoftwareTokenAsync(totpCode: string, friendlyDeviceName: string): Promise<CognitoUserSession | any>;
+        public getUserAttributesAsync(): Promise<CognitoUserAttribute[]>;
+        public getUserDataAsync(): Promise<any>;
+        public updateAttributesAsync(attributes: ICognitoUserAttributeData[]): Promise<string>;
+        public deleteAttributesAsync(attributeList: string[]): Promise<string>;
+        public getAttributeVerificationCodeAsync(name: string): Promise<any>;
+        public verifyAttributeAsync(attributeName: string, confirmationCode: string): Promise<string>;
+        public deleteUserAsync(): Promise<string>;
+        public getDeviceAsync(): Promise<any>;
+        public listDevicesAsync(limit: number, paginationToken: string | null): Promise<any>;
+        public setDeviceStatusRememberedAsync(): Promise<string>;
+        public setDeviceStatusNotRememberedAsync(): Promise<string>;
+        public forgetDeviceAsync(): Promise<string>;
+        public forgetSpecificDeviceAsync(deviceKey: string): Promise<string>;
+        public globalSignOutAsync(): Promise<string>;
+    }
+
+    export interface IMfaSettings {
+        PreferredMfa: boolean;
+        Enabled: boolean;
     }
 
     export interface MFAOption {
@@ -108,11 +198,39 @@ declare module "amazon-cognito-identity-js" {
         userSub: string;
     }
 
+    export interface IClientRequest {
+        operation: string;
+        params: any;
+        url: string;
+        // options of fetch
+        options: { headers: { [name: string]: string }, [option: string]: any };
+    }
+
+    export interface IClientResponse {
+        request: IClientRequest;
+        attempt: number;
+        duration: number;
+        statusCode?: number;
+        data: any;
+        error: any;
+    }
+
+    export interface IClientOptions {
+        maxRetries?: number;
+        retryDelay?: number;
+        timeout?: number;
+        fetch?: (url: string, options: any) => Promise<any>;
+        userAgent?: string;
+        beforeRequest?: (request: IClientRequest) => void | Promise<void>;
+        afterResponse?: (response: IClientResponse) => void;
+    }
+
     export interface ICognitoUserPoolData {
         UserPoolId: string;
         ClientId: string;
         endpoint?: string;
         Storage?: ICognitoStorage;
+        ClientOptions?: IClientOptions;
     }
 
     export class CognitoUserPool {
@@ -122,8 +240,12 @@ declare module "amazon-cognito-identity-js" {
         public getClientId(): string;
 
         public signUp(username: string, password: string, userAttributes: CognitoUserAttribute[], validationData: CognitoUserAttribute[], callback: NodeCallback<Error,ISignUpResult>): void;
+        public signUpAsync(username: string, password: string, userAttributes: CognitoUserAttribute[], validationData: CognitoUserAttribute[]): Promise<ISignUpResult>;
 
         public getCurrentUser(): CognitoUser | null;
+        public getSignedInUsers(): CognitoUser[];
+        public setCurrentUser(username: string): CognitoUser | null;
+        public getSignedInUsernames(): string[];
     }
 
     export interface ICognitoUserSessionData {
@@ -138,6 +260,7 @@ declare module "amazon-cognito-identity-js" {
         public getIdToken(): CognitoIdToken;
         public getRefreshToken(): CognitoRefreshToken;
         public getAccessToken(): CognitoAccessToken;
+        public getClockDrift(): number;
         public isValid(): boolean;
     }
     /*
@@ -150,6 +273,8 @@ declare module "amazon-cognito-identity-js" {
 
         public getJwtToken(): string;
         public getExpiration(): number;
+        public getIssuedAt(): number;
+        public decodePayload(): { [id: string]: any; };
     }
 
     export class CognitoIdToken {
@@ -157,6 +282,63 @@ declare module "amazon-cognito-identity-js" {
 
         public getJwtToken(): string;
         public getExpiration(): number;
+        public getIssuedAt(): number;
+        public decodePayload(): { [id: string]: any; };
+    }
+
+    export interface ICognitoJsonWebKey {
+        kid: string;
+        kty: string;
+        alg?: string;
+        use?: string;
+        n: string;
+        e: string;
+    }
+
+    export interface ICognitoJwtVerifierData {
+        UserPoolId: string;
+        ClientId?: string | string[];
+        SkipClientIdCheck?: boolean;
+        TokenUse?: 'id' | 'access';
+        ClockSkew?: number;
+        Jwks?: { keys: ICognitoJsonWebKey[] };
+        JwksUri?: string;
+        Fetch?: (url: string) => Promise<any>;
+    }
+
+    export interface CognitoJwtClaims {
+        sub: string;
+        iss: string;
+        token_use: 'id' | 'access';
+        auth_time: number;
+        exp: number;
+        iat: number;
+        'cognito:groups'?: string[];
+        [claim: string]: any;
+    }
+
+    export interface CognitoIdTokenClaims extends CognitoJwtClaims {
+        token_use: 'id';
+        aud: string;
+        'cognito:username': string;
+        email?: string;
+        email_verified?: boolean;
+        phone_number?: string;
+        phone_number_verified?: boolean;
+    }
+
+    export interface CognitoAccessTokenClaims extends CognitoJwtClaims {
+        token_use: 'access';
+        client_id: string;
+        username: string;
+        scope: string;
+        jti: string;
+    }
+
+    export class CognitoJwtVerifier {
+        constructor(data: ICognitoJwtVerifierData);
+
+        public verify(token: string, callback: NodeCallback<Error, CognitoIdTokenClaims | CognitoAccessTokenClaims>): void;
     }
 
     export class CognitoRefreshToken {
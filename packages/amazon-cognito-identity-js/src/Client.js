@@ -1,17 +1,108 @@
+/* global AbortController */
+
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 100;
+const USER_AGENT = 'aws-amplify/1.0';
+
+// operations which have the same effect when sent twice, so they may be retried when
+// it is unknown whether the first request was processed. InitiateAuth is not one of
+// them: it runs the custom auth Lambda triggers and counts the password attempts
+const IDEMPOTENT_OPERATIONS = [
+  'GetUser',
+  'GetDevice',
+  'ListDevices',
+  'ForgetDevice',
+  'UpdateDeviceStatus',
+  'SetUserMFAPreference',
+  'SetUserSettings',
+  'DeleteUserAttributes',
+  'GlobalSignOut',
+];
+
+/**
+ * @param {string} message Description of the failure.
+ * @returns {object} error of a request which got no response
+ */
+function networkError(message) {
+  return {
+    code: 'NetworkError',
+    name: 'NetworkError',
+    message: message || 'Network error',
+  };
+}
+
+/**
+ * @param {string} operation API operation of the request.
+ * @param {object} params Parameters of the request.
+ * @returns {boolean} whether sending the request twice has the same effect
+ */
+function isIdempotent(operation, params) {
+  if (operation === 'InitiateAuth') {
+    return !!params && params.AuthFlow === 'REFRESH_TOKEN_AUTH';
+  }
+  return IDEMPOTENT_OPERATIONS.indexOf(operation) !== -1;
+}
+
+/**
+ * Throttled requests were rejected before they were processed, so they are always
+ * retried. Network and 5xx errors may happen after the request was processed, so
+ * they are only retried for idempotent requests.
+ * @param {string} operation API operation of the request.
+ * @param {object} params Parameters of the request.
+ * @param {object} error Error of the request.
+ * @returns {boolean} whether the request may succeed when retried
+ */
+function isRetryable(operation, params, error) {
+  if (!error) return false;
+  if (error.code === 'TooManyRequestsException') return true;
+  return (error.code === 'NetworkError' || error.statusCode >= 500) &&
+    isIdempotent(operation, params);
+}
+
 /** @class */
 export default class Client {
   /**
    * Constructs a new AWS Cognito Identity Provider client object
    * @param {string} region AWS region.
    * @param {string} endpoint endpoint
+   * @param {object} options Optional options of the requests.
+   * @param {number} options.maxRetries Retries of throttled requests, and of 5xx and
+   *        network errors of idempotent operations, 3 by default.
+   * @param {number} options.retryDelay Base of the exponential backoff in milliseconds,
+   *        100 by default.
+   * @param {number} options.timeout Milliseconds before a request is aborted, none by default.
+   * @param {function} options.fetch Implementation of fetch, the global fetch by default.
+   * @param {string} options.userAgent Suffix of the X-Amz-User-Agent header.
+   * @param {function} options.beforeRequest Called with the request before each attempt,
+   *        may change its url and options or return a promise to wait for.
+   * @param {function} options.afterResponse Called after each attempt with the request,
+   *        the attempt, its duration, the status code and the data or the error.
    */
-  constructor(region, endpoint) {
+  constructor(region, endpoint, options) {
+    const {
+      maxRetries,
+      retryDelay,
+      timeout,
+      fetch: fetchImpl,
+      userAgent,
+      beforeRequest,
+      afterResponse,
+    } = options || {};
     this.endpoint = endpoint || `https://cognito-idp.${region}.amazonaws.com/`;
+    this.maxRetries = maxRetries !== undefined ? maxRetries : DEFAULT_MAX_RETRIES;
+    this.retryDelay = retryDelay !== undefined ? retryDelay : DEFAULT_RETRY_DELAY;
+    this.timeout = timeout || 0;
+    this.fetch = fetchImpl || null;
+    this.userAgent = userAgent ? `${USER_AGENT} ${userAgent}` : USER_AGENT;
+    this.beforeRequest = beforeRequest || null;
+    this.afterResponse = afterResponse || null;
   }
 
   /**
    * Makes an unauthenticated request on AWS Cognito Identity Provider API
-   * using fetch
+   * using fetch. Throttled requests, and 5xx and network errors of idempotent
+   * operations, are retried with jittered exponential backoff. Errors thrown by
+   * the hooks fail the request.
    * @param {string} operation API operation
    * @param {object} params Input parameters
    * @param {function} callback Callback called when a response is returned
@@ -21,7 +112,7 @@ export default class Client {
     const headers = {
       'Content-Type': 'application/x-amz-json-1.1',
       'X-Amz-Target': `AWSCognitoIdentityProviderService.${operation}`,
-      'X-Amz-User-Agent': 'aws-amplify/1.0',
+      'X-Amz-User-Agent': this.userAgent,
     };
 
     const options = {
@@ -32,37 +123,131 @@ export default class Client {
       body: JSON.stringify(params),
     };
 
-    let response;
+    const send = attempt => {
+      // every attempt starts from the same request, the hooks may change it
+      const request = {
+        operation,
+        params,
+        url: this.endpoint,
+        options: Object.assign({}, options, { headers: Object.assign({}, headers) }),
+      };
+      // the callback is called outside of the promise chain, so what it throws is
+      // not turned into a rejection
+      this.attempt(request, attempt).then(
+        data => {
+          setTimeout(() => callback(null, data), 0);
+        },
+        error => {
+          if (attempt < this.maxRetries && isRetryable(operation, params, error)) {
+            setTimeout(() => send(attempt + 1), this.backoff(attempt));
+            return;
+          }
+          setTimeout(() => callback(error), 0);
+        });
+    };
+    send(0);
+  }
 
-    fetch(this.endpoint, options)
-      .then(resp => {
-        response = resp;
-        return resp;
-      })
-      .then(resp => resp.json().catch(() => ({})))
-      .then(data => {
-        if (response.ok) return callback(null, data);
-
-        // Taken from aws-sdk-js/lib/protocol/json.js
-        // eslint-disable-next-line no-underscore-dangle
-        const code = (data.__type || data.code).split('#').pop();
-        const error = {
-          code,
-          name: code,
-          message: (data.message || data.Message || null),
-        };
-        return callback(error);
+  /**
+   * @param {number} attempt Number of the failed attempt, from 0.
+   * @returns {number} milliseconds to wait before the next attempt, with full jitter
+   */
+  backoff(attempt) {
+    return Math.random() * this.retryDelay * Math.pow(2, attempt);
+  }
+
+  /**
+   * Sends a request once, between the hooks
+   * @param {object} request Operation, params, url and fetch options of the request.
+   * @param {number} attempt Number of the attempt, from 0.
+   * @returns {Promise<object>} resolves to the response data, rejects with the error
+   */
+  attempt(request, attempt) {
+    let started;
+    const after = (statusCode, data, error) => {
+      if (!this.afterResponse) return;
+      const duration = new Date().getTime() - started;
+      this.afterResponse({ request, attempt, duration, statusCode, data, error });
+    };
+
+    return Promise.resolve()
+      .then(() => this.beforeRequest && this.beforeRequest(request))
+      .then(() => {
+        started = new Date().getTime();
+        return this.fetchOnce(request.url, request.options);
       })
-      .catch(() => {
-        // Taken from aws-sdk-js/lib/protocol/json.js
-        const code = (response.headers.get('x-amzn-errortype') || 'UnknownError').split(':')[0];
-        const error = {
-          code,
-          name: code,
-          statusCode: response.status,
-          message: response.status.toString(),
-        };
-        return callback(error);
+      .then(
+        ({ statusCode, data }) => {
+          after(statusCode, data, null);
+          return data;
+        },
+        error => {
+          // an error of beforeRequest has no attempt to report
+          if (started !== undefined) after(error && error.statusCode, null, error);
+          throw error;
+        });
+  }
+
+  /**
+   * Sends a request once, aborting it after the timeout
+   * @param {string} url Endpoint of the request.
+   * @param {object} options Options of fetch.
+   * @returns {Promise<object>} resolves to the status code and the response data,
+   *          rejects with the error
+   */
+  fetchOnce(url, options) {
+    let timer = null;
+    let controller = null;
+    const requestOptions = Object.assign({}, options);
+    if (this.timeout && typeof AbortController === 'function') {
+      controller = new AbortController();
+      requestOptions.signal = controller.signal;
+    }
+
+    const timedOut = new Promise((resolve, reject) => {
+      if (!this.timeout) return;
+      timer = setTimeout(() => {
+        if (controller) controller.abort();
+        reject(networkError(`Request timed out after ${this.timeout}ms`));
+      }, this.timeout);
+    });
+
+    const fetchImpl = this.fetch || fetch;
+    const responded = fetchImpl(url, requestOptions)
+      .then(
+        response => response.json()
+          .catch(() => ({}))
+          .then(data => {
+            if (response.ok) return { statusCode: response.status, data };
+
+            // Taken from aws-sdk-js/lib/protocol/json.js
+            // eslint-disable-next-line no-underscore-dangle
+            const type = data.__type || data.code ||
+              (response.headers && response.headers.get('x-amzn-errortype')) || 'UnknownError';
+            const code = type.split('#').pop().split(':')[0];
+            const error = {
+              code,
+              name: code,
+              statusCode: response.status,
+              message: data.message || data.Message || response.status.toString(),
+            };
+            throw error;
+          }),
+        err => {
+          throw networkError(err && err.message);
+        });
+
+    const done = () => {
+      if (timer) clearTimeout(timer);
+    };
+    return Promise.race([responded, timedOut]).then(
+      data => {
+        done();
+        return data;
+      },
+      error => {
+        done();
+        throw error;
       });
   }
 }
@@ -0,0 +1,333 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { Buffer } from 'buffer/';
+import createHash from 'create-hash';
+
+import BigInteger from './BigInteger';
+
+// DER encoded DigestInfo of a SHA-256 hash, see RFC 8017 section 9.2
+const SHA256_DIGEST_INFO = '3031300d060960864801650304020105000420';
+
+// JWKS fetched per url, shared by all verifiers
+const jwksCache = {};
+
+// milliseconds before an unknown key id may fetch the JWKS again
+const JWKS_REFETCH_INTERVAL = 60 * 1000;
+
+/**
+ * @param {string} code The error code, also used as its name.
+ * @param {string} message The error message.
+ * @returns {Error} the verification error.
+ */
+function verificationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.name = code;
+  return error;
+}
+
+/**
+ * @param {string} value A base64url encoded value.
+ * @returns {Buffer} the decoded bytes.
+ */
+function base64UrlDecode(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Buffer.from(base64, 'base64');
+}
+
+/**
+ * @param {Buffer} bytes A big-endian unsigned integer.
+ * @returns {BigInteger} the integer.
+ */
+function toBigInteger(bytes) {
+  return new BigInteger(bytes.toString('hex'), 16);
+}
+
+/**
+ * Calls back outside of the promise chain, so an exception thrown by the
+ * callback is not turned into a rejection
+ * @param {nodeCallback<*>} callback The callback.
+ * @param {Error} err The error, if any.
+ * @param {*} result The result.
+ * @returns {void}
+ */
+function callbackLater(callback, err, result) {
+  setTimeout(() => callback(err, result), 0);
+}
+
+/** @class */
+export default class CognitoJwtVerifier {
+  /**
+   * Constructs a new CognitoJwtVerifier object
+   * @param {object} data Creation options.
+   * @param {string} data.UserPoolId Cognito user pool id.
+   * @param {string|string[]} data.ClientId The app client id, or ids, the tokens
+   *        must be issued to.
+   * @param {bool=} data.SkipClientIdCheck Optional: accept tokens issued to any app
+   *        client of the user pool, instead of giving a ClientId.
+   * @param {string=} data.TokenUse Optional: 'id' or 'access', the kind of token expected.
+   * @param {int=} data.ClockSkew Optional: seconds a token is still accepted after it expired,
+   *        defaults to 0.
+   * @param {object=} data.Jwks Optional: the JSON Web Key Set of the user pool,
+   *        fetched from the user pool when not given.
+   * @param {string=} data.JwksUri Optional: where to fetch the JSON Web Key Set from.
+   * @param {function=} data.Fetch Optional: implementation of fetch, the global fetch by default.
+   */
+  constructor(data) {
+    const {
+      UserPoolId,
+      ClientId,
+      SkipClientIdCheck,
+      TokenUse,
+      ClockSkew,
+      Jwks,
+      JwksUri,
+      Fetch,
+    } = data || {};
+    if (!UserPoolId) {
+      throw new Error('UserPoolId is required.');
+    }
+    if (!/^[\w-]+_.+$/.test(UserPoolId)) {
+      throw new Error('Invalid UserPoolId format.');
+    }
+    if (!SkipClientIdCheck && !(ClientId && ClientId.length)) {
+      throw new Error('ClientId is required, unless SkipClientIdCheck is set.');
+    }
+    if (TokenUse && TokenUse !== 'id' && TokenUse !== 'access') {
+      throw new Error('TokenUse must be id or access.');
+    }
+    const region = UserPoolId.split('_')[0];
+
+    this.issuer = `https://cognito-idp.${region}.amazonaws.com/${UserPoolId}`;
+    this.clientIds = SkipClientIdCheck ? null : [].concat(ClientId);
+    this.tokenUse = TokenUse;
+    this.clockSkew = ClockSkew || 0;
+    this.jwks = Jwks;
+    this.jwksUri = JwksUri || `${this.issuer}/.well-known/jwks.json`;
+    this.fetch = Fetch || null;
+  }
+
+  /**
+   * Verifies the signature and the claims of an id or access token
+   * @param {string} token The JWT token.
+   * @param {nodeCallback<object>} callback Called with the claims of the token
+   *        or an error if the token is not valid, always asynchronously.
+   * @returns {void}
+   */
+  verify(token, callback) {
+    const done = (err, claims) => callbackLater(callback, err, claims);
+    const parts = (token || '').split('.');
+    if (parts.length !== 3) {
+      return done(verificationError('InvalidTokenException', 'Token is not a JWT.'), null);
+    }
+
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(base64UrlDecode(parts[0]).toString('utf8'));
+      claims = JSON.parse(base64UrlDecode(parts[1]).toString('utf8'));
+    } catch (err) {
+      return done(verificationError('InvalidTokenException', 'Token is not a JWT.'), null);
+    }
+    if (header.alg !== 'RS256') {
+      const message = `Unsupported algorithm: ${header.alg}`;
+      return done(verificationError('InvalidTokenException', message), null);
+    }
+
+    return this.getKey(header.kid, (err, key) => {
+      if (err) {
+        return done(err, null);
+      }
+      const signingInput = `${parts[0]}.${parts[1]}`;
+      return this.verifySignature(signingInput, base64UrlDecode(parts[2]), key, (sigErr, valid) => {
+        if (sigErr) {
+          return done(sigErr, null);
+        }
+        if (!valid) {
+          const error = verificationError('InvalidSignatureException', 'Invalid token signature.');
+          return done(error, null);
+        }
+
+        const claimsError = this.validateClaims(claims);
+        if (claimsError) {
+          return done(claimsError, null);
+        }
+        return done(null, claims);
+      });
+    });
+  }
+
+  /**
+   * Finds the key the token was signed with. The JWKS is fetched again
+   * when the key is unknown, as the user pool may have rotated its keys,
+   * but at most once a minute: until then unknown keys fail without a fetch.
+   * @param {string} kid The key id of the token header.
+   * @param {nodeCallback<object>} callback Called with the JWK.
+   * @returns {void}
+   */
+  getKey(kid, callback) {
+    const findKey = jwks => (jwks.keys || []).filter(key => key.kid === kid)[0];
+    const unknownKey = () => verificationError('InvalidTokenException', `Unknown key id: ${kid}`);
+
+    if (this.jwks) {
+      const key = findKey(this.jwks);
+      if (!key) {
+        return callback(unknownKey(), null);
+      }
+      return callback(null, key);
+    }
+
+    return this.fetchJwks(false, (err, jwks) => {
+      if (err) {
+        return callback(err, null);
+      }
+      const key = findKey(jwks);
+      if (key) {
+        return callback(null, key);
+      }
+
+      return this.fetchJwks(true, (refetchErr, refetched) => {
+        if (refetchErr) {
+          return callback(refetchErr, null);
+        }
+        const refetchedKey = findKey(refetched);
+        if (!refetchedKey) {
+          return callback(unknownKey(), null);
+        }
+        return callback(null, refetchedKey);
+      });
+    });
+  }
+
+  /**
+   * Fetches the JWKS of the user pool, or reuses the one fetched before
+   * @param {bool} force Whether to fetch it again if it was fetched more
+   *        than a minute ago.
+   * @param {nodeCallback<object>} callback Called with the JWKS.
+   * @returns {void}
+   */
+  fetchJwks(force, callback) {
+    const uri = this.jwksUri;
+    const now = new Date().getTime();
+    const cached = jwksCache[uri];
+    if (!cached || (force && now - cached.fetchedAt >= JWKS_REFETCH_INTERVAL)) {
+      const fetchImpl = this.fetch || (typeof fetch === 'function' ? fetch : null);
+      if (!fetchImpl) {
+        const message = 'No fetch to get the JWKS with: pass Fetch, or Jwks.';
+        callbackLater(callback, verificationError('JwksFetchException', message), null);
+        return;
+      }
+      const request = fetchImpl(uri)
+        .then(resp => {
+          if (!resp.ok) {
+            const message = `Fetching the JWKS failed: ${resp.status}`;
+            throw verificationError('JwksFetchException', message);
+          }
+          return resp.json();
+        });
+      // fetch again next time if it failed
+      request.catch(() => {
+        if (jwksCache[uri] && jwksCache[uri].request === request) {
+          delete jwksCache[uri];
+        }
+      });
+      jwksCache[uri] = { request, fetchedAt: now };
+    }
+
+    jwksCache[uri].request.then(
+      jwks => callbackLater(callback, null, jwks),
+      err => {
+        const error = err.code ? err : verificationError('JwksFetchException', err.message);
+        callbackLater(callback, error, null);
+      });
+  }
+
+  /**
+   * Checks a RSASSA-PKCS1-v1_5 SHA-256 signature
+   * @param {string} signingInput The encoded header and payload of the token.
+   * @param {Buffer} signature The signature of the token.
+   * @param {object} key The RSA JWK.
+   * @param {nodeCallback<bool>} callback Called with whether the signature is valid,
+   *        asynchronously where modPow is native.
+   * @returns {void}
+   */
+  verifySignature(signingInput, signature, key, callback) {
+    if (key.kty !== 'RSA' || (key.alg && key.alg !== 'RS256') || !key.n || !key.e) {
+      return callback(null, false);
+    }
+    const modulus = base64UrlDecode(key.n);
+    const n = toBigInteger(modulus);
+    const e = toBigInteger(base64UrlDecode(key.e));
+    const s = toBigInteger(signature);
+    if (s.compareTo(n) >= 0) {
+      return callback(null, false);
+    }
+
+    // the modulus may be encoded with a leading zero byte
+    const length = modulus[0] === 0 ? modulus.length - 1 : modulus.length;
+    const hash = createHash('sha256').update(signingInput, 'utf8').digest('hex');
+    const digest = SHA256_DIGEST_INFO + hash;
+    let padding = '';
+    while (padding.length < (length * 2) - digest.length - 6) {
+      padding = `${padding}ff`;
+    }
+
+    return s.modPow(e, n, (err, result) => {
+      if (err) {
+        return callback(err, null);
+      }
+      let decrypted = result.toString(16);
+      while (decrypted.length < length * 2) {
+        decrypted = `0${decrypted}`;
+      }
+      return callback(null, decrypted === `0001${padding}00${digest}`);
+    });
+  }
+
+  /**
+   * Validates the issuer, audience, token use and expiration of the token
+   * @param {object} claims The payload of the token.
+   * @returns {Error|null} The first claim that is not valid.
+   */
+  validateClaims(claims) {
+    if (claims.iss !== this.issuer) {
+      return verificationError('InvalidTokenException', `Token was not issued by ${this.issuer}`);
+    }
+    if (claims.token_use !== 'id' && claims.token_use !== 'access') {
+      return verificationError('InvalidTokenException', 'Token is not an id or access token.');
+    }
+    if (this.tokenUse && claims.token_use !== this.tokenUse) {
+      return verificationError('InvalidTokenException', `Token is not an ${this.tokenUse} token.`);
+    }
+
+    const clientId = claims.token_use === 'id' ? claims.aud : claims.client_id;
+    if (this.clientIds && this.clientIds.indexOf(clientId) < 0) {
+      const message = `Token was not issued to ${this.clientIds.join(', ')}`;
+      return verificationError('InvalidTokenException', message);
+    }
+
+    const now = Math.floor(new Date().getTime() / 1000);
+    if (typeof claims.exp !== 'number' || now > claims.exp + this.clockSkew) {
+      return verificationError('TokenExpiredException', 'Token is expired.');
+    }
+    if (typeof claims.iat === 'number' && claims.iat > now + this.clockSkew) {
+      return verificationError('InvalidTokenException', 'Token is issued in the future.');
+    }
+    return null;
+  }
+}
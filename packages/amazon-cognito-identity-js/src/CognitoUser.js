@@ -27,6 +27,7 @@ import CognitoUserSession from './CognitoUserSession';
 import DateHelper from './DateHelper';
 import CognitoUserAttribute from './CognitoUserAttribute';
 import StorageHelper from './StorageHelper';
+import { fromAuthCallbacks, fromCallbacks, fromNodeCallback } from './PromiseHelper';
 
 /**
  * @callback nodeCallback
@@ -193,6 +194,11 @@ export default class CognitoUser {
    * @returns {void}
    */
   authenticateUser(authDetails, callback) {
+    if (this.authenticationFlowType === 'USER_PASSWORD_AUTH') {
+      this.authenticateUserPlainUsernamePassword(authDetails, callback);
+      return;
+    }
+
     const authenticationHelper = new AuthenticationHelper(
       this.pool.getUserPoolId().split('_')[1]);
     const dateHelper = new DateHelper();
@@ -201,6 +207,8 @@ export default class CognitoUser {
     let salt;
     const authParameters = {};
 
+    // a remembered device lets the service issue the DEVICE_SRP_AUTH challenge
+    this.getCachedDeviceKeyAndPassword();
     if (this.deviceKey != null) {
       authParameters.DEVICE_KEY = this.deviceKey;
     }
@@ -302,31 +310,6 @@ export default class CognitoUser {
                 return callback.onFailure(errAuthenticate);
               }
 
-              const challengeName = dataAuthenticate.ChallengeName;
-              if (challengeName === 'NEW_PASSWORD_REQUIRED') {
-                this.Session = dataAuthenticate.Session;
-                let userAttributes = null;
-                let rawRequiredAttributes = null;
-                const requiredAttributes = [];
-                const userAttributesPrefix = authenticationHelper
-                  .getNewPasswordRequiredChallengeUserAttributePrefix();
-
-                if (dataAuthenticate.ChallengeParameters) {
-                  userAttributes = JSON.parse(
-                    dataAuthenticate.ChallengeParameters.userAttributes);
-                  rawRequiredAttributes = JSON.parse(
-                    dataAuthenticate.ChallengeParameters.requiredAttributes);
-                }
-
-                if (rawRequiredAttributes) {
-                  for (let i = 0; i < rawRequiredAttributes.length; i++) {
-                    requiredAttributes[i] = rawRequiredAttributes[i].substr(
-                      userAttributesPrefix.length
-                    );
-                  }
-                }
-                return callback.newPasswordRequired(userAttributes, requiredAttributes);
-              }
               return this.authenticateUserInternal(
                 dataAuthenticate,
                 authenticationHelper,
@@ -342,6 +325,55 @@ export default class CognitoUser {
     });
   }
 
+  /**
+   * This is used for authenticating the user with the password sent to the service,
+   * e.g. for the user migration Lambda trigger. It runs for the USER_PASSWORD_AUTH
+   * authentication flow type.
+   * @param {AuthenticationDetails} authDetails Contains the authentication data
+   * @param {object} callback Result callback map, the same as authenticateUser's.
+   * @returns {void}
+   */
+  authenticateUserPlainUsernamePassword(authDetails, callback) {
+    const authParameters = {};
+    authParameters.USERNAME = this.username;
+    authParameters.PASSWORD = authDetails.getPassword();
+    if (!authParameters.PASSWORD) {
+      callback.onFailure(new Error('PASSWORD parameter is required'));
+      return undefined;
+    }
+
+    const authenticationHelper = new AuthenticationHelper(
+      this.pool.getUserPoolId().split('_')[1]);
+    this.getCachedDeviceKeyAndPassword();
+    if (this.deviceKey != null) {
+      authParameters.DEVICE_KEY = this.deviceKey;
+    }
+
+    const jsonReq = {
+      AuthFlow: 'USER_PASSWORD_AUTH',
+      ClientId: this.pool.getClientId(),
+      AuthParameters: authParameters,
+      ClientMetadata: authDetails.getValidationData(),
+    };
+    if (this.getUserContextData(this.username)) {
+      jsonReq.UserContextData = this.getUserContextData(this.username);
+    }
+
+    this.client.request('InitiateAuth', jsonReq, (err, authResult) => {
+      if (err) {
+        return callback.onFailure(err);
+      }
+
+      // the tokens are cached under the user name, not the alias signed in with
+      const challengeParameters = authResult.ChallengeParameters;
+      if (challengeParameters && challengeParameters.USER_ID_FOR_SRP) {
+        this.username = challengeParameters.USER_ID_FOR_SRP;
+      }
+      return this.authenticateUserInternal(authResult, authenticationHelper, callback);
+    });
+    return undefined;
+  }
+
   /**
   * PRIVATE ONLY: This is an internal only method and should not
   * be directly called by the consumers.
@@ -354,6 +386,27 @@ export default class CognitoUser {
     const challengeName = dataAuthenticate.ChallengeName;
     const challengeParameters = dataAuthenticate.ChallengeParameters;
 
+    if (challengeName === 'NEW_PASSWORD_REQUIRED') {
+      this.Session = dataAuthenticate.Session;
+      let userAttributes = null;
+      let rawRequiredAttributes = null;
+      const requiredAttributes = [];
+      const userAttributesPrefix = authenticationHelper
+        .getNewPasswordRequiredChallengeUserAttributePrefix();
+
+      if (challengeParameters) {
+        userAttributes = JSON.parse(challengeParameters.userAttributes);
+        rawRequiredAttributes = JSON.parse(challengeParameters.requiredAttributes);
+      }
+
+      if (rawRequiredAttributes) {
+        for (let i = 0; i < rawRequiredAttributes.length; i++) {
+          requiredAttributes[i] = rawRequiredAttributes[i].substr(userAttributesPrefix.length);
+        }
+      }
+      return callback.newPasswordRequired(userAttributes, requiredAttributes);
+    }
+
     if (challengeName === 'SMS_MFA') {
       this.Session = dataAuthenticate.Session;
       return callback.mfaRequired(challengeName, challengeParameters);
@@ -948,6 +1001,29 @@ export default class CognitoUser {
     return undefined;
   }
 
+  /**
+   * This is used by an authenticated user to get the raw user data, including
+   * the MFA preference (PreferredMfaSetting and UserMFASettingList)
+   * @param {nodeCallback<object>} callback Called on success or error.
+   * @returns {void}
+   */
+  getUserData(callback) {
+    if (!(this.signInUserSession != null && this.signInUserSession.isValid())) {
+      return callback(new Error('User is not authenticated'), null);
+    }
+
+    this.client.request('GetUser', {
+      AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
+    }, (err, userData) => {
+      if (err) {
+        return callback(err, null);
+      }
+
+      return callback(null, userData);
+    });
+    return undefined;
+  }
+
   /**
    * This is used by an authenticated user to get the MFAOptions
    * @param {nodeCallback<MFAOptions>} callback Called on success or error.
@@ -1081,12 +1157,11 @@ export default class CognitoUser {
     const authParameters = {};
     authParameters.REFRESH_TOKEN = refreshToken.getToken();
     const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}`;
-    const lastUserKey = `${keyPrefix}.LastAuthUser`;
 
-    if (this.storage.getItem(lastUserKey)) {
-      this.username = this.storage.getItem(lastUserKey);
-      const deviceKeyKey = `${keyPrefix}.${this.username}.deviceKey`;
-      this.deviceKey = this.storage.getItem(deviceKeyKey);
+    // the user may be any of the signed in users, not only the last one
+    const deviceKeyKey = `${keyPrefix}.${this.username}.deviceKey`;
+    this.deviceKey = this.storage.getItem(deviceKeyKey);
+    if (this.deviceKey) {
       authParameters.DEVICE_KEY = this.deviceKey;
     }
 
@@ -1111,7 +1186,8 @@ export default class CognitoUser {
           authenticationResult.RefreshToken = refreshToken.getToken();
         }
         this.signInUserSession = this.getCognitoUserSession(authenticationResult);
-        this.cacheTokens();
+        // refreshing the tokens of a user does not make it the current user
+        this.cacheUserTokens();
         return callback(null, this.signInUserSession);
       }
       return undefined;
@@ -1119,22 +1195,40 @@ export default class CognitoUser {
   }
 
   /**
-   * This is used to save the session tokens to local storage
+   * This is used to save the session tokens to local storage and make this user
+   * the current user
    * @returns {void}
    */
   cacheTokens() {
+    const lastUserKey = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.LastAuthUser`;
+
+    this.cacheUserTokens();
+    this.storage.setItem(lastUserKey, this.username);
+  }
+
+  /**
+   * This is used to save the session tokens to local storage and add this user
+   * to the signed in users
+   * @returns {void}
+   */
+  cacheUserTokens() {
     const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}`;
     const idTokenKey = `${keyPrefix}.${this.username}.idToken`;
     const accessTokenKey = `${keyPrefix}.${this.username}.accessToken`;
     const refreshTokenKey = `${keyPrefix}.${this.username}.refreshToken`;
     const clockDriftKey = `${keyPrefix}.${this.username}.clockDrift`;
-    const lastUserKey = `${keyPrefix}.LastAuthUser`;
+    const signedInUsersKey = `${keyPrefix}.SignedInUsers`;
 
     this.storage.setItem(idTokenKey, this.signInUserSession.getIdToken().getJwtToken());
     this.storage.setItem(accessTokenKey, this.signInUserSession.getAccessToken().getJwtToken());
     this.storage.setItem(refreshTokenKey, this.signInUserSession.getRefreshToken().getToken());
     this.storage.setItem(clockDriftKey, `${this.signInUserSession.getClockDrift()}`);
-    this.storage.setItem(lastUserKey, this.username);
+
+    const signedInUsers = this.getSignedInUsernames();
+    if (signedInUsers.indexOf(this.username) < 0) {
+      signedInUsers.push(this.username);
+      this.storage.setItem(signedInUsersKey, JSON.stringify(signedInUsers));
+    }
   }
 
   /**
@@ -1194,11 +1288,37 @@ export default class CognitoUser {
     const accessTokenKey = `${keyPrefix}.${this.username}.accessToken`;
     const refreshTokenKey = `${keyPrefix}.${this.username}.refreshToken`;
     const lastUserKey = `${keyPrefix}.LastAuthUser`;
+    const signedInUsersKey = `${keyPrefix}.SignedInUsers`;
 
     this.storage.removeItem(idTokenKey);
     this.storage.removeItem(accessTokenKey);
     this.storage.removeItem(refreshTokenKey);
-    this.storage.removeItem(lastUserKey);
+    // the other signed in users stay signed in
+    if (this.storage.getItem(lastUserKey) === this.username) {
+      this.storage.removeItem(lastUserKey);
+    }
+
+    const signedInUsers = this.getSignedInUsernames();
+    if (signedInUsers.indexOf(this.username) >= 0) {
+      const others = signedInUsers.filter(username => username !== this.username);
+      this.storage.setItem(signedInUsersKey, JSON.stringify(others));
+    }
+  }
+
+  /**
+   * The signed in users are kept with the tokens, in the storage of the user,
+   * which may not be the storage of the pool
+   * @returns {string[]} the usernames of the users who signed in to the application
+   */
+  getSignedInUsernames() {
+    const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}`;
+    const signedInUsersKey = `${keyPrefix}.SignedInUsers`;
+
+    try {
+      return JSON.parse(this.storage.getItem(signedInUsersKey)) || [];
+    } catch (err) {
+      return [];
+    }
   }
 
   /**
@@ -1537,10 +1657,10 @@ export default class CognitoUser {
       }
       this.Session = data.Session;
       if (answerChallenge === 'SMS_MFA') {
-        return callback.mfaRequired(data.challengeName, data.challengeParameters);
+        return callback.mfaRequired(data.ChallengeName, data.ChallengeParameters);
       }
       if (answerChallenge === 'SOFTWARE_TOKEN_MFA') {
-        return callback.totpRequired(data.challengeName, data.challengeParameters);
+        return callback.totpRequired(data.ChallengeName, data.ChallengeParameters);
       }
       return undefined;
     });
@@ -1632,8 +1752,305 @@ export default class CognitoUser {
         if (err) {
           return callback.onFailure(err);
         }
-        return callback(null, data);
+        return callback.onSuccess(data);
       });
     }
   }
+
+  /**
+   * Promise version of initiateAuth, for the CUSTOM_AUTH flow without SRP
+   * @param {AuthenticationDetails} authDetails Contains the authentication data.
+   * @returns {Promise<AuthResult>} resolves to the session or the next challenge
+   */
+  initiateAuthAsync(authDetails) {
+    return fromAuthCallbacks(callback => this.initiateAuth(authDetails, callback));
+  }
+
+  /**
+   * Promise version of authenticateUser
+   * @param {AuthenticationDetails} authDetails Contains the authentication data.
+   * @returns {Promise<AuthResult>} resolves to the session or the next challenge
+   */
+  authenticateUserAsync(authDetails) {
+    return fromAuthCallbacks(callback => this.authenticateUser(authDetails, callback));
+  }
+
+  /**
+   * Promise version of completeNewPasswordChallenge
+   * @param {string} newPassword New password for this user.
+   * @param {object} requiredAttributeData Map with values for all required attributes.
+   * @returns {Promise<AuthResult>} resolves to the session or the next challenge
+   */
+  completeNewPasswordChallengeAsync(newPassword, requiredAttributeData) {
+    return fromAuthCallbacks(callback =>
+      this.completeNewPasswordChallenge(newPassword, requiredAttributeData, callback));
+  }
+
+  /**
+   * Promise version of sendCustomChallengeAnswer
+   * @param {string} answerChallenge The answer to the challenge.
+   * @returns {Promise<AuthResult>} resolves to the session or the next challenge
+   */
+  sendCustomChallengeAnswerAsync(answerChallenge) {
+    return fromAuthCallbacks(callback => this.sendCustomChallengeAnswer(answerChallenge, callback));
+  }
+
+  /**
+   * Promise version of sendMFACode
+   * @param {string} confirmationCode The code entered by the user.
+   * @param {string} mfaType Optional, SOFTWARE_TOKEN_MFA for a TOTP code.
+   * @returns {Promise<AuthResult>} resolves to the session or the next challenge
+   */
+  sendMFACodeAsync(confirmationCode, mfaType) {
+    return fromAuthCallbacks(callback => this.sendMFACode(confirmationCode, callback, mfaType));
+  }
+
+  /**
+   * Promise version of sendMFASelectionAnswer
+   * @param {string} answerChallenge SMS_MFA or SOFTWARE_TOKEN_MFA.
+   * @returns {Promise<AuthResult>} resolves to the session or the next challenge
+   */
+  sendMFASelectionAnswerAsync(answerChallenge) {
+    return fromAuthCallbacks(callback => this.sendMFASelectionAnswer(answerChallenge, callback));
+  }
+
+  /**
+   * Promise version of confirmRegistration
+   * @param {string} confirmationCode The code sent to the user.
+   * @param {bool} forceAliasCreation Allow migrating an alias from another user.
+   * @returns {Promise<string>} resolves to the result
+   */
+  confirmRegistrationAsync(confirmationCode, forceAliasCreation) {
+    return fromNodeCallback(callback =>
+      this.confirmRegistration(confirmationCode, forceAliasCreation, callback));
+  }
+
+  /**
+   * Promise version of resendConfirmationCode
+   * @returns {Promise<object>} resolves to the result
+   */
+  resendConfirmationCodeAsync() {
+    return fromNodeCallback(callback => this.resendConfirmationCode(callback));
+  }
+
+  /**
+   * Promise version of getSession
+   * @returns {Promise<CognitoUserSession>} resolves to the result
+   */
+  getSessionAsync() {
+    return fromNodeCallback(callback => this.getSession(callback));
+  }
+
+  /**
+   * Promise version of refreshSession
+   * @param {CognitoRefreshToken} refreshToken The refresh token of the session.
+   * @returns {Promise<CognitoUserSession>} resolves to the result
+   */
+  refreshSessionAsync(refreshToken) {
+    return fromNodeCallback(callback => this.refreshSession(refreshToken, callback));
+  }
+
+  /**
+   * Promise version of changePassword
+   * @param {string} oldUserPassword The current password.
+   * @param {string} newUserPassword The new password.
+   * @returns {Promise<string>} resolves to the result
+   */
+  changePasswordAsync(oldUserPassword, newUserPassword) {
+    return fromNodeCallback(callback =>
+      this.changePassword(oldUserPassword, newUserPassword, callback));
+  }
+
+  /**
+   * Promise version of forgotPassword
+   * @returns {Promise<object>} resolves to the result
+   */
+  forgotPasswordAsync() {
+    return fromCallbacks(callback => this.forgotPassword(callback));
+  }
+
+  /**
+   * Promise version of confirmPassword
+   * @param {string} confirmationCode The code sent to the user.
+   * @param {string} newPassword The new password.
+   * @returns {Promise<void>} resolves to the result
+   */
+  confirmPasswordAsync(confirmationCode, newPassword) {
+    return fromCallbacks(callback => this.confirmPassword(confirmationCode, newPassword, callback));
+  }
+
+  /**
+   * Promise version of enableMFA
+   * @returns {Promise<string>} resolves to the result
+   */
+  enableMFAAsync() {
+    return fromNodeCallback(callback => this.enableMFA(callback));
+  }
+
+  /**
+   * Promise version of disableMFA
+   * @returns {Promise<string>} resolves to the result
+   */
+  disableMFAAsync() {
+    return fromNodeCallback(callback => this.disableMFA(callback));
+  }
+
+  /**
+   * Promise version of setUserMfaPreference
+   * @param {object} smsMfaSettings The SMS MFA settings.
+   * @param {object} softwareTokenMfaSettings The TOTP MFA settings.
+   * @returns {Promise<string>} resolves to the result
+   */
+  setUserMfaPreferenceAsync(smsMfaSettings, softwareTokenMfaSettings) {
+    return fromNodeCallback(callback =>
+      this.setUserMfaPreference(smsMfaSettings, softwareTokenMfaSettings, callback));
+  }
+
+  /**
+   * Promise version of getMFAOptions
+   * @returns {Promise<object[]>} resolves to the result
+   */
+  getMFAOptionsAsync() {
+    return fromNodeCallback(callback => this.getMFAOptions(callback));
+  }
+
+  /**
+   * Promise version of associateSoftwareToken
+   * @returns {Promise<string>} resolves to the result
+   */
+  associateSoftwareTokenAsync() {
+    return fromCallbacks(callback => this.associateSoftwareToken(callback));
+  }
+
+  /**
+   * Promise version of verifySoftwareToken
+   * @param {string} totpCode The code of the authenticator app.
+   * @param {string} friendlyDeviceName The name of the authenticator.
+   * @returns {Promise<object>} resolves to the result
+   */
+  verifySoftwareTokenAsync(totpCode, friendlyDeviceName) {
+    return fromCallbacks(callback =>
+      this.verifySoftwareToken(totpCode, friendlyDeviceName, callback));
+  }
+
+  /**
+   * Promise version of getUserAttributes
+   * @returns {Promise<CognitoUserAttribute[]>} resolves to the result
+   */
+  getUserAttributesAsync() {
+    return fromNodeCallback(callback => this.getUserAttributes(callback));
+  }
+
+  /**
+   * Promise version of getUserData
+   * @returns {Promise<object>} resolves to the result
+   */
+  getUserDataAsync() {
+    return fromNodeCallback(callback => this.getUserData(callback));
+  }
+
+  /**
+   * Promise version of updateAttributes
+   * @param {AttributeArg[]} attributes The attributes to update.
+   * @returns {Promise<string>} resolves to the result
+   */
+  updateAttributesAsync(attributes) {
+    return fromNodeCallback(callback => this.updateAttributes(attributes, callback));
+  }
+
+  /**
+   * Promise version of deleteAttributes
+   * @param {string[]} attributeList The names of the attributes to delete.
+   * @returns {Promise<string>} resolves to the result
+   */
+  deleteAttributesAsync(attributeList) {
+    return fromNodeCallback(callback => this.deleteAttributes(attributeList, callback));
+  }
+
+  /**
+   * Promise version of getAttributeVerificationCode
+   * @param {string} attributeName The attribute to verify.
+   * @returns {Promise<object>} resolves to the result
+   */
+  getAttributeVerificationCodeAsync(attributeName) {
+    return fromCallbacks(callback => this.getAttributeVerificationCode(attributeName, callback));
+  }
+
+  /**
+   * Promise version of verifyAttribute
+   * @param {string} attributeName The attribute to verify.
+   * @param {string} confirmationCode The code sent to the user.
+   * @returns {Promise<string>} resolves to the result
+   */
+  verifyAttributeAsync(attributeName, confirmationCode) {
+    return fromCallbacks(callback =>
+      this.verifyAttribute(attributeName, confirmationCode, callback));
+  }
+
+  /**
+   * Promise version of deleteUser
+   * @returns {Promise<string>} resolves to the result
+   */
+  deleteUserAsync() {
+    return fromNodeCallback(callback => this.deleteUser(callback));
+  }
+
+  /**
+   * Promise version of getDevice
+   * @returns {Promise<object>} resolves to the result
+   */
+  getDeviceAsync() {
+    return fromCallbacks(callback => this.getDevice(callback));
+  }
+
+  /**
+   * Promise version of listDevices
+   * @param {int} limit The maximum number of devices.
+   * @param {string} paginationToken The token of the next page.
+   * @returns {Promise<object>} resolves to the result
+   */
+  listDevicesAsync(limit, paginationToken) {
+    return fromCallbacks(callback => this.listDevices(limit, paginationToken, callback));
+  }
+
+  /**
+   * Promise version of setDeviceStatusRemembered
+   * @returns {Promise<string>} resolves to the result
+   */
+  setDeviceStatusRememberedAsync() {
+    return fromCallbacks(callback => this.setDeviceStatusRemembered(callback));
+  }
+
+  /**
+   * Promise version of setDeviceStatusNotRemembered
+   * @returns {Promise<string>} resolves to the result
+   */
+  setDeviceStatusNotRememberedAsync() {
+    return fromCallbacks(callback => this.setDeviceStatusNotRemembered(callback));
+  }
+
+  /**
+   * Promise version of forgetDevice
+   * @returns {Promise<string>} resolves to the result
+   */
+  forgetDeviceAsync() {
+    return fromCallbacks(callback => this.forgetDevice(callback));
+  }
+
+  /**
+   * Promise version of forgetSpecificDevice
+   * @param {string} deviceKey The key of the device to forget.
+   * @returns {Promise<string>} resolves to the result
+   */
+  forgetSpecificDeviceAsync(deviceKey) {
+    return fromCallbacks(callback => this.forgetSpecificDevice(deviceKey, callback));
+  }
+
+  /**
+   * Promise version of globalSignOut
+   * @returns {Promise<string>} resolves to the result
+   */
+  globalSignOutAsync() {
+    return fromCallbacks(callback => this.globalSignOut(callback));
+  }
 }
@@ -18,6 +18,7 @@
 import Client from './Client';
 import CognitoUser from './CognitoUser';
 import StorageHelper from './StorageHelper';
+import { fromNodeCallback } from './PromiseHelper';
 
 /** @class */
 export default class CognitoUserPool {
@@ -31,9 +32,17 @@ export default class CognitoUserPool {
    *        boolean flag indicating if the data collection is enabled
    *        to support cognito advanced security features. By default, this
    *        flag is set to true.
+   * @param {object} data.ClientOptions Optional retry and timeout options of the requests,
+   *        see Client.
    */
   constructor(data) {
-    const { UserPoolId, ClientId, endpoint, AdvancedSecurityDataCollectionFlag } = data || {};
+    const {
+      UserPoolId,
+      ClientId,
+      endpoint,
+      AdvancedSecurityDataCollectionFlag,
+      ClientOptions,
+    } = data || {};
     if (!UserPoolId || !ClientId) {
       throw new Error('Both UserPoolId and ClientId are required.');
     }
@@ -45,7 +54,7 @@ export default class CognitoUserPool {
     this.userPoolId = UserPoolId;
     this.clientId = ClientId;
 
-    this.client = new Client(region, endpoint);
+    this.client = new Client(region, endpoint, ClientOptions);
 
     /**
      * By default, AdvancedSecurityDataCollectionFlag is set to true,
@@ -116,6 +125,19 @@ export default class CognitoUserPool {
     });
   }
 
+  /**
+   * Promise version of signUp
+   * @param {string} username User's username.
+   * @param {string} password Plain-text initial password entered by user.
+   * @param {(AttributeArg[])=} userAttributes New user attributes.
+   * @param {(AttributeArg[])=} validationData Application metadata.
+   * @returns {Promise<SignUpResult>} resolves to the new user
+   */
+  signUpAsync(username, password, userAttributes, validationData) {
+    return fromNodeCallback(callback =>
+      this.signUp(username, password, userAttributes, validationData, callback));
+  }
+
 
   /**
    * method for getting the current user of the application from the local storage
@@ -139,6 +161,64 @@ export default class CognitoUserPool {
     return null;
   }
 
+  /**
+   * method for getting the users signed in to the application, whose tokens are
+   * in the local storage
+   *
+   * @returns {CognitoUser[]} the users retrieved from storage, the current user first
+   */
+  getSignedInUsers() {
+    const lastUserKey = `CognitoIdentityServiceProvider.${this.clientId}.LastAuthUser`;
+
+    const lastAuthUser = this.storage.getItem(lastUserKey);
+    const usernames = this.getSignedInUsernames().filter(username => username !== lastAuthUser);
+    // the current user may have signed in before the signed in users were kept
+    if (lastAuthUser) {
+      usernames.unshift(lastAuthUser);
+    }
+
+    return usernames.map(username => new CognitoUser({
+      Username: username,
+      Pool: this,
+      Storage: this.storage,
+    }));
+  }
+
+  /**
+   * method for making one of the signed in users the current user
+   *
+   * @param {string} username the username of the signed in user.
+   * @returns {CognitoUser} the user, null if it is not signed in
+   */
+  setCurrentUser(username) {
+    const keyPrefix = `CognitoIdentityServiceProvider.${this.clientId}`;
+    const refreshTokenKey = `${keyPrefix}.${username}.refreshToken`;
+
+    if (!username || !this.storage.getItem(refreshTokenKey)) {
+      return null;
+    }
+    this.storage.setItem(`${keyPrefix}.LastAuthUser`, username);
+
+    return new CognitoUser({
+      Username: username,
+      Pool: this,
+      Storage: this.storage,
+    });
+  }
+
+  /**
+   * @returns {string[]} the usernames of the users who signed in to the application
+   */
+  getSignedInUsernames() {
+    const signedInUsersKey = `CognitoIdentityServiceProvider.${this.clientId}.SignedInUsers`;
+
+    try {
+      return JSON.parse(this.storage.getItem(signedInUsersKey)) || [];
+    } catch (err) {
+      return [];
+    }
+  }
+
   /**
    * This method returns the encoded data string used for cognito advanced security feature.
    * This would be generated only when developer has included the JS used for collecting the
@@ -0,0 +1,101 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @typedef {object} AuthResult
+ * @property {string} type SUCCESS, or the next step of the sign in: MFA_REQUIRED,
+ *           TOTP_REQUIRED, SELECT_MFA_TYPE, MFA_SETUP, CUSTOM_CHALLENGE or NEW_PASSWORD_REQUIRED.
+ * @property {CognitoUserSession} session The new session, for SUCCESS.
+ * @property {bool} userConfirmationNecessary The device has to be remembered or not, for SUCCESS.
+ * @property {string} challengeName The Cognito challenge, for the other types.
+ * @property {object} challengeParameters The parameters of the challenge.
+ * @property {object} userAttributes The attributes of the user, for NEW_PASSWORD_REQUIRED.
+ * @property {string[]} requiredAttributes The attributes to set, for NEW_PASSWORD_REQUIRED.
+ */
+
+/**
+ * Calls an operation with a node style callback
+ * @param {function} operation Called with the callback.
+ * @returns {Promise<*>} resolves to the result, rejects with the error
+ */
+export function fromNodeCallback(operation) {
+  return new Promise((resolve, reject) => {
+    operation((err, result) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+/**
+ * Calls an operation with a callback map
+ * @param {function} operation Called with the callback map.
+ * @returns {Promise<*>} resolves to the result of onSuccess, inputVerificationCode
+ *          or associateSecretCode, rejects with the error
+ */
+export function fromCallbacks(operation) {
+  return new Promise((resolve, reject) => {
+    operation({
+      onSuccess: resolve,
+      onFailure: reject,
+      inputVerificationCode: resolve,
+      associateSecretCode: resolve,
+    });
+  });
+}
+
+/**
+ * Calls a step of the sign in with a callback map
+ * @param {function} operation Called with the callback map.
+ * @returns {Promise<AuthResult>} resolves to the session or the next challenge,
+ *          rejects with the error
+ */
+export function fromAuthCallbacks(operation) {
+  return new Promise((resolve, reject) => {
+    const challenge = type => (challengeName, challengeParameters) => resolve({
+      type,
+      challengeName,
+      challengeParameters,
+    });
+    operation({
+      onSuccess: (session, userConfirmationNecessary) => resolve({
+        type: 'SUCCESS',
+        session,
+        userConfirmationNecessary: !!userConfirmationNecessary,
+      }),
+      onFailure: reject,
+      mfaRequired: challenge('MFA_REQUIRED'),
+      totpRequired: challenge('TOTP_REQUIRED'),
+      selectMFAType: challenge('SELECT_MFA_TYPE'),
+      mfaSetup: challenge('MFA_SETUP'),
+      customChallenge: challengeParameters => resolve({
+        type: 'CUSTOM_CHALLENGE',
+        challengeName: 'CUSTOM_CHALLENGE',
+        challengeParameters,
+      }),
+      newPasswordRequired: (userAttributes, requiredAttributes) => resolve({
+        type: 'NEW_PASSWORD_REQUIRED',
+        challengeName: 'NEW_PASSWORD_REQUIRED',
+        userAttributes,
+        requiredAttributes,
+      }),
+    });
+  });
+}
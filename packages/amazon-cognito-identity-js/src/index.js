@@ -19,6 +19,7 @@ export { default as AuthenticationDetails } from './AuthenticationDetails';
 export { default as AuthenticationHelper } from './AuthenticationHelper';
 export { default as CognitoAccessToken } from './CognitoAccessToken';
 export { default as CognitoIdToken } from './CognitoIdToken';
+export { default as CognitoJwtVerifier } from './CognitoJwtVerifier';
 export { default as CognitoRefreshToken } from './CognitoRefreshToken';
 export { default as CognitoUser } from './CognitoUser';
 export { default as CognitoUserAttribute } from './CognitoUserAttribute';
@@ -13,7 +13,14 @@
 
 import I18n from '../I18n';
 
+// entries keyed on the code of the error come first, the regexes match the message
 export const MapEntries = [
+    ['User does not exist', 'UserNotFoundException'],
+    ['User already exists', 'UsernameExistsException'],
+    ['Invalid password format', 'InvalidPasswordException'],
+    ['User is not confirmed', 'UserNotConfirmedException'],
+    ['Password reset required', 'PasswordResetRequiredException'],
+    ['Invalid verification code', 'CodeMismatchException'],
     ['User does not exist', /user.*not.*exist/i],
     ['User already exists', /user.*already.*exist/i],
     ['Incorrect username or password', /incorrect.*username.*password/i],
@@ -25,10 +32,20 @@ export const MapEntries = [
     ]
 ];
 
-export default AmplifyMessageMap = (message) => {
-    const match = MapEntries.filter(entry => entry[1].test(message));
+/**
+ * @param {String|Object} message - the error message, or the error with code and message
+ * @param {Object} error - optional, the error with the code
+ */
+export default AmplifyMessageMap = (message, error) => {
+    const err = (message && typeof message === 'object')? message : error;
+    const text = (message && typeof message === 'object')? message.message : message;
+    const code = err && err.code;
+
+    const match = MapEntries.filter(entry => {
+        return (typeof entry[1] === 'string')? entry[1] === code : entry[1].test(text);
+    });
     if (match.length === 0) {
-        return message;
+        return text;
     }
 
     const entry = match[0];
@@ -48,7 +48,7 @@ export default class AuthPiece extends React.Component {
         }
 
         const map = this.props.errorMessage || AmplifyMessageMap;
-        msg = (typeof map === 'string')? msp : map(msg);
+        msg = (typeof map === 'string')? msp : map(msg, err);
         this.setState({ error: msg });
     }
 }
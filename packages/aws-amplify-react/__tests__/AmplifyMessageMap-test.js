@@ -2,6 +2,12 @@ import { MapEntries, default as AmplifyMessageMap} from '../src/AmplifyMessageMa
 
 test('MapEntries', () => {
     expect(MapEntries).toEqual([
+        ["User does not exist", "UserNotFoundException"],
+        ["User already exists", "UsernameExistsException"],
+        ["Invalid password format", "InvalidPasswordException"],
+        ["User is not confirmed", "UserNotConfirmedException"],
+        ["Password reset required", "PasswordResetRequiredException"],
+        ["Invalid verification code", "CodeMismatchException"],
         ["User does not exist", /user.*not.*exist/i], 
         ["User already exists", /user.*already.*exist/i], 
         ["Incorrect username or password", /incorrect.*username.*password/i], 
@@ -25,3 +31,12 @@ test('AmplifyMessageMap no match', () => {
 test('AmplifyMessageMap return message instead of i18n token if message exists', () => {
     expect(AmplifyMessageMap('invalid phone')).toBe('Invalid phone number format. Please use a phone number format of +12345678900');
 });
+
+test('AmplifyMessageMap error code', () => {
+    expect(AmplifyMessageMap('User is not confirmed.', { code: 'UserNotConfirmedException' })).toBe('User is not confirmed');
+});
+
+test('AmplifyMessageMap error object', () => {
+    expect(AmplifyMessageMap({ code: 'CodeMismatchException', message: 'Invalid code' })).toBe('Invalid verification code');
+    expect(AmplifyMessageMap({ code: 'UnknownError', message: 'abc' })).toBe('abc');
+});
@@ -153,7 +153,7 @@ describe('AuthPiece test', () => {
 
             testPiece.error('err');
 
-            expect(spyon).toBeCalledWith({data: 'errMessage', type: 'error'});
+            expect(spyon).toBeCalledWith({data: 'errMessage', type: 'error', error: 'err'});
 
             spyon.mockClear();
             spyon2.mockClear();
@@ -66,7 +66,8 @@ export default class AuthPiece extends Component {
     error(err) {
         this.triggerAuthEvent({
             type: 'error',
-            data: this.errorMessage(err)
+            data: this.errorMessage(err),
+            error: err
         });
     }
 
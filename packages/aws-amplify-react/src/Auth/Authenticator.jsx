@@ -59,7 +59,7 @@ export default class Authenticator extends Component {
     handleAuthEvent(state, event) {
         if (event.type === 'error') {
             const map = this.props.errorMessage || AmplifyMessageMap;
-            const message = (typeof map === 'string')? map : map(event.data);
+            const message = (typeof map === 'string')? map : map(event.data, event.error);
             this.setState({ error: message });
         }
     }
@@ -160,6 +160,27 @@ describe('RestClient test', () => {
 
             expect(await restClient.ajax('url', 'method', {headers: {Authorization: 'authorization'}})).toEqual('data');
         });
+
+        test('ajax signed with the credentials of the call', async () => {
+            const restClient = new RestClient({ headers: {}, endpoints: {} });
+            const signSpyon = jest.spyOn(Signer, 'sign');
+            spyon.mockClear();
+
+            const credentials = {
+                accessKeyId: 'requestAccessKeyId',
+                secretAccessKey: 'requestSecretAccessKey',
+                sessionToken: 'requestSessionToken'
+            };
+            expect(await restClient.ajax('url', 'method', { credentials })).toEqual('data');
+
+            expect(spyon).not.toBeCalled();
+            expect(signSpyon.mock.calls[0][1]).toEqual({
+                secret_key: 'requestSecretAccessKey',
+                access_key: 'requestAccessKeyId',
+                session_token: 'requestSessionToken'
+            });
+            signSpyon.mockRestore();
+        });
     });
 
     describe('get test', () => {
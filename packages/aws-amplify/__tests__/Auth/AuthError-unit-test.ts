@@ -0,0 +1,73 @@
+import AuthError, { AuthErrorCodes } from '../../src/Auth/AuthError';
+
+describe('AuthError unit test', () => {
+    test('error of Auth', () => {
+        const error = new AuthError(AuthErrorCodes.NoUserPool);
+        expect(error).toBeInstanceOf(AuthError);
+        expect(error).toBeInstanceOf(Error);
+        expect(error.name).toBe('AuthError');
+        expect(error.code).toBe('NoUserPool');
+        expect(error.message).toBe('No userPool');
+        expect(error.recovery).toBe('Configure Auth with userPoolId and userPoolWebClientId');
+    });
+
+    test('message of the call', () => {
+        const error = new AuthError(AuthErrorCodes.NoCurrentUser, 'No current user in userPool');
+        expect(error.message).toBe('No current user in userPool');
+        expect(error.recovery).toBe('Sign in first');
+    });
+
+    describe('from', () => {
+        test('known Cognito error', () => {
+            const err = {
+                code: 'UserNotConfirmedException',
+                name: 'UserNotConfirmedException',
+                message: 'User is not confirmed.'
+            };
+            const error = AuthError.from(err);
+            expect(error.code).toBe('UserNotConfirmedException');
+            expect(error.message).toBe('User is not confirmed.');
+            expect(error.recovery).toBe('Confirm the sign up with the code sent to the user, or resend it');
+            expect(error.cause).toBe(err);
+        });
+
+        test('unknown Cognito error', () => {
+            const error = AuthError.from({ code: 'InternalErrorException', message: 'internal error' });
+            expect(error.code).toBe('InternalErrorException');
+            expect(error.message).toBe('internal error');
+            expect(error.recovery).toBeUndefined();
+        });
+
+        test('Cognito error without message', () => {
+            const error = AuthError.from({ code: 'CodeMismatchException' });
+            expect(error.message).toBe('Invalid verification code provided');
+            expect(error.recovery).toBe('Check the code and try again');
+        });
+
+        test('string', () => {
+            const error = AuthError.from('err');
+            expect(error.code).toBe(AuthErrorCodes.UnknownError);
+            expect(error.message).toBe('err');
+            expect(error.cause).toBe('err');
+        });
+
+        test('Error', () => {
+            const err = new Error('Network error');
+            const error = AuthError.from(err);
+            expect(error.code).toBe(AuthErrorCodes.UnknownError);
+            expect(error.message).toBe('Network error');
+            expect(error.cause).toBe(err);
+        });
+
+        test('AuthError', () => {
+            const error = new AuthError(AuthErrorCodes.EmptyCode);
+            expect(AuthError.from(error)).toBe(error);
+        });
+
+        test('nothing', () => {
+            const error = AuthError.from(undefined);
+            expect(error.code).toBe(AuthErrorCodes.UnknownError);
+            expect(error.message).toBe('Unknown error');
+        });
+    });
+});
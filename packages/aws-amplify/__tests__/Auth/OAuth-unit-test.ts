@@ -0,0 +1,183 @@
+jest.mock('axios', () => {
+    return {
+        default: jest.fn((params) => {
+            return new Promise((res, rej) => {
+                res({
+                    data: {
+                        id_token: 'idToken',
+                        access_token: 'accessToken',
+                        refresh_token: 'refreshToken'
+                    }
+                });
+            });
+        })
+    }
+});
+
+import OAuth from '../../src/Auth/OAuth';
+import axios from 'axios';
+import * as crypto from 'crypto';
+
+const oauthOptions = {
+    domain: 'auth.example.com',
+    scope: ['openid', 'email'],
+    redirectSignIn: 'http://localhost:3000/',
+    redirectSignOut: 'http://localhost:3000/signout',
+    responseType: 'code'
+};
+
+const parseQuery = (url) => {
+    const query = {};
+    url.split('?')[1].split('&').forEach(pair => {
+        const [key, value] = pair.split('=');
+        query[decodeURIComponent(key)] = decodeURIComponent(value);
+    });
+    return query;
+};
+
+describe('OAuth unit test', () => {
+    describe('oauthSignIn', () => {
+        test('opens the authorize url with state and PKCE challenge', () => {
+            const urlOpener = jest.fn();
+            const oauth = new OAuth({ config: oauthOptions, cognitoClientId: 'clientId', urlOpener });
+
+            const url = oauth.oauthSignIn('Google');
+            const query = parseQuery(url);
+
+            expect(urlOpener).toBeCalledWith(url, oauthOptions.redirectSignIn);
+            expect(url.indexOf('https://auth.example.com/oauth2/authorize?')).toBe(0);
+            expect(query['response_type']).toBe('code');
+            expect(query['client_id']).toBe('clientId');
+            expect(query['redirect_uri']).toBe(oauthOptions.redirectSignIn);
+            expect(query['scope']).toBe('openid email');
+            expect(query['identity_provider']).toBe('Google');
+            expect(query['code_challenge_method']).toBe('S256');
+
+            const verifier = window.sessionStorage.getItem('aws-amplify-oauth-pkce');
+            const challenge = crypto.createHash('sha256').update(verifier).digest('base64')
+                .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+            expect(query['code_challenge']).toBe(challenge);
+            expect(query['state']).toBe(window.sessionStorage.getItem('aws-amplify-oauth-state'));
+        });
+    });
+
+    describe('isOAuthResponse', () => {
+        test('true for the redirect with a code', () => {
+            const oauth = new OAuth({ config: oauthOptions, cognitoClientId: 'clientId' });
+            expect(oauth.isOAuthResponse('http://localhost:3000/?code=abc&state=xyz')).toBe(true);
+            expect(oauth.isOAuthResponse('http://localhost:3000/?error=access_denied')).toBe(true);
+        });
+
+        test('false for other urls', () => {
+            const oauth = new OAuth({ config: oauthOptions, cognitoClientId: 'clientId' });
+            expect(oauth.isOAuthResponse('http://localhost:3000/')).toBe(false);
+            expect(oauth.isOAuthResponse('http://other.com/?code=abc')).toBe(false);
+        });
+    });
+
+    describe('handleAuthResponse', () => {
+        test('exchanges the code with the verifier', async () => {
+            const oauth = new OAuth({ config: oauthOptions, cognitoClientId: 'clientId', urlOpener: jest.fn() });
+            const query = parseQuery(oauth.oauthSignIn());
+            const verifier = window.sessionStorage.getItem('aws-amplify-oauth-pkce');
+
+            const tokens = await oauth.handleAuthResponse(
+                'http://localhost:3000/?code=authCode&state=' + encodeURIComponent(query['state'])
+            );
+
+            expect(tokens).toEqual({
+                idToken: 'idToken',
+                accessToken: 'accessToken',
+                refreshToken: 'refreshToken',
+                state: query['state']
+            });
+            const request = (<any>axios).mock.calls[0][0];
+            expect(request.method).toBe('POST');
+            expect(request.url).toBe('https://auth.example.com/oauth2/token');
+            expect(parseQuery('?' + request.data)).toEqual({
+                grant_type: 'authorization_code',
+                client_id: 'clientId',
+                code: 'authCode',
+                redirect_uri: oauthOptions.redirectSignIn,
+                code_verifier: verifier
+            });
+            expect(window.sessionStorage.getItem('aws-amplify-oauth-pkce')).toBeFalsy();
+
+            (<any>axios).mockClear();
+        });
+
+        test('state mismatch', async () => {
+            const oauth = new OAuth({ config: oauthOptions, cognitoClientId: 'clientId', urlOpener: jest.fn() });
+            oauth.oauthSignIn();
+
+            expect.assertions(2);
+            try {
+                await oauth.handleAuthResponse('http://localhost:3000/?code=authCode&state=forged');
+            } catch (e) {
+                expect(e.message).toBe('Invalid state in the response');
+            }
+            expect(axios).not.toBeCalled();
+        });
+
+        test('error returned by the Hosted UI', async () => {
+            const oauth = new OAuth({ config: oauthOptions, cognitoClientId: 'clientId' });
+
+            expect.assertions(1);
+            try {
+                await oauth.handleAuthResponse(
+                    'http://localhost:3000/?error=access_denied&error_description=denied'
+                );
+            } catch (e) {
+                expect(e.message).toBe('denied');
+            }
+        });
+    });
+
+    describe('random values', () => {
+        test('drops the bytes which would bias the characters', () => {
+            const oauth = new OAuth({ config: oauthOptions, cognitoClientId: 'clientId' });
+            const spyon = jest.spyOn(OAuth.prototype, '_randomBytes')
+                .mockImplementationOnce(() => [198, 255, 0, 65])
+                .mockImplementationOnce(() => [1, 2, 3, 4]);
+
+            expect(oauth['_generateRandom'](4)).toBe('A~BC');
+            expect(spyon).toHaveBeenCalledTimes(2);
+
+            spyon.mockRestore();
+        });
+
+        test('uses a secure generator', () => {
+            const oauth = new OAuth({ config: oauthOptions, cognitoClientId: 'clientId' });
+            const spyon = jest.spyOn(Math, 'random');
+
+            const value = oauth['_generateRandom'](128);
+            expect(value).toMatch(/^[A-Za-z0-9._~-]{128}$/);
+            expect(spyon).not.toHaveBeenCalled();
+
+            spyon.mockRestore();
+        });
+    });
+
+    describe('signOut', () => {
+        test('opens the logout url', () => {
+            const urlOpener = jest.fn();
+            const oauth = new OAuth({ config: oauthOptions, cognitoClientId: 'clientId', urlOpener });
+
+            const url = oauth.signOut();
+
+            expect(url).toBe('https://auth.example.com/logout?client_id=clientId&logout_uri='
+                + encodeURIComponent(oauthOptions.redirectSignOut));
+            expect(urlOpener).toBeCalledWith(url, oauthOptions.redirectSignOut);
+        });
+    });
+
+    describe('domain', () => {
+        test('keeps the scheme of the domain', () => {
+            const config = Object.assign({}, oauthOptions, { domain: 'http://localhost:9229/' });
+            const oauth = new OAuth({ config, cognitoClientId: 'clientId', urlOpener: jest.fn() });
+
+            expect(oauth.getAuthorizeUrl().indexOf('http://localhost:9229/oauth2/authorize?')).toBe(0);
+            expect(oauth.signOut().indexOf('http://localhost:9229/logout?')).toBe(0);
+        });
+    });
+});
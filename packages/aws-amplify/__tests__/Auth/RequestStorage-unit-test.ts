@@ -0,0 +1,73 @@
+import RequestStorage, { parseCookies, serializeCookie } from '../../src/Auth/RequestStorage';
+
+describe('RequestStorage unit test', () => {
+    describe('parseCookies', () => {
+        test('cookie header', () => {
+            expect(parseCookies('a=1; b="two"; c%2Ekey=x%3Dy; invalid')).toEqual({
+                a: '1',
+                b: 'two',
+                'c.key': 'x=y'
+            });
+        });
+
+        test('no header', () => {
+            expect(parseCookies(undefined)).toEqual({});
+        });
+    });
+
+    describe('serializeCookie', () => {
+        test('with domain', () => {
+            const expires = new Date(0);
+            expect(serializeCookie('a.b', 'c=d', { domain: 'example.com' }, expires))
+                .toBe('a.b=c%3Dd; Domain=example.com; Path=/; Expires=' + expires.toUTCString() + '; Secure');
+        });
+
+        test('not secure', () => {
+            const expires = new Date(0);
+            expect(serializeCookie('a', 'b', { domain: 'example.com', path: '/app', secure: false }, expires))
+                .toBe('a=b; Domain=example.com; Path=/app; Expires=' + expires.toUTCString());
+        });
+    });
+
+    describe('RequestStorage', () => {
+        test('seeded from the cookie header', () => {
+            const storage = new RequestStorage('a=1; b=2');
+            expect(storage.getItem('a')).toBe('1');
+            expect(storage.getItem('b')).toBe('2');
+        });
+
+        test('seeded from cookie values', () => {
+            const storage = new RequestStorage({ a: '1' });
+            expect(storage.getItem('a')).toBe('1');
+        });
+
+        test('nothing changed', () => {
+            const storage = new RequestStorage('a=1');
+            storage.setItem('a', '1');
+            expect(storage.setCookieHeaders()).toEqual([]);
+        });
+
+        test('changed and removed items', () => {
+            const storage = new RequestStorage('a=1; b=2');
+            storage.setItem('a', '3');
+            storage.setItem('c', '4');
+            storage.removeItem('b');
+
+            const headers = storage.setCookieHeaders({ domain: 'example.com' });
+            expect(headers.length).toBe(3);
+            expect(headers[0]).toMatch(/^a=3; Domain=example.com; Path=\/; Expires=.*; Secure$/);
+            expect(headers[1]).toMatch(/^c=4; /);
+            expect(headers[2]).toBe('b=; Domain=example.com; Path=/; Expires=' + new Date(0).toUTCString() + '; Secure');
+        });
+
+        test('expires in days', () => {
+            const storage = new RequestStorage();
+            storage.setItem('a', '1');
+            const expires = new Date(new Date().getTime() + 24 * 60 * 60 * 1000);
+
+            const header = storage.setCookieHeaders({ domain: 'example.com', expires: 1 })[0];
+            const cookieExpires = new Date(header.match(/Expires=([^;]*)/)[1]);
+            expect(Math.abs(cookieExpires.getTime() - expires.getTime())).toBeLessThan(2000);
+        });
+    });
+});
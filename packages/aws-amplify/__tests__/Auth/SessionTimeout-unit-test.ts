@@ -0,0 +1,200 @@
+import SessionTimeout, { appStateActivityTracker } from '../../src/Auth/SessionTimeout';
+import { MemoryStorage, TokenStorageCache } from '../../src/Auth/TokenStorage';
+
+const MINUTE = 60 * 1000;
+
+describe('SessionTimeout unit test', () => {
+    let now;
+    let getTime;
+    let cache;
+    let handlers;
+    let activity;
+    let untrack;
+    const tracker = (onActivity) => {
+        activity = onActivity;
+        return untrack;
+    };
+
+    const create = (options) => {
+        const sessionTimeout = new SessionTimeout(handlers);
+        sessionTimeout.configure(Object.assign({ activityTracker: tracker }, options), cache);
+        return sessionTimeout;
+    };
+
+    const advance = (ms) => {
+        now += ms;
+        jest.advanceTimersByTime(ms);
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        now = 1000000;
+        getTime = jest.spyOn(Date.prototype, 'getTime').mockImplementation(() => now);
+        cache = new TokenStorageCache(new MemoryStorage());
+        handlers = { onWarning: jest.fn(), onTimeout: jest.fn() };
+        activity = null;
+        untrack = jest.fn();
+    });
+
+    afterEach(() => {
+        getTime.mockRestore();
+        jest.useRealTimers();
+    });
+
+    describe('idleTimeout', () => {
+        test('warns then times out without activity', () => {
+            const sessionTimeout = create({ idleTimeout: 10 * MINUTE });
+            sessionTimeout.start();
+
+            advance(9 * MINUTE);
+            expect(handlers.onWarning).toBeCalledWith('idle', 1000000 + 10 * MINUTE);
+            expect(handlers.onTimeout).not.toBeCalled();
+
+            advance(MINUTE);
+            expect(handlers.onTimeout).toBeCalledWith('idle', 1000000 + 10 * MINUTE);
+            expect(untrack).toBeCalled();
+            expect(cache.getItem('sessionTimeout')).toBeNull();
+        });
+
+        test('activity extends the deadline', () => {
+            const sessionTimeout = create({ idleTimeout: 10 * MINUTE, sessionTimeoutWarning: 0 });
+            sessionTimeout.start();
+
+            advance(8 * MINUTE);
+            activity();
+            advance(8 * MINUTE);
+            expect(handlers.onTimeout).not.toBeCalled();
+            expect(cache.getItem('sessionTimeout').idleExpiresAt).toBe(1000000 + 18 * MINUTE);
+
+            advance(2 * MINUTE);
+            expect(handlers.onTimeout).toBeCalledWith('idle', 1000000 + 18 * MINUTE);
+        });
+
+        test('activity after the deadline times out', () => {
+            const sessionTimeout = create({ idleTimeout: 10 * MINUTE });
+            sessionTimeout.start();
+
+            // the device slept, the timers did not run
+            now += 11 * MINUTE;
+            activity();
+            expect(handlers.onTimeout).toBeCalledWith('idle', 1000000 + 10 * MINUTE);
+        });
+
+        test('recorded activity extends the deadline', () => {
+            const sessionTimeout = create({ idleTimeout: 10 * MINUTE, sessionTimeoutWarning: 0 });
+            sessionTimeout.start();
+
+            advance(8 * MINUTE);
+            sessionTimeout.recordActivity();
+            advance(8 * MINUTE);
+            expect(handlers.onTimeout).not.toBeCalled();
+
+            advance(2 * MINUTE);
+            expect(handlers.onTimeout).toBeCalledWith('idle', 1000000 + 18 * MINUTE);
+        });
+
+        test('recorded activity without a session or an idleTimeout', () => {
+            const sessionTimeout = create({ idleTimeout: 10 * MINUTE });
+            sessionTimeout.recordActivity();
+            expect(cache.getItem('sessionTimeout')).toBeNull();
+
+            const maxAgeOnly = create({ maxSessionAge: 10 * MINUTE, sessionTimeoutWarning: 0 });
+            maxAgeOnly.start();
+            advance(8 * MINUTE);
+            maxAgeOnly.recordActivity();
+            advance(2 * MINUTE);
+            expect(handlers.onTimeout).toBeCalledWith('maxSessionAge', 1000000 + 10 * MINUTE);
+        });
+
+        test('activity in another window extends the deadline', () => {
+            const sessionTimeout = create({ idleTimeout: 10 * MINUTE, sessionTimeoutWarning: 0 });
+            sessionTimeout.start();
+
+            advance(5 * MINUTE);
+            cache.setItem('sessionTimeout', { idleExpiresAt: now + 10 * MINUTE, maxExpiresAt: null });
+            advance(5 * MINUTE);
+            expect(handlers.onTimeout).not.toBeCalled();
+        });
+    });
+
+    describe('maxSessionAge', () => {
+        test('times out despite activity', () => {
+            const sessionTimeout = create({ idleTimeout: 10 * MINUTE, maxSessionAge: 15 * MINUTE });
+            sessionTimeout.start();
+
+            advance(8 * MINUTE);
+            activity();
+            advance(6 * MINUTE);
+            expect(handlers.onWarning).toBeCalledWith('maxSessionAge', 1000000 + 15 * MINUTE);
+
+            advance(MINUTE);
+            expect(handlers.onTimeout).toBeCalledWith('maxSessionAge', 1000000 + 15 * MINUTE);
+        });
+
+        test('does not track activity', () => {
+            const sessionTimeout = create({ maxSessionAge: 15 * MINUTE });
+            sessionTimeout.start();
+            expect(activity).toBeNull();
+        });
+    });
+
+    describe('resume', () => {
+        test('picks up the persisted deadlines', () => {
+            create({ maxSessionAge: 15 * MINUTE }).start();
+
+            advance(10 * MINUTE);
+            const reloaded = create({ maxSessionAge: 15 * MINUTE });
+            reloaded.resume();
+            advance(5 * MINUTE);
+            expect(handlers.onTimeout).toBeCalledWith('maxSessionAge', 1000000 + 15 * MINUTE);
+        });
+
+        test('times out when the deadline passed before the reload', () => {
+            cache.setItem('sessionTimeout', { idleExpiresAt: now - 1, maxExpiresAt: null });
+            create({ idleTimeout: 10 * MINUTE }).resume();
+            expect(handlers.onTimeout).toBeCalledWith('idle', now - 1);
+        });
+
+        test('starts the deadlines when none are persisted', () => {
+            create({ idleTimeout: 10 * MINUTE }).resume();
+            expect(cache.getItem('sessionTimeout')).toEqual({ idleExpiresAt: now + 10 * MINUTE, maxExpiresAt: null });
+        });
+    });
+
+    test('stop drops the deadlines', () => {
+        const sessionTimeout = create({ idleTimeout: 10 * MINUTE });
+        sessionTimeout.start();
+        sessionTimeout.stop();
+
+        advance(10 * MINUTE);
+        expect(handlers.onTimeout).not.toBeCalled();
+        expect(untrack).toBeCalled();
+        expect(cache.getItem('sessionTimeout')).toBeNull();
+    });
+
+    test('disabled without the options', () => {
+        const sessionTimeout = create({});
+        sessionTimeout.start();
+        expect(activity).toBeNull();
+        expect(cache.getItem('sessionTimeout')).toBeNull();
+    });
+
+    test('disabled on the server', () => {
+        const sessionTimeout = create({ idleTimeout: 10 * MINUTE, ssr: true });
+        sessionTimeout.start();
+        expect(cache.getItem('sessionTimeout')).toBeNull();
+    });
+
+    test('appStateActivityTracker', () => {
+        const AppState = { addEventListener: jest.fn(), removeEventListener: jest.fn() };
+        const onActivity = jest.fn();
+
+        const stop = appStateActivityTracker(AppState)(onActivity);
+        const listener = AppState.addEventListener.mock.calls[0][1];
+        listener('active');
+        expect(onActivity).toBeCalled();
+
+        stop();
+        expect(AppState.removeEventListener).toBeCalledWith('change', listener);
+    });
+});
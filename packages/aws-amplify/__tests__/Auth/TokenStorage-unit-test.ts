@@ -0,0 +1,69 @@
+import { resolveStorage, MemoryStorage, TokenStorageCache } from '../../src/Auth/TokenStorage';
+import { CookieStorage } from 'amazon-cognito-identity-js';
+
+describe('TokenStorage unit test', () => {
+    describe('resolveStorage', () => {
+        test('browser storages', () => {
+            expect(resolveStorage('localStorage')).toBe(window.localStorage);
+            expect(resolveStorage('sessionStorage')).toBe(window.sessionStorage);
+        });
+
+        test('memory', () => {
+            const storage = resolveStorage('memory');
+            expect(storage).toBeInstanceOf(MemoryStorage);
+            expect(resolveStorage('memory')).not.toBe(storage);
+        });
+
+        test('cookie', () => {
+            const storage = resolveStorage('cookie', { domain: 'example.com' });
+            expect(storage).toBeInstanceOf(CookieStorage);
+        });
+
+        test('cookie without domain', () => {
+            expect(() => resolveStorage('cookie')).toThrow('cookieStorage.domain is required to keep the tokens in cookies');
+        });
+
+        test('custom storage', () => {
+            const storage = { setItem: jest.fn(), getItem: jest.fn(), removeItem: jest.fn() };
+            expect(resolveStorage(storage)).toBe(storage);
+        });
+
+        test('invalid storage', () => {
+            expect(() => resolveStorage(<any>{ getItem: jest.fn() }))
+                .toThrow('Storage must implement getItem, setItem and removeItem');
+            expect(() => resolveStorage(<any>'indexedDB')).toThrow('Storage not supported: indexedDB');
+        });
+    });
+
+    describe('MemoryStorage', () => {
+        test('set, get and remove', () => {
+            const storage = new MemoryStorage();
+            storage.setItem('key', 'value');
+            expect(storage.getItem('key')).toBe('value');
+            storage.removeItem('key');
+            expect(storage.getItem('key')).toBeNull();
+        });
+    });
+
+    describe('TokenStorageCache', () => {
+        test('keeps json in the storage', () => {
+            const storage = new MemoryStorage();
+            const cache = new TokenStorageCache(storage);
+
+            cache.setItem('federatedInfo', { provider: 'google', token: 'token' }, { priority: 1 });
+
+            expect(storage.getItem('aws-amplify-auth.federatedInfo')).toBe('{"provider":"google","token":"token"}');
+            expect(cache.getItem('federatedInfo')).toEqual({ provider: 'google', token: 'token' });
+            cache.removeItem('federatedInfo');
+            expect(cache.getItem('federatedInfo')).toBeNull();
+        });
+
+        test('key prefix', () => {
+            const storage = new MemoryStorage();
+            const cache = new TokenStorageCache(storage, 'aws-amplify-auth.admin.');
+
+            cache.setItem('federatedInfo', { provider: 'google', token: 'token' });
+            expect(storage.getItem('aws-amplify-auth.admin.federatedInfo')).toBe('{"provider":"google","token":"token"}');
+        });
+    });
+});
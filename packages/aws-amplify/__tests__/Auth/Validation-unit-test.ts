@@ -0,0 +1,159 @@
+import {
+    normalizeEmail,
+    normalizePhoneNumber,
+    normalizeUsername,
+    validateAttributes,
+    validatePassword
+} from '../../src/Auth/Validation';
+
+describe('Validation unit test', () => {
+    describe('validatePassword', () => {
+        const policy = {
+            minimumLength: 8,
+            requireLowercase: true,
+            requireUppercase: true,
+            requireNumbers: true,
+            requireSymbols: true
+        };
+
+        test('valid password', () => {
+            expect(validatePassword('Passw0rd!', policy)).toEqual([]);
+        });
+
+        test('one failure per broken rule', () => {
+            expect(validatePassword('pass', policy)).toEqual([
+                { rule: 'minimumLength', message: 'Password must have at least 8 characters' },
+                { rule: 'requireUppercase', message: 'Password must have uppercase characters' },
+                { rule: 'requireNumbers', message: 'Password must have numeric characters' },
+                { rule: 'requireSymbols', message: 'Password must have symbol characters' }
+            ]);
+        });
+
+        test('only the rules of the policy', () => {
+            expect(validatePassword('password', { requireNumbers: true }).map(f => f.rule))
+                .toEqual(['requireNumbers']);
+        });
+
+        test('empty password', () => {
+            expect(validatePassword(null, { requireLowercase: true }).map(f => f.rule))
+                .toEqual(['requireLowercase']);
+        });
+
+        test('no policy', () => {
+            expect(validatePassword('p', undefined)).toEqual([]);
+        });
+    });
+
+    describe('validateAttributes', () => {
+        const schema = {
+            email: { required: true, pattern: /^[^@\s]+@[^@\s]+$/ },
+            name: { minLength: 2, maxLength: 5 }
+        };
+
+        test('valid attributes', () => {
+            expect(validateAttributes({ email: 'me@example.com', name: 'Me' }, schema)).toEqual([]);
+        });
+
+        test('missing required attribute', () => {
+            expect(validateAttributes({ email: '' }, schema)).toEqual([
+                { attribute: 'email', rule: 'required', message: 'email is required' }
+            ]);
+        });
+
+        test('one failure per broken rule', () => {
+            expect(validateAttributes({ email: 'me', name: 'Someone' }, schema)).toEqual([
+                { attribute: 'email', rule: 'pattern', message: 'email is not valid' },
+                { attribute: 'name', rule: 'maxLength', message: 'name must have at most 5 characters' }
+            ]);
+            expect(validateAttributes({ email: 'me@example.com', name: 'M' }, schema).map(f => f.rule))
+                .toEqual(['minLength']);
+        });
+
+        test('no schema', () => {
+            expect(validateAttributes({}, undefined)).toEqual([]);
+        });
+    });
+
+    describe('normalizeEmail', () => {
+        test('lower case', () => {
+            expect(normalizeEmail(' Jane.Doe@Example.COM ')).toBe('jane.doe@example.com');
+        });
+
+        test('malformed', () => {
+            expect(normalizeEmail('jane@')).toBeNull();
+            expect(normalizeEmail('jane doe@example.com')).toBeNull();
+        });
+    });
+
+    describe('normalizePhoneNumber', () => {
+        test('with the country code', () => {
+            expect(normalizePhoneNumber('+1 (206) 555-1234')).toBe('+12065551234');
+            expect(normalizePhoneNumber('0044 7911 123456')).toBe('+447911123456');
+        });
+
+        test('with the default country code', () => {
+            expect(normalizePhoneNumber('206.555.1234', '1')).toBe('+12065551234');
+            expect(normalizePhoneNumber('7911 123456', '+44')).toBe('+447911123456');
+        });
+
+        test('national numbers starting with the digits of the country code', () => {
+            expect(normalizePhoneNumber('393 123 4567', '39')).toBe('+393931234567');
+            expect(normalizePhoneNumber('44 1234 5678', '+44')).toBe('+444412345678');
+        });
+
+        test('removes the trunk prefix', () => {
+            expect(normalizePhoneNumber('07911 123456', '44')).toBe('+447911123456');
+        });
+
+        test('without a country code', () => {
+            expect(normalizePhoneNumber('206 555 1234')).toBeNull();
+        });
+
+        test('malformed', () => {
+            expect(normalizePhoneNumber('+1 555', '1')).toBeNull();
+            expect(normalizePhoneNumber('+1 206 555 1234 5678 9', '1')).toBeNull();
+            expect(normalizePhoneNumber('206-CALL-NOW', '1')).toBeNull();
+        });
+    });
+
+    describe('normalizeUsername', () => {
+        const attributes = ['email', 'phone_number'];
+
+        test('email', () => {
+            expect(normalizeUsername('Jane@Example.com', attributes)).toEqual({
+                username: 'jane@example.com',
+                attribute: 'email'
+            });
+            expect(normalizeUsername('jane@', attributes)).toEqual({ username: null, attribute: 'email' });
+        });
+
+        test('phone number', () => {
+            expect(normalizeUsername('(206) 555-1234', attributes, '1')).toEqual({
+                username: '+12065551234',
+                attribute: 'phone_number'
+            });
+            expect(normalizeUsername('0044 7911 123456', attributes)).toEqual({
+                username: '+447911123456',
+                attribute: 'phone_number'
+            });
+            expect(normalizeUsername('+1 555', attributes, '1')).toEqual({ username: null, attribute: 'phone_number' });
+        });
+
+        test('other usernames', () => {
+            expect(normalizeUsername('Jane', attributes)).toEqual({ username: 'Jane', attribute: null });
+            expect(normalizeUsername('12345', attributes, '1')).toEqual({ username: '12345', attribute: null });
+            expect(normalizeUsername('555', attributes)).toEqual({ username: '555', attribute: null });
+        });
+
+        test('only the usernameAttributes', () => {
+            expect(normalizeUsername('Jane@Example.com', ['phone_number'])).toEqual({
+                username: 'Jane@Example.com',
+                attribute: null
+            });
+            expect(normalizeUsername('2065551234', undefined, '1')).toEqual({
+                username: '2065551234',
+                attribute: null
+            });
+        });
+    });
+});
@@ -62,6 +62,14 @@ jest.mock('amazon-cognito-identity-js/lib/CognitoUserPool', () => {
         callback(null, 'signUpResult');
     }
 
+    CognitoUserPool.prototype.getSignedInUsers = () => {
+        return [];
+    }
+
+    CognitoUserPool.prototype.setCurrentUser = (username) => {
+        return null;
+    }
+
     return CognitoUserPool;
 });
 
@@ -94,10 +102,26 @@ jest.mock('amazon-cognito-identity-js/lib/CognitoUser', () => {
         callback.onSuccess('session');
     }
 
+    CognitoUser.prototype.setAuthenticationFlowType = (authenticationFlowType) => {
+        CognitoUser.prototype.authenticationFlowType = authenticationFlowType;
+    }
+
+    CognitoUser.prototype.initiateAuth = (authenticationDetails, callback) => {
+        callback.customChallenge('challengeParam');
+    }
+
+    CognitoUser.prototype.sendCustomChallengeAnswer = (answerChallenge, callback) => {
+        callback.onSuccess('session');
+    }
+
     CognitoUser.prototype.sendMFACode = (code, callback) => {
         callback.onSuccess('session');
     }
 
+    CognitoUser.prototype.sendMFASelectionAnswer = (answerChallenge, callback) => {
+        callback.mfaRequired('SMS_MFA', 'challengeParam');
+    }
+
     CognitoUser.prototype.resendConfirmationCode = (callback) => {
         callback(null, 'result');
     }
@@ -110,10 +134,38 @@ jest.mock('amazon-cognito-identity-js/lib/CognitoUser', () => {
         callback.onSuccess();
     }
 
+    CognitoUser.prototype.setSignInUserSession = (signInUserSession) => {
+        CognitoUser.prototype.signInUserSession = signInUserSession;
+    }
+
+    CognitoUser.prototype.getSignInUserSession = () => {
+        return CognitoUser.prototype.signInUserSession;
+    }
+
+    CognitoUser.prototype.refreshSession = (refreshToken, callback) => {
+        callback(null, 'session');
+    }
+
     CognitoUser.prototype.signOut = () => {
 
     }
 
+    CognitoUser.prototype.globalSignOut = (callback) => {
+        callback.onSuccess('SUCCESS');
+    }
+
+    CognitoUser.prototype.changePassword = (oldPassword, newPassword, callback) => {
+        callback(null, 'SUCCESS');
+    }
+
+    CognitoUser.prototype.deleteUser = (callback) => {
+        callback(null, 'SUCCESS');
+    }
+
+    CognitoUser.prototype.deleteAttributes = (attributeList, callback) => {
+        callback(null, 'SUCCESS');
+    }
+
     CognitoUser.prototype.confirmRegistration = (confirmationCode, forceAliasCreation, callback) => {
         callback(null, 'Success');
     }
@@ -126,12 +178,53 @@ jest.mock('amazon-cognito-identity-js/lib/CognitoUser', () => {
         callback(null, 'SUCCESS');
     }
 
+    CognitoUser.prototype.associateSoftwareToken = (callback) => {
+        callback.associateSecretCode('secretCode');
+    }
+
+    CognitoUser.prototype.verifySoftwareToken = (totpCode, friendlyDeviceName, callback) => {
+        callback.onSuccess('Success');
+    }
+
+    CognitoUser.prototype.setUserMfaPreference = (smsMfaSettings, totpMfaSettings, callback) => {
+        callback(null, 'SUCCESS');
+    }
+
+    CognitoUser.prototype.getUserData = (callback) => {
+        callback(null, { PreferredMfaSetting: 'SOFTWARE_TOKEN_MFA' });
+    }
+
+    CognitoUser.prototype.getCachedDeviceKeyAndPassword = () => {
+        CognitoUser.prototype.deviceKey = 'deviceKey';
+    }
+
+    CognitoUser.prototype.setDeviceStatusRemembered = (callback) => {
+        callback.onSuccess('SUCCESS');
+    }
+
+    CognitoUser.prototype.forgetDevice = (callback) => {
+        callback.onSuccess('SUCCESS');
+    }
+
+    CognitoUser.prototype.forgetSpecificDevice = (deviceKey, callback) => {
+        callback.onSuccess('SUCCESS');
+    }
+
+    CognitoUser.prototype.listDevices = (limit, paginationToken, callback) => {
+        callback.onSuccess({ Devices: ['device'], PaginationToken: 'nextToken' });
+    }
+
     return CognitoUser;
 });
 
 import { AuthOptions, SignUpParams } from '../../src/Auth/types';
 import Auth from '../../src/Auth/Auth';
+import AuthError, { AuthErrorCodes } from '../../src/Auth/AuthError';
+import SessionTimeout from '../../src/Auth/SessionTimeout';
 import Cache from '../../src/Cache';
+import OAuth from '../../src/Auth/OAuth';
+import { MemoryStorage } from '../../src/Auth/TokenStorage';
+import { AWS, Hub } from '../../src/Common';
 import { CognitoUserPool, CognitoUser, CognitoUserSession, CognitoIdToken, CognitoAccessToken } from 'amazon-cognito-identity-js';
 import { CognitoIdentityCredentials } from 'aws-sdk';
 
@@ -225,7 +318,7 @@ describe('auth unit test', () => {
             try {
                 await auth.signUp('username', 'password', 'email','phone');
             } catch (e) {
-                expect(e).toBe('err');
+                expect(e.cause).toBe('err');
             }
 
             spyon.mockClear();
@@ -238,7 +331,7 @@ describe('auth unit test', () => {
             try {
                 await auth.signUp('username', 'password', 'email','phone');
             } catch (e) {
-                expect(e).toBe('No userPool');
+                expect(e.code).toBe(AuthErrorCodes.NoUserPool);
             }
         });
 
@@ -299,7 +392,7 @@ describe('auth unit test', () => {
             try {
                 await auth.confirmSignUp('username', 'code');
             } catch (e) {
-                expect(e).toBe('err');
+                expect(e.cause).toBe('err');
             }
 
             spyon.mockClear();
@@ -312,7 +405,7 @@ describe('auth unit test', () => {
             try {
                 await auth.confirmSignUp('username', 'code');
             } catch (e) {
-                expect(e).toBe('No userPool');
+                expect(e.code).toBe(AuthErrorCodes.NoUserPool);
             }
         });
 
@@ -362,7 +455,7 @@ describe('auth unit test', () => {
             try {
                 await auth.resendSignUp('username');
             } catch (e) {
-                expect(e).toBe('err');
+                expect(e.cause).toBe('err');
             }
 
             spyon.mockClear();
@@ -375,7 +468,7 @@ describe('auth unit test', () => {
             try {
                 await auth.resendSignUp('username');
             } catch (e) {
-                expect(e).toBe('No userPool');
+                expect(e.code).toBe(AuthErrorCodes.NoUserPool);
             }
         });
 
@@ -422,7 +515,7 @@ describe('auth unit test', () => {
             try {
                 await auth.signIn('username', 'password');
             } catch (e) {
-                expect(e).toBe('err');
+                expect(e.cause).toBe('err');
             }
 
             spyon.mockClear();
@@ -479,6 +572,35 @@ describe('auth unit test', () => {
             spyon.mockClear();
         });
 
+        test('totpRequired', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "authenticateUser")
+                .mockImplementationOnce((authenticationDetails, callback) => {
+                    callback.totpRequired('SOFTWARE_TOKEN_MFA', 'challengeParam');
+                });
+            const auth = new Auth(authOptions);
+
+            expect.assertions(2);
+            const signedInUser = await auth.signIn('username', 'password');
+            expect(signedInUser.challengeName).toBe('SOFTWARE_TOKEN_MFA');
+            expect(signedInUser.challengeParam).toBe('challengeParam');
+
+            spyon.mockClear();
+        });
+
+        test('selectMFAType', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "authenticateUser")
+                .mockImplementationOnce((authenticationDetails, callback) => {
+                    callback.selectMFAType('SELECT_MFA_TYPE', 'challengeParam');
+                });
+            const auth = new Auth(authOptions);
+
+            expect.assertions(1);
+            const signedInUser = await auth.signIn('username', 'password');
+            expect(signedInUser.challengeName).toBe('SELECT_MFA_TYPE');
+
+            spyon.mockClear();
+        });
+
         test('no userPool', async () => {
             const spyon = jest.spyOn(CognitoUser.prototype, 'authenticateUser');
             
@@ -522,10 +644,74 @@ describe('auth unit test', () => {
         });
     });
 
-    describe("confirmSignIn", () => {
+    describe('signIn with custom auth', () => {
+        test('without password', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, 'initiateAuth');
+            const spyon2 = jest.spyOn(CognitoUser.prototype, 'authenticateUser');
+            const auth = new Auth(Object.assign({}, authOptions, { authenticationFlowType: 'CUSTOM_AUTH' }));
+
+            expect.assertions(4);
+            const signedInUser = await auth.signIn('username');
+            expect(spyon).toBeCalled();
+            expect(spyon2).not.toBeCalled();
+            expect(signedInUser.challengeName).toBe('CUSTOM_CHALLENGE');
+            expect(signedInUser.challengeParam).toBe('challengeParam');
+
+            spyon.mockClear();
+            spyon2.mockClear();
+        });
+
+        test('with password runs SRP first', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, 'authenticateUser')
+                .mockImplementationOnce((authenticationDetails, callback) => {
+                    callback.customChallenge('challengeParam');
+                });
+            const spyon2 = jest.spyOn(CognitoUser.prototype, 'setAuthenticationFlowType');
+            const auth = new Auth(authOptions);
+
+            expect.assertions(2);
+            const signedInUser = await auth.signIn('username', 'password', { authenticationFlowType: 'CUSTOM_AUTH' });
+            expect(spyon2).toBeCalledWith('CUSTOM_AUTH');
+            expect(signedInUser.challengeName).toBe('CUSTOM_CHALLENGE');
+
+            spyon.mockClear();
+            spyon2.mockClear();
+        });
+
+        test('with USER_PASSWORD_AUTH for user migration', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, 'authenticateUser')
+                .mockImplementationOnce((authenticationDetails, callback) => {
+                    callback.onSuccess(session);
+                });
+            const spyon2 = jest.spyOn(CognitoUser.prototype, 'setAuthenticationFlowType');
+            const auth = new Auth(authOptions);
+
+            expect.assertions(2);
+            const signedInUser = await auth.signIn('username', 'password',
+                                                   { authenticationFlowType: 'USER_PASSWORD_AUTH' });
+            expect(spyon2).toBeCalledWith('USER_PASSWORD_AUTH');
+            expect(signedInUser).toBeInstanceOf(CognitoUser);
+
+            spyon.mockClear();
+            spyon2.mockClear();
+        });
+
+        test('password still required for SRP', async () => {
+            const auth = new Auth(authOptions);
+
+            expect.assertions(1);
+            try {
+                await auth.signIn('username');
+            } catch (e) {
+                expect(e.code).toBe(AuthErrorCodes.EmptyPassword);
+            }
+        });
+    });
+
+    describe('sendCustomChallengeAnswer', () => {
         test('happy case', async () => {
-            const spyon = jest.spyOn(CognitoUser.prototype, "sendMFACode")
-                .mockImplementationOnce((code, callback) => {
+            const spyon = jest.spyOn(CognitoUser.prototype, 'sendCustomChallengeAnswer')
+                .mockImplementationOnce((answerChallenge, callback) => {
                     callback.onSuccess(session);
                 });
             const auth = new Auth(authOptions);
@@ -534,15 +720,34 @@ describe('auth unit test', () => {
                 Pool: userPool
             });
 
+            expect.assertions(2);
+            expect(await auth.sendCustomChallengeAnswer(user, 'answer')).toBe(user);
+            expect(auth['user']).toBe(user);
+
+            spyon.mockClear();
+        });
+
+        test('another challenge', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, 'sendCustomChallengeAnswer')
+                .mockImplementationOnce((answerChallenge, callback) => {
+                    callback.customChallenge('nextChallengeParam');
+                });
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+
             expect.assertions(1);
-            expect(await auth.confirmSignIn(user, 'code')).toEqual(user);
+            const result = await auth.sendCustomChallengeAnswer(user, 'answer');
+            expect(result.challengeParam).toBe('nextChallengeParam');
 
             spyon.mockClear();
         });
 
         test('onFailure', async () => {
-            const spyon = jest.spyOn(CognitoUser.prototype, "sendMFACode")
-                .mockImplementationOnce((code, callback) => {
+            const spyon = jest.spyOn(CognitoUser.prototype, 'sendCustomChallengeAnswer')
+                .mockImplementationOnce((answerChallenge, callback) => {
                     callback.onFailure('err');
                 });
             const auth = new Auth(authOptions);
@@ -551,19 +756,18 @@ describe('auth unit test', () => {
                 Pool: userPool
             });
 
+            expect.assertions(1);
             try {
-                await auth.confirmSignIn(user, 'code');
+                await auth.sendCustomChallengeAnswer(user, 'answer');
             } catch (e) {
-                expect(e).toBe('err');
+                expect(e.cause).toBe('err');
             }
 
             spyon.mockClear();
         });
 
-        test('no code', async () => {
-            const spyon = jest.spyOn(CognitoUser.prototype, "sendMFACode");
+        test('no answer', async () => {
             const auth = new Auth(authOptions);
-
             const user = new CognitoUser({
                 Username: 'username',
                 Pool: userPool
@@ -571,146 +775,142 @@ describe('auth unit test', () => {
 
             expect.assertions(1);
             try {
-                await auth.confirmSignIn(user, null);
+                await auth.sendCustomChallengeAnswer(user, null);
             } catch (e) {
                 expect(e).not.toBeNull();
             }
-        
-            spyon.mockClear();
+        });
+
+        test('no userPool', async () => {
+            const auth = new Auth(authOptionsWithNoUserPoolId);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+
+            expect.assertions(1);
+            try {
+                await auth.sendCustomChallengeAnswer(user, 'answer');
+            } catch (e) {
+                expect(e.code).toBe(AuthErrorCodes.NoUserPool);
+            }
         });
     });
 
-    describe('completeNewPassword', () => {
+    describe("confirmSignIn", () => {
         test('happy case', async () => {
-            const spyon = jest.spyOn(CognitoUser.prototype, 'completeNewPasswordChallenge')
-                .mockImplementationOnce((password, requiredAttributes, callback) => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "sendMFACode")
+                .mockImplementationOnce((code, callback) => {
                     callback.onSuccess(session);
                 });
-
             const auth = new Auth(authOptions);
             const user = new CognitoUser({
                 Username: 'username',
                 Pool: userPool
             });
-            
+
             expect.assertions(1);
-            expect(await auth.completeNewPassword(user, 'password', {})).toEqual(user);
+            expect(await auth.confirmSignIn(user, 'code')).toEqual(user);
 
             spyon.mockClear();
         });
 
-        test('on Failure', async () => {
-            const spyon = jest.spyOn(CognitoUser.prototype, 'completeNewPasswordChallenge')
-                .mockImplementationOnce((password, requiredAttributes, callback) => {
+        test('onFailure', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "sendMFACode")
+                .mockImplementationOnce((code, callback) => {
                     callback.onFailure('err');
                 });
-
             const auth = new Auth(authOptions);
             const user = new CognitoUser({
                 Username: 'username',
                 Pool: userPool
             });
 
-            expect.assertions(1);
             try {
-                await auth.completeNewPassword(user, 'password', {})
+                await auth.confirmSignIn(user, 'code');
             } catch (e) {
-                expect(e).toBe('err');
+                expect(e.cause).toBe('err');
             }
 
             spyon.mockClear();
         });
 
-        test('mfaRequired', async () => {
-            const spyon = jest.spyOn(CognitoUser.prototype, 'completeNewPasswordChallenge')
-                .mockImplementationOnce((password, requiredAttributes, callback) => {
-                    callback.mfaRequired('challengeName', 'challengeParam');
-                });
-
+        test('no code', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "sendMFACode");
             const auth = new Auth(authOptions);
+
             const user = new CognitoUser({
                 Username: 'username',
                 Pool: userPool
             });
 
             expect.assertions(1);
-            expect(await auth.completeNewPassword(user, 'password', {})).toBe(user);
-
+            try {
+                await auth.confirmSignIn(user, null);
+            } catch (e) {
+                expect(e).not.toBeNull();
+            }
+        
             spyon.mockClear();
         });
+    });
 
-        test('no password', async () => {
+    describe('confirmSignIn with TOTP', () => {
+        test('sends the software token mfa type', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "sendMFACode")
+                .mockImplementationOnce((code, callback, mfaType) => {
+                    callback.onSuccess(session);
+                });
             const auth = new Auth(authOptions);
             const user = new CognitoUser({
                 Username: 'username',
                 Pool: userPool
             });
+            user['challengeName'] = 'SOFTWARE_TOKEN_MFA';
 
             expect.assertions(1);
-            try {
-                await auth.completeNewPassword(user, null, {});
-            } catch (e) {
-                expect(e).toBe('Password cannot be empty');
-            }
+            await auth.confirmSignIn(user, 'code');
+            expect(spyon.mock.calls[0][2]).toBe('SOFTWARE_TOKEN_MFA');
+
+            spyon.mockClear();
         });
     });
 
-    describe('userAttributes', () => {
+    describe('setupTOTP test', () => {
         test('happy case', async () => {
-            const spyon = jest.spyOn(Auth.prototype, 'userSession')
-                .mockImplementationOnce((user) => {
-                    return new Promise((res, rej) => {
-                        res('session');
-                    });
-                });
-                
-            const spyon2 = jest.spyOn(CognitoUser.prototype, 'getUserAttributes');
-            
             const auth = new Auth(authOptions);
             const user = new CognitoUser({
                 Username: 'username',
                 Pool: userPool
             });
-            
-            expect.assertions(1);
-            expect(await auth.userAttributes(user)).toBe('attributes');
 
-            spyon.mockClear();
-            spyon2.mockClear();
+            expect.assertions(1);
+            expect(await auth.setupTOTP(user)).toBe('secretCode');
         });
 
-        test('get userattributes failed', async () => {
-            const spyon = jest.spyOn(Auth.prototype, 'userSession')
-                .mockImplementationOnce((user) => {
-                    return new Promise((res, rej) => {
-                        res('session');
-                    });
-                });
-                
-            const spyon2 = jest.spyOn(CognitoUser.prototype, 'getUserAttributes')
+        test('onFailure', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "associateSoftwareToken")
                 .mockImplementationOnce((callback) => {
-                    callback('err');
+                    callback.onFailure('err');
                 });
-            
             const auth = new Auth(authOptions);
             const user = new CognitoUser({
                 Username: 'username',
                 Pool: userPool
             });
-            
+
             expect.assertions(1);
             try {
-                await auth.userAttributes(user);
+                await auth.setupTOTP(user);
             } catch (e) {
-                expect(e).toBe('err');
+                expect(e.cause).toBe('err');
             }
 
             spyon.mockClear();
-            spyon2.mockClear();     
         });
     });
 
-    describe('currentSession', () => {
+    describe('verifyTotpToken test', () => {
         test('happy case', async () => {
             const auth = new Auth(authOptions);
             const user = new CognitoUser({
@@ -718,97 +918,117 @@ describe('auth unit test', () => {
                 Pool: userPool
             });
 
-            const spyon = jest.spyOn(CognitoUserPool.prototype, "getCurrentUser")
-                .mockImplementationOnce(() => {
-                    return user;
-                });
-
             expect.assertions(1);
-            expect(await auth.currentSession()).toBe('session');
-
-            spyon.mockClear();
+            expect(await auth.verifyTotpToken(user, 'code')).toBe('Success');
         });
 
-        test('callback failure', async () => {
-            const auth = new Auth(authOptions);
-
-            const spyon = jest.spyOn(CognitoUserPool.prototype, "getCurrentUser")
-                .mockImplementationOnce(() => {
-                    return null;
+        test('completes sign in during mfa setup', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "verifySoftwareToken")
+                .mockImplementationOnce((totpCode, friendlyDeviceName, callback) => {
+                    callback.onSuccess(session);
                 });
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            user['challengeName'] = 'MFA_SETUP';
 
-            expect.assertions(1);
-            try {
-                await auth.currentSession();
-            } catch (e) {
-                expect(e).toBe('No current user');
-            }
+            expect.assertions(2);
+            await auth.verifyTotpToken(user, 'code');
+            expect(auth['user']).toBe(user);
+            expect(user['challengeName']).toBeUndefined();
 
             spyon.mockClear();
         });
 
-        test('no UserPool', async () => {
-            const auth = new Auth({
-                userPoolId: undefined,
-                userPoolWebClientId: "awsUserPoolsWebClientId",
-                region: "region",
-                identityPoolId: "awsCognitoIdentityPoolId"
+        test('friendly device name', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "verifySoftwareToken");
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+
+            expect.assertions(2);
+            await auth.verifyTotpToken(user, 'code');
+            expect(spyon.mock.calls[spyon.mock.calls.length - 1][1]).toBe('My TOTP device');
+            await auth.verifyTotpToken(user, 'code', 'Work phone');
+            expect(spyon.mock.calls[spyon.mock.calls.length - 1][1]).toBe('Work phone');
+
+            spyon.mockRestore();
+        });
+
+        test('onFailure', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "verifySoftwareToken")
+                .mockImplementationOnce((totpCode, friendlyDeviceName, callback) => {
+                    callback.onFailure('err');
+                });
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
             });
 
             expect.assertions(1);
             try {
-                await auth.currentSession();
+                await auth.verifyTotpToken(user, 'code');
+            } catch (e) {
+                expect(e.cause).toBe('err');
+            }
+
+            spyon.mockClear();
+        });
+
+        test('no code', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+
+            expect.assertions(1);
+            try {
+                await auth.verifyTotpToken(user, null);
             } catch (e) {
-                expect(e).toBe('No userPool');
+                expect(e.code).toBe(AuthErrorCodes.EmptyCode);
             }
         });
     });
 
-    describe('currentAuthenticatedUser', () => {
-        test('happy case with source userpool', async () => {
+    describe('setPreferredMFA test', () => {
+        test('TOTP', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "setUserMfaPreference");
             const auth = new Auth(authOptions);
             const user = new CognitoUser({
                 Username: 'username',
                 Pool: userPool
             });
 
-            const spyon = jest.spyOn(CognitoUser.prototype, "getSession");
-            const spyon2 = jest.spyOn(CognitoUserPool.prototype, "getCurrentUser")
-                .mockImplementationOnce(() => {
-                    return user;
-                });
-            const spyon3 = jest.spyOn(Auth.prototype, 'currentUserPoolUser')
-                .mockImplementationOnce(() => {
-                    return new Promise((res, rej) => {
-                        res(user);
-                    });
-                });
+            expect.assertions(2);
+            expect(await auth.setPreferredMFA(user, 'TOTP')).toBe('SUCCESS');
+            expect(spyon.mock.calls[0].slice(0, 2)).toEqual([null, { PreferredMfa: true, Enabled: true }]);
 
-            expect.assertions(1);
-            expect(await auth.currentAuthenticatedUser()).toEqual(user);
-            
             spyon.mockClear();
-            spyon2.mockClear();
         });
 
-        test('happy case with source federation', async () => {
+        test('SMS', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "setUserMfaPreference");
             const auth = new Auth(authOptions);
             const user = new CognitoUser({
                 Username: 'username',
                 Pool: userPool
             });
-            auth['credentials_source'] = 'federated';
-            auth['user'] = 'federated_user';
 
             expect.assertions(1);
-            expect(await auth.currentAuthenticatedUser()).toBe('federated_user');
-        });
-    });
+            await auth.setPreferredMFA(user, 'SMS');
+            expect(spyon.mock.calls[0].slice(0, 2)).toEqual([{ PreferredMfa: true, Enabled: true }, null]);
 
-    describe('userSession test', () => {
-        test('happy case', async () => {
-            const spyon = jest.spyOn(CognitoUser.prototype, "getSession");
+            spyon.mockClear();
+        });
 
+        test('NOMFA', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "setUserMfaPreference");
             const auth = new Auth(authOptions);
             const user = new CognitoUser({
                 Username: 'username',
@@ -816,111 +1036,158 @@ describe('auth unit test', () => {
             });
 
             expect.assertions(1);
-            expect(await auth.userSession(user)).toBe('session');
+            await auth.setPreferredMFA(user, 'NOMFA');
+            expect(spyon.mock.calls[0].slice(0, 2)).toEqual([
+                { PreferredMfa: false, Enabled: false },
+                { PreferredMfa: false, Enabled: false }
+            ]);
 
             spyon.mockClear();
         });
 
-        test('callback error', async () => {
+        test('invalid mfa method', async () => {
             const auth = new Auth(authOptions);
             const user = new CognitoUser({
                 Username: 'username',
                 Pool: userPool
             });
 
-            const spyon = jest.spyOn(CognitoUser.prototype, "getSession")
-                .mockImplementationOnce((callback) => {
+            expect.assertions(1);
+            try {
+                await auth.setPreferredMFA(user, null);
+            } catch (e) {
+                expect(e).not.toBeNull();
+            }
+        });
+
+        test('callback error', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "setUserMfaPreference")
+                .mockImplementationOnce((smsMfaSettings, totpMfaSettings, callback) => {
                     callback('err', null);
                 });
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
 
             expect.assertions(1);
             try {
-                await auth.userSession(user);
+                await auth.setPreferredMFA(user, 'TOTP');
             } catch (e) {
-                expect(e).toBe('err');
+                expect(e.cause).toBe('err');
             }
 
             spyon.mockClear();
-        })
+        });
     });
 
-    describe('currentUserCredentials test', () => {
-        test('with federated info', async () => {
+    describe('getPreferredMFA test', () => {
+        test('happy case', async () => {
             const auth = new Auth(authOptions);
-            
-            const spyon = jest.spyOn(Cache, 'getItem')
-                .mockImplementationOnce(() => {
-                    return {
-                        provider: 'google',
-                        token: 'token',
-                        user: {name: 'user'}
-                    }
-                });
-                
-            expect.assertions(1);
-            expect(await auth.currentUserCredentials()).toBeUndefined();
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
 
-            spyon.mockClear();
+            expect.assertions(1);
+            expect(await auth.getPreferredMFA(user)).toBe('SOFTWARE_TOKEN_MFA');
         });
-    });
 
-    describe('currentCrendentials', () => {
-        test('happy case when auth has credentials', async () => {
-            const auth = new Auth(authOptions);
-            const cred = new CognitoIdentityCredentials({
-                    IdentityPoolId: 'identityPoolId',
-                }, {
-                    region: 'region'
+        test('no preferred mfa', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "getUserData")
+                .mockImplementationOnce((callback) => {
+                    callback(null, {});
                 });
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
 
-            auth['credentials'] = cred;
+            expect.assertions(1);
+            expect(await auth.getPreferredMFA(user)).toBe('NOMFA');
 
-            const spyon = jest.spyOn(Auth.prototype, "currentUserCredentials")
-                .mockImplementationOnce(() => {
-                    return new Promise((res, rej) => {
-                        res();
-                    })
-                });
+            spyon.mockClear();
+        });
 
-            const spyon2 = jest.spyOn(CognitoIdentityCredentials.prototype, 'refresh')
+        test('callback error', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "getUserData")
                 .mockImplementationOnce((callback) => {
-                    callback(null);
+                    callback('err', null);
                 });
-
-            
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
 
             expect.assertions(1);
-            expect(await auth.currentCredentials()).toEqual(cred);
+            try {
+                await auth.getPreferredMFA(user);
+            } catch (e) {
+                expect(e.cause).toBe('err');
+            }
 
             spyon.mockClear();
-            spyon2.mockClear();
         });
     });
 
+    describe('selectMFAType', () => {
+        test('SMS_MFA', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, 'sendMFASelectionAnswer');
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+
+            expect.assertions(3);
+            expect(await auth.selectMFAType(user, 'SMS_MFA')).toBe(user);
+            expect(spyon.mock.calls[spyon.mock.calls.length - 1][0]).toBe('SMS_MFA');
+            expect(user['challengeName']).toBe('SMS_MFA');
 
-    describe('verifyUserAttribute test', () => {
-        test('happy case', async () => {
-            const spyon = jest.spyOn(CognitoUser.prototype, "getAttributeVerificationCode");
+            spyon.mockRestore();
+        });
 
+        test('SOFTWARE_TOKEN_MFA', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, 'sendMFASelectionAnswer')
+                .mockImplementation((answerChallenge, callback) => {
+                    callback.totpRequired('SOFTWARE_TOKEN_MFA', 'challengeParam');
+                });
             const auth = new Auth(authOptions);
             const user = new CognitoUser({
                 Username: 'username',
                 Pool: userPool
             });
 
-            expect.assertions(1);
-            expect(await auth.verifyUserAttribute(user, {})).toBe("success");
+            expect.assertions(2);
+            expect(await auth.selectMFAType(user, 'SOFTWARE_TOKEN_MFA')).toBe(user);
+            expect(user['challengeName']).toBe('SOFTWARE_TOKEN_MFA');
 
-            spyon.mockClear();
+            spyon.mockRestore();
+        });
+
+        test('invalid mfa type', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
 
+            expect.assertions(1);
+            try {
+                await auth.selectMFAType(user, 'EMAIL' as any);
+            } catch (e) {
+                expect(e.code).toBe(AuthErrorCodes.InvalidMFAMethod);
+            }
         });
 
         test('onFailure', async () => {
-            const spyon = jest.spyOn(CognitoUser.prototype, "getAttributeVerificationCode")
-                .mockImplementationOnce((attr, callback) => {
+            const spyon = jest.spyOn(CognitoUser.prototype, 'sendMFASelectionAnswer')
+                .mockImplementation((answerChallenge, callback) => {
                     callback.onFailure('err');
                 });
-
             const auth = new Auth(authOptions);
             const user = new CognitoUser({
                 Username: 'username',
@@ -929,34 +1196,37 @@ describe('auth unit test', () => {
 
             expect.assertions(1);
             try {
-                await auth.verifyUserAttribute(user, {});
+                await auth.selectMFAType(user, 'SMS_MFA');
             } catch (e) {
-                expect(e).toBe("err");
+                expect(e.cause).toBe('err');
             }
-        
-            spyon.mockClear();
+
+            spyon.mockRestore();
         });
     });
 
-    describe('verifyUserAttributeSubmit', () => {
+    describe('completeNewPassword', () => {
         test('happy case', async () => {
-            const spyon = jest.spyOn(CognitoUser.prototype, "verifyAttribute");
+            const spyon = jest.spyOn(CognitoUser.prototype, 'completeNewPasswordChallenge')
+                .mockImplementationOnce((password, requiredAttributes, callback) => {
+                    callback.onSuccess(session);
+                });
 
             const auth = new Auth(authOptions);
             const user = new CognitoUser({
                 Username: 'username',
                 Pool: userPool
             });
-
+            
             expect.assertions(1);
-            expect(await auth.verifyUserAttributeSubmit(user, {}, 'code')).toBe("success");
+            expect(await auth.completeNewPassword(user, 'password', {})).toEqual(user);
 
             spyon.mockClear();
         });
 
-        test('onFailure', async () => {
-            const spyon = jest.spyOn(CognitoUser.prototype, "verifyAttribute")
-                .mockImplementationOnce((attr, code, callback) => {
+        test('on Failure', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, 'completeNewPasswordChallenge')
+                .mockImplementationOnce((password, requiredAttributes, callback) => {
                     callback.onFailure('err');
                 });
 
@@ -968,15 +1238,20 @@ describe('auth unit test', () => {
 
             expect.assertions(1);
             try {
-                await auth.verifyUserAttributeSubmit(user, {}, 'code');
+                await auth.completeNewPassword(user, 'password', {})
             } catch (e) {
-                expect(e).toBe("err");
+                expect(e.cause).toBe('err');
             }
-        
+
             spyon.mockClear();
         });
 
-        test('code empty', async () => {
+        test('mfaRequired', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, 'completeNewPasswordChallenge')
+                .mockImplementationOnce((password, requiredAttributes, callback) => {
+                    callback.mfaRequired('challengeName', 'challengeParam');
+                });
+
             const auth = new Auth(authOptions);
             const user = new CognitoUser({
                 Username: 'username',
@@ -984,654 +1259,2995 @@ describe('auth unit test', () => {
             });
 
             expect.assertions(1);
-            try {
-                await auth.verifyUserAttributeSubmit(user, {}, null);
-            } catch (e) {
-                expect(e).toBe('Code cannot be empty');
-            }
+            expect(await auth.completeNewPassword(user, 'password', {})).toBe(user);
+
+            spyon.mockClear();
         });
-    });
 
-    describe('verifyCurrentUserAttribute test', () => {
-        test('happy case', async () => {
+        test('totpRequired, mfaSetup and selectMFAType', async () => {
             const auth = new Auth(authOptions);
-            const user = new CognitoUser({
-                Username: 'username',
-                Pool: userPool
-            });
-
-            const spyon = jest.spyOn(Auth.prototype, 'currentUserPoolUser')
-                .mockImplementationOnce(() => {
-                    return new Promise((res, rej) => {
-                        res(user);
-                    });
-                });
-
-            const spyon2 = jest.spyOn(Auth.prototype, 'verifyUserAttribute')
-                .mockImplementationOnce(() => {
-                    return new Promise((res, rej) => {
-                        res();
+            const challenges = ['totpRequired', 'mfaSetup', 'selectMFAType'];
+            const names = ['SOFTWARE_TOKEN_MFA', 'MFA_SETUP', 'SELECT_MFA_TYPE'];
+
+            expect.assertions(6);
+            for (let i = 0; i < challenges.length; i++) {
+                const spyon = jest.spyOn(CognitoUser.prototype, 'completeNewPasswordChallenge')
+                    .mockImplementation((password, requiredAttributes, callback) => {
+                        callback[challenges[i]](names[i], 'challengeParam');
                     });
+                const user = new CognitoUser({
+                    Username: 'username',
+                    Pool: userPool
                 });
-            
-            await auth.verifyCurrentUserAttribute('attr');
-
-            expect.assertions(2);
-            expect(spyon).toBeCalled();
-            expect(spyon2).toBeCalledWith(user, 'attr');
 
-            spyon.mockClear();
-            spyon2.mockClear();
+                expect(await auth.completeNewPassword(user, 'password', {})).toBe(user);
+                expect(user['challengeName']).toBe(names[i]);
+                spyon.mockRestore();
+            }
         });
-    });
 
-    describe('verifyCurrentUserAttributeSubmit test', () => {
-        test('happy case', async () => {
+        test('no password', async () => {
             const auth = new Auth(authOptions);
             const user = new CognitoUser({
                 Username: 'username',
                 Pool: userPool
             });
 
-            const spyon = jest.spyOn(Auth.prototype, 'currentUserPoolUser')
-                .mockImplementationOnce(() => {
-                    return new Promise((res, rej) => {
-                        res(user);
-                    });
-                });
-
-            const spyon2 = jest.spyOn(Auth.prototype, 'verifyUserAttributeSubmit')
-                .mockImplementationOnce(() => {
+            expect.assertions(1);
+            try {
+                await auth.completeNewPassword(user, null, {});
+            } catch (e) {
+                expect(e.code).toBe(AuthErrorCodes.EmptyPassword);
+            }
+        });
+    });
+
+    describe('userAttributes', () => {
+        test('happy case', async () => {
+            const spyon = jest.spyOn(Auth.prototype, 'userSession')
+                .mockImplementationOnce((user) => {
                     return new Promise((res, rej) => {
-                        res();
+                        res('session');
                     });
                 });
+                
+            const spyon2 = jest.spyOn(CognitoUser.prototype, 'getUserAttributes');
             
-            await auth.verifyCurrentUserAttributeSubmit('attr', 'code');
-
-            expect.assertions(2);
-            expect(spyon).toBeCalled();
-            expect(spyon2).toBeCalledWith(user, 'attr', 'code');
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            
+            expect.assertions(1);
+            expect(await auth.userAttributes(user)).toBe('attributes');
 
             spyon.mockClear();
             spyon2.mockClear();
         });
-    });
 
-    describe('signOut', () => {
-        test('happy case for all', async () => {
+        test('get userattributes failed', async () => {
+            const spyon = jest.spyOn(Auth.prototype, 'userSession')
+                .mockImplementationOnce((user) => {
+                    return new Promise((res, rej) => {
+                        res('session');
+                    });
+                });
+                
+            const spyon2 = jest.spyOn(CognitoUser.prototype, 'getUserAttributes')
+                .mockImplementationOnce((callback) => {
+                    callback('err');
+                });
+            
             const auth = new Auth(authOptions);
-            auth['credentials'] = new CognitoIdentityCredentials({
-                IdentityPoolId: 'identityPoolId'
-            });
             const user = new CognitoUser({
                 Username: 'username',
                 Pool: userPool
             });
-
-
-            const spyon = jest.spyOn(CognitoIdentityCredentials.prototype, "clearCachedId");
-            const spyon2 = jest.spyOn(Cache, 'removeItem');
-            const spyon3 = jest.spyOn(CognitoUserPool.prototype, "getCurrentUser")
-            .mockImplementationOnce(() => {
-                return user;
-            });
-
-            await auth.signOut();
-
-            expect.assertions(2);
-            expect(spyon).toBeCalled();
-            expect(spyon2).toBeCalledWith('federatedInfo');
+            
+            expect.assertions(1);
+            try {
+                await auth.userAttributes(user);
+            } catch (e) {
+                expect(e.cause).toBe('err');
+            }
 
             spyon.mockClear();
-            spyon2.mockClear();
-            spyon3.mockClear();
+            spyon2.mockClear();     
         });
+    });
 
-        test('happy case for source userpool', async () => {
+    describe('currentSession', () => {
+        test('happy case', async () => {
             const auth = new Auth(authOptions);
             const user = new CognitoUser({
                 Username: 'username',
                 Pool: userPool
             });
-            auth['credentials_source'] = 'aws';
-            auth['credentials'] = new CognitoIdentityCredentials({
-                IdentityPoolId: 'identityPoolId'
-            });
 
             const spyon = jest.spyOn(CognitoUserPool.prototype, "getCurrentUser")
-            .mockImplementationOnce(() => {
-                return user;
-            });
-            const spyon2 = jest.spyOn(CognitoUser.prototype, "signOut");
+                .mockImplementationOnce(() => {
+                    return user;
+                });
 
-            await auth.signOut();
+            expect.assertions(1);
+            expect(await auth.currentSession()).toBe('session');
+
+            spyon.mockClear();
+        });
+
+        test('callback failure', async () => {
+            const auth = new Auth(authOptions);
+
+            const spyon = jest.spyOn(CognitoUserPool.prototype, "getCurrentUser")
+                .mockImplementationOnce(() => {
+                    return null;
+                });
 
             expect.assertions(1);
-            expect(spyon2).toBeCalled();
+            try {
+                await auth.currentSession();
+            } catch (e) {
+                expect(e.code).toBe(AuthErrorCodes.NoCurrentUser);
+            }
 
             spyon.mockClear();
-            spyon2.mockClear();
         });
-        
+
         test('no UserPool', async () => {
-            const auth = new Auth(authOptionsWithNoUserPoolId);
-            auth['credentials_source'] = 'aws';
-            auth['credentials'] = new CognitoIdentityCredentials({
-                IdentityPoolId: 'identityPoolId'
+            const auth = new Auth({
+                userPoolId: undefined,
+                userPoolWebClientId: "awsUserPoolsWebClientId",
+                region: "region",
+                identityPoolId: "awsCognitoIdentityPoolId"
             });
 
             expect.assertions(1);
             try {
-                await auth.signOut();
+                await auth.currentSession();
             } catch (e) {
-                expect(e).toBe('No userPool');
+                expect(e.code).toBe(AuthErrorCodes.NoUserPool);
             }
         });
+    });
 
-        test('no User in userpool', async () => {
+    describe('currentAuthenticatedUser', () => {
+        test('happy case with source userpool', async () => {
             const auth = new Auth(authOptions);
-            auth['credentials_source'] = 'aws';
-            auth['credentials'] = new CognitoIdentityCredentials({
-                IdentityPoolId: 'identityPoolId'
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
             });
 
-            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser')
+            const spyon = jest.spyOn(CognitoUser.prototype, "getSession");
+            const spyon2 = jest.spyOn(CognitoUserPool.prototype, "getCurrentUser")
                 .mockImplementationOnce(() => {
-                    return null;
+                    return user;
+                });
+            const spyon3 = jest.spyOn(Auth.prototype, 'currentUserPoolUser')
+                .mockImplementationOnce(() => {
+                    return new Promise((res, rej) => {
+                        res(user);
+                    });
                 });
-            
 
             expect.assertions(1);
-            expect(await auth.signOut()).toBeUndefined();
-
+            expect(await auth.currentAuthenticatedUser()).toEqual(user);
+            
             spyon.mockClear();
+            spyon2.mockClear();
+        });
+
+        test('happy case with source federation', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            auth['credentials_source'] = 'federated';
+            auth['user'] = 'federated_user';
+
+            expect.assertions(1);
+            expect(await auth.currentAuthenticatedUser()).toBe('federated_user');
         });
     });
 
-    describe('forgotPassword', () => {
+    describe('userSession test', () => {
         test('happy case', async () => {
-            const spyon = jest.spyOn(CognitoUser.prototype, "forgotPassword");
+            const spyon = jest.spyOn(CognitoUser.prototype, "getSession");
 
             const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
 
             expect.assertions(1);
-            expect(await auth.forgotPassword('username')).toBeUndefined();
+            expect(await auth.userSession(user)).toBe('session');
 
             spyon.mockClear();
         });
 
-        test('onFailue', async () => {
-            const spyon = jest.spyOn(CognitoUser.prototype, "forgotPassword")
+        test('callback error', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+
+            const spyon = jest.spyOn(CognitoUser.prototype, "getSession")
                 .mockImplementationOnce((callback) => {
-                    callback.onFailure('err');
+                    callback('err', null);
                 });
 
-            const auth = new Auth(authOptions);
-
             expect.assertions(1);
             try {
-                await auth.forgotPassword('username');
+                await auth.userSession(user);
             } catch (e) {
-                expect(e).toBe('err');
+                expect(e.cause).toBe('err');
             }
 
             spyon.mockClear();
-        });
-
-        test('inputVerficationCode', async () => {
-            const spyon = jest.spyOn(CognitoUser.prototype, "forgotPassword")
-                .mockImplementationOnce((callback) => {
-                    callback.inputVerificationCode('data');
-                });
+        })
+    });
 
+    describe('currentUserCredentials test', () => {
+        test('with federated info', async () => {
             const auth = new Auth(authOptions);
-
+            
+            const spyon = jest.spyOn(Cache, 'getItem')
+                .mockImplementationOnce(() => {
+                    return {
+                        provider: 'google',
+                        token: 'token',
+                        user: {name: 'user'}
+                    }
+                });
+                
             expect.assertions(1);
-            expect(await auth.forgotPassword('username')).toBe('data');
+            expect(await auth.currentUserCredentials()).toBeUndefined();
 
             spyon.mockClear();
         });
 
-        test('no user pool id', async () => {
-            const spyon = jest.spyOn(CognitoUser.prototype, "forgotPassword");
+        test('with federated info of a provider no longer configured', async () => {
+            const auth = new Auth(authOptions);
 
-            const auth = new Auth(authOptionsWithNoUserPoolId);
+            const spyon = jest.spyOn(Cache, 'getItem')
+                .mockImplementationOnce(() => {
+                    return {
+                        provider: 'okta',
+                        token: 'token',
+                        user: {name: 'user'}
+                    }
+                });
 
             expect.assertions(1);
             try {
-                await auth.forgotPassword('username');
+                await auth.currentUserCredentials();
             } catch (e) {
-                expect(e).not.toBeNull();
+                expect(e.message).toBe('okta is not supported: [google, facebook, amazon, twitter, digits]');
             }
-            spyon.mockClear();
-        });
-
-        test('no username', async () => {
-            const spyon = jest.spyOn(CognitoUser.prototype, "forgotPassword");
-
-            const auth = new Auth(authOptions);
 
-            expect.assertions(1);
-            try {
-                await auth.forgotPassword(null);
-            } catch (e) {
-                expect(e).not.toBeNull();
-            }
             spyon.mockClear();
         });
     });
 
-    describe('forgotPasswordSubmit', () => {
-        test('happy case', async () => {
-            const spyon = jest.spyOn(CognitoUser.prototype, "confirmPassword");
-
+    describe('currentCrendentials', () => {
+        test('happy case when auth has credentials', async () => {
             const auth = new Auth(authOptions);
+            const cred = new CognitoIdentityCredentials({
+                    IdentityPoolId: 'identityPoolId',
+                }, {
+                    region: 'region'
+                });
 
-            expect.assertions(1);
-            expect(await auth.forgotPasswordSubmit('username', 'code', 'password')).toBeUndefined();
-
-            spyon.mockClear();
-        });
+            auth['credentials'] = cred;
 
-        test('confirmPassword failed', async () => {
-            const spyon = jest.spyOn(CognitoUser.prototype, "confirmPassword")
-                .mockImplementationOnce((code, password, callback) => {
-                    callback.onFailure('err');
+            const spyon = jest.spyOn(Auth.prototype, "currentUserCredentials")
+                .mockImplementationOnce(() => {
+                    return new Promise((res, rej) => {
+                        res();
+                    })
+                });
+
+            const spyon2 = jest.spyOn(CognitoIdentityCredentials.prototype, 'refresh')
+                .mockImplementationOnce((callback) => {
+                    callback(null);
                 });
 
+            
+
+            expect.assertions(1);
+            expect(await auth.currentCredentials()).toEqual(cred);
+
+            spyon.mockClear();
+            spyon2.mockClear();
+        });
+    });
+
+
+    describe('verifyUserAttribute test', () => {
+        test('happy case', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "getAttributeVerificationCode");
+
             const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
 
             expect.assertions(1);
-            try {
-                await auth.forgotPasswordSubmit('username', 'code', 'password');
-            } catch (e) {
-                expect(e).toBe('err');
-            }
+            expect(await auth.verifyUserAttribute(user, {})).toBe("success");
 
             spyon.mockClear();
+
         });
 
-        test('no user pool', async () => {
-            const auth = new Auth(authOptionsWithNoUserPoolId);
+        test('onFailure', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "getAttributeVerificationCode")
+                .mockImplementationOnce((attr, callback) => {
+                    callback.onFailure('err');
+                });
+
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
 
             expect.assertions(1);
             try {
-                await auth.forgotPasswordSubmit('username', 'code', 'password');
+                await auth.verifyUserAttribute(user, {});
             } catch (e) {
-                expect(e).not.toBeNull();
+                expect(e.cause).toBe('err');
             }
+        
+            spyon.mockClear();
         });
+    });
+
+    describe('verifyUserAttributeSubmit', () => {
+        test('happy case', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "verifyAttribute");
 
-        test('no username', async () => {
             const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
 
             expect.assertions(1);
-            try {
-                await auth.forgotPasswordSubmit(null, 'code', 'password');
-            } catch (e) {
-                expect(e).not.toBeNull();
-            }
+            expect(await auth.verifyUserAttributeSubmit(user, {}, 'code')).toBe("success");
+
+            spyon.mockClear();
         });
 
-        test('no code', async () => {
+        test('onFailure', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "verifyAttribute")
+                .mockImplementationOnce((attr, code, callback) => {
+                    callback.onFailure('err');
+                });
+
             const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
 
             expect.assertions(1);
             try {
-                await auth.forgotPasswordSubmit('username', null, 'password');
+                await auth.verifyUserAttributeSubmit(user, {}, 'code');
             } catch (e) {
-                expect(e).not.toBeNull();
+                expect(e.cause).toBe('err');
             }
+        
+            spyon.mockClear();
         });
 
-        test('no password', async () => {
+        test('code empty', async () => {
             const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
 
             expect.assertions(1);
             try {
-                await auth.forgotPasswordSubmit('username', 'code', null);
+                await auth.verifyUserAttributeSubmit(user, {}, null);
             } catch (e) {
-                expect(e).not.toBeNull();
+                expect(e.code).toBe(AuthErrorCodes.EmptyCode);
             }
         });
     });
 
-    describe('currentUserInfo test', () => {
-        test('happy case with aws or userpool source', async () => {
+    describe('verifyCurrentUserAttribute test', () => {
+        test('happy case', async () => {
             const auth = new Auth(authOptions);
             const user = new CognitoUser({
                 Username: 'username',
                 Pool: userPool
             });
-            auth['credentials_source'] = 'aws';
-            auth['credentials'] = new CognitoIdentityCredentials({
-                IdentityPoolId: 'identityPoolId',
-                IdentityId: 'identityId'
-            });
 
             const spyon = jest.spyOn(Auth.prototype, 'currentUserPoolUser')
                 .mockImplementationOnce(() => {
                     return new Promise((res, rej) => {
-                        res({
-                            username: 'username'
-                        });
-                    }); 
+                        res(user);
+                    });
                 });
 
-            const spyon2 = jest.spyOn(Auth.prototype, 'userAttributes')
+            const spyon2 = jest.spyOn(Auth.prototype, 'verifyUserAttribute')
                 .mockImplementationOnce(() => {
-                    return new Promise((res, rej)=> {
-                        res([
-                            {Name: 'email', Value: 'email'},
-                            {Name: 'phone_number', Value : 'phone_number'},
-                            {Name: 'email_verified', Value: 'false'},
-                            {Name: 'phone_number_verified', Value: 'true'},
-                            {Name: 'sub', Value: 'fefefe'}
-                        ]);
+                    return new Promise((res, rej) => {
+                        res();
                     });
                 });
+            
+            await auth.verifyCurrentUserAttribute('attr');
 
-            expect.assertions(1);
-            expect(await auth.currentUserInfo()).toEqual({
-                username: 'username',
-                id: 'identityId',
-                attributes: {
-                    email: 'email',
-                    phone_number: 'phone_number',
-                    email_verified: false,
-                    phone_number_verified: true
-                }
-            });
+            expect.assertions(2);
+            expect(spyon).toBeCalled();
+            expect(spyon2).toBeCalledWith(user, 'attr');
 
             spyon.mockClear();
             spyon2.mockClear();
         });
+    });
 
-        test('return empty object if error happens', async () => {
+    describe('verifyCurrentUserAttributeSubmit test', () => {
+        test('happy case', async () => {
             const auth = new Auth(authOptions);
             const user = new CognitoUser({
                 Username: 'username',
                 Pool: userPool
             });
-            auth['credentials_source'] = 'aws';
-            auth['credentials'] = new CognitoIdentityCredentials({
-                IdentityPoolId: 'identityPoolId',
-                IdentityId: 'identityId'
-            });
 
             const spyon = jest.spyOn(Auth.prototype, 'currentUserPoolUser')
                 .mockImplementationOnce(() => {
                     return new Promise((res, rej) => {
-                        res({
-                            username: 'username'
-                        });
-                    }); 
+                        res(user);
+                    });
                 });
 
-            const spyon2 = jest.spyOn(Auth.prototype, 'userAttributes')
+            const spyon2 = jest.spyOn(Auth.prototype, 'verifyUserAttributeSubmit')
                 .mockImplementationOnce(() => {
-                    return new Promise((res, rej)=> {
-                        rej('err')
+                    return new Promise((res, rej) => {
+                        res();
                     });
                 });
+            
+            await auth.verifyCurrentUserAttributeSubmit('attr', 'code');
 
-            expect.assertions(1);
-            expect(await auth.currentUserInfo()).toEqual({});
+            expect.assertions(2);
+            expect(spyon).toBeCalled();
+            expect(spyon2).toBeCalledWith(user, 'attr', 'code');
 
             spyon.mockClear();
             spyon2.mockClear();
         });
+    });
 
-        test('no credentials source', async () => {
-            const auth = new Auth(authOptions);
-            const user = new CognitoUser({
-                Username: 'username',
-                Pool: userPool
-            });
-            auth['credentials_source'] = null;
-            
+    describe('storage', () => {
+        test('configured storage', () => {
+            const storage = { setItem: jest.fn(), getItem: jest.fn(), removeItem: jest.fn() };
+            const auth = new Auth(Object.assign({}, authOptions, { storage }));
 
-            expect.assertions(1);
-            expect(await auth.currentUserInfo()).toBeNull();
+            expect(auth['_storage']).toBe(storage);
         });
 
-        test('no current userpool user', async () => {
-            const auth = new Auth(authOptions);
-            const user = new CognitoUser({
-                Username: 'username',
-                Pool: userPool
-            });
-            auth['credentials_source'] = 'aws';
+        test('invalid storage', () => {
+            expect(() => new Auth(Object.assign({}, authOptions, { storage: 'cookie' })))
+                .toThrow('cookieStorage.domain is required to keep the tokens in cookies');
+        });
 
-            const spyon = jest.spyOn(Auth.prototype, 'currentUserPoolUser')
-                .mockImplementationOnce(() => {
-                    return new Promise((res, rej) => {
-                        res(null);
-                    }); 
+        test('federated info goes to the configured storage', async () => {
+            const storage = new MemoryStorage();
+            const auth = new Auth(Object.assign({}, authOptions, { storage }));
+
+            const spyon = jest.spyOn(Cache, 'setItem');
+            const spyon2 = jest.spyOn(CognitoIdentityCredentials.prototype, 'refresh')
+                .mockImplementationOnce((callback) => {
+                    callback(null);
                 });
 
-            expect.assertions(1);
-            expect(await auth.currentUserInfo()).toBeNull();
+            await auth.federatedSignIn('google', { token: 'token' }, 'user');
+
+            expect(spyon).not.toBeCalled();
+            expect(JSON.parse(storage.getItem('aws-amplify-auth.federatedInfo'))).toEqual({
+                provider: 'google',
+                token: 'token',
+                user: 'user'
+            });
 
             spyon.mockClear();
+            spyon2.mockClear();
         });
 
-        test('federated user', async () => {
-            const auth = new Auth(authOptions);
-            const user = new CognitoUser({
-                Username: 'username',
-                Pool: userPool
-            });
-            auth['credentials_source'] = 'federated';
-            auth['user'] = 'federated_user';
-       
-            expect.assertions(1);
-            expect(await auth.currentUserInfo()).toBe('federated_user');
+        test('configuring again keeps the storage', () => {
+            const auth = new Auth(Object.assign({}, authOptions, { storage: 'memory' }));
+            const storage = auth['_storage'];
+
+            auth.configure({ region: 'region' });
+
+            expect(auth['_storage']).toBe(storage);
         });
     });
 
-    describe('updateUserAttributes test', () => {
-        test('happy case', async () => {
-            const auth = new Auth(authOptions);
-            const user = new CognitoUser({
-                Username: 'username',
-                Pool: userPool
-            });
-            const attributes = {
-                'email': 'email',
-                'phone_number': 'phone_number',
-                'sub': 'sub'
+    describe('hosted UI', () => {
+        const oauthAuthOptions = Object.assign({}, authOptions, {
+            oauth: {
+                domain: 'auth.example.com',
+                scope: ['openid'],
+                redirectSignIn: 'http://localhost:3000/',
+                redirectSignOut: 'http://localhost:3000/'
             }
-            expect.assertions(1);
-            expect(await auth.updateUserAttributes(user,attributes)).toBe('SUCCESS');
         });
-    });
 
-    describe('federatedSignIn test', () => {
-        test('happy case', () => {
-            const auth = new Auth(authOptions);
+        test('sign in redirects to the hosted UI', async () => {
+            const auth = new Auth(oauthAuthOptions);
 
-            const spyon = jest.spyOn(Cache, 'setItem').mockImplementationOnce(() => {
-                return;
+            const spyon = jest.spyOn(OAuth.prototype, 'oauthSignIn').mockImplementationOnce(() => {
+                return 'authorizeUrl';
             });
 
-            auth.federatedSignIn('google', {token: 'token', expires_at: 'expires_at'}, 'user');
+            expect.assertions(2);
+            expect(await auth.hostedUISignIn('Google')).toBe('authorizeUrl');
+            expect(spyon).toBeCalledWith('Google');
 
-            expect(spyon).toBeCalledWith('federatedInfo', {
-                provider: 'google',
-                token: 'token',
-                user: 'user'
-            },
-            {
-                priority: 1
-            });
             spyon.mockClear();
         });
-    });
 
-    describe('verifiedContact test', () => {
-        test('happy case with unverified', async () => {
-            const spyon = jest.spyOn(Auth.prototype, 'userAttributes')
-                .mockImplementationOnce(() => {
-                    return new Promise((res, rej) => {
-                        res([{
-                            Name: 'email',
-                            Value: 'email@amazon.com'
-                        },
-                        {
-                            Name: 'phone_number',
-                            Value: '+12345678901'
-                        }])
-                    });
+        test('no oauth configured', async () => {
+            const auth = new Auth(authOptions);
+
+            expect.assertions(1);
+            try {
+                await auth.hostedUISignIn();
+            } catch (e) {
+                expect(e.code).toBe(AuthErrorCodes.NoOAuth);
+            }
+        });
+
+        test('responseType other than code', () => {
+            const options = Object.assign({}, oauthAuthOptions, {
+                oauth: Object.assign({}, oauthAuthOptions.oauth, { responseType: 'token' })
+            });
+
+            expect.assertions(2);
+            try {
+                new Auth(options);
+            } catch (e) {
+                expect(e.code).toBe(AuthErrorCodes.InvalidParameter);
+                expect(e.message).toMatch(/responseType token/);
+            }
+        });
+
+        test('handle the redirect back', async () => {
+            const auth = new Auth(oauthAuthOptions);
+
+            const spyon = jest.spyOn(OAuth.prototype, 'handleAuthResponse').mockImplementationOnce(() => {
+                return Promise.resolve({
+                    idToken: 'idToken',
+                    accessToken: 'accessToken',
+                    refreshToken: 'refreshToken'
                 });
+            });
+            const spyon2 = jest.spyOn(CognitoUser.prototype, 'setSignInUserSession');
+            const spyon3 = jest.spyOn(Hub, 'dispatch');
 
-            const auth = new Auth(authOptions);
+            const user = await auth.handleOAuthResponse('http://localhost:3000/?code=code&state=state');
+
+            expect.assertions(4);
+            expect(spyon).toBeCalledWith('http://localhost:3000/?code=code&state=state');
+            expect(spyon2).toBeCalled();
+            expect(auth['user']).toBe(user);
+            expect(spyon3).toBeCalledWith('auth', { event: 'signIn', data: user }, 'Auth');
+
+            spyon.mockClear();
+            spyon2.mockClear();
+            spyon3.mockClear();
+        });
+
+        test('configure handles the redirect back once and cleans the url', async () => {
+            const spyon = jest.spyOn(OAuth.prototype, 'isOAuthResponse').mockImplementation(() => true);
+            const spyon2 = jest.spyOn(OAuth.prototype, 'handleAuthResponse').mockImplementation(() => {
+                return Promise.reject('Invalid state');
+            });
+            const spyon3 = jest.spyOn(window.history, 'replaceState').mockImplementation(() => {});
+
+            const auth = new Auth(oauthAuthOptions);
+            auth.configure(oauthAuthOptions);
+            auth.configure(oauthAuthOptions);
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect.assertions(2);
+            expect(spyon2).toHaveBeenCalledTimes(1);
+            expect(spyon3).toBeCalledWith({}, null, 'http://localhost:3000/');
+
+            spyon.mockRestore();
+            spyon2.mockRestore();
+            spyon3.mockRestore();
+        });
+
+        test('redirect back with an error', async () => {
+            const auth = new Auth(oauthAuthOptions);
+
+            const spyon = jest.spyOn(OAuth.prototype, 'handleAuthResponse').mockImplementationOnce(() => {
+                return Promise.reject('err');
+            });
+            const spyon2 = jest.spyOn(Hub, 'dispatch');
+
+            expect.assertions(2);
+            try {
+                await auth.handleOAuthResponse('http://localhost:3000/?error=access_denied');
+            } catch (e) {
+                expect(e.cause).toBe('err');
+                expect(spyon2).toBeCalledWith('auth', {
+                    event: 'signIn_failure',
+                    data: expect.objectContaining({ cause: 'err' })
+                }, 'Auth');
+            }
+
+            spyon.mockClear();
+            spyon2.mockClear();
+        });
+
+        test('sign out also signs out of the hosted UI', async () => {
+            const auth = new Auth(oauthAuthOptions);
+            auth['credentials'] = new CognitoIdentityCredentials({
+                IdentityPoolId: 'identityPoolId'
+            });
+            auth['credentials_source'] = 'userPool';
             const user = new CognitoUser({
                 Username: 'username',
                 Pool: userPool
             });
 
-            expect(await auth.verifiedContact(user)).toEqual({
-                "unverified": {"email": "email@amazon.com", "phone_number": "+12345678901"}, 
-                "verified": {}
+            const spyon = jest.spyOn(Cache, 'getItem').mockImplementationOnce(() => {
+                return true;
+            });
+            const spyon2 = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser').mockImplementationOnce(() => {
+                return user;
             });
+            const spyon3 = jest.spyOn(OAuth.prototype, 'signOut').mockImplementationOnce(() => {
+                return 'logoutUrl';
+            });
+
+            await auth.signOut();
+
+            expect.assertions(1);
+            expect(spyon3).toBeCalled();
 
             spyon.mockClear();
+            spyon2.mockClear();
+            spyon3.mockClear();
         });
 
-        test('happy case with unverified', async () => {
-            const spyon = jest.spyOn(Auth.prototype, 'userAttributes')
-                .mockImplementationOnce(() => {
-                    return new Promise((res, rej) => {
-                        res([{
-                            Name: 'email',
-                            Value: 'email@amazon.com'
-                        },
-                        {
-                            Name: 'phone_number',
-                            Value: '+12345678901'
-                        },
-                        {
-                            Name: 'email_verified',
-                            Value: true
-                        },
-                        {
-                            Name: 'phone_number_verified',
-                            Value: true
-                        }])
-                    });
+        test('global sign out failure still signs out of the hosted UI', async () => {
+            const auth = new Auth(oauthAuthOptions);
+            auth['credentials'] = new CognitoIdentityCredentials({
+                IdentityPoolId: 'identityPoolId'
+            });
+            auth['credentials_source'] = 'userPool';
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+
+            const spyon = jest.spyOn(Cache, 'getItem').mockImplementationOnce(() => {
+                return true;
+            });
+            const spyon2 = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser').mockImplementationOnce(() => {
+                return user;
+            });
+            const spyon3 = jest.spyOn(CognitoUser.prototype, 'globalSignOut')
+                .mockImplementationOnce((callback) => {
+                    callback.onFailure('network error');
                 });
+            const spyon4 = jest.spyOn(OAuth.prototype, 'signOut').mockImplementationOnce(() => {
+                return 'logoutUrl';
+            });
+
+            expect.assertions(3);
+            try {
+                await auth.signOut({ global: true });
+            } catch (e) {
+                expect(e.cause).toBe('network error');
+            }
+            expect(spyon4).toBeCalled();
+            expect(auth['credentials_source']).toBe('guest');
+
+            spyon.mockClear();
+            spyon2.mockClear();
+            spyon3.mockClear();
+            spyon4.mockClear();
+        });
+    });
 
+    describe('signOut', () => {
+        test('happy case for all', async () => {
             const auth = new Auth(authOptions);
+            auth['credentials'] = new CognitoIdentityCredentials({
+                IdentityPoolId: 'identityPoolId'
+            });
             const user = new CognitoUser({
                 Username: 'username',
                 Pool: userPool
             });
 
-            expect(await auth.verifiedContact(user)).toEqual({
-                "unverified": {}, 
-                "verified": {"email": "email@amazon.com", "phone_number": "+12345678901"}
+
+            const spyon = jest.spyOn(CognitoIdentityCredentials.prototype, "clearCachedId");
+            const spyon2 = jest.spyOn(Cache, 'removeItem');
+            const spyon3 = jest.spyOn(CognitoUserPool.prototype, "getCurrentUser")
+            .mockImplementationOnce(() => {
+                return user;
             });
 
+            await auth.signOut();
+
+            expect.assertions(2);
+            expect(spyon).toBeCalled();
+            expect(spyon2).toBeCalledWith('federatedInfo');
+
             spyon.mockClear();
+            spyon2.mockClear();
+            spyon3.mockClear();
         });
-    });
 
-    describe('currentUserPoolUser test', () => {
-        test('happy case', async () => {
+        test('happy case for source userpool', async () => {
             const auth = new Auth(authOptions);
             const user = new CognitoUser({
                 Username: 'username',
                 Pool: userPool
             });
+            auth['credentials_source'] = 'aws';
+            auth['credentials'] = new CognitoIdentityCredentials({
+                IdentityPoolId: 'identityPoolId'
+            });
+
+            const spyon = jest.spyOn(CognitoUserPool.prototype, "getCurrentUser")
+            .mockImplementationOnce(() => {
+                return user;
+            });
+            const spyon2 = jest.spyOn(CognitoUser.prototype, "signOut");
+
+            await auth.signOut();
 
-            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser')
-                .mockImplementation(() => {
-                    return user;
-                });
-            const spyon2 = jest.spyOn(CognitoUser.prototype, 'getSession')
-                .mockImplementation((callback) => {
-                    return callback(null, 'session');
-                });
-            
             expect.assertions(1);
-            auth.currentUserPoolUser()
-                .then((user) => {
-                    expect(user).toEqual(user);
-                    spyon.mockClear();
-                    spyon2.mockClear();
-                })
-                .catch((e) => {
-                    expect(e).toBe('No current user in userPool');
-                });
+            expect(spyon2).toBeCalled();
 
-            //expect(await auth.currentUserPoolUser()).toEqual(user);
+            spyon.mockClear();
+            spyon2.mockClear();
         });
+        
+        test('global sign out', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            auth['credentials_source'] = 'userPool';
+            auth['credentials'] = new CognitoIdentityCredentials({
+                IdentityPoolId: 'identityPoolId'
+            });
 
-        test('no current user', async () => {
+            const spyon = jest.spyOn(CognitoUserPool.prototype, "getCurrentUser")
+            .mockImplementationOnce(() => {
+                return user;
+            });
+            const spyon2 = jest.spyOn(CognitoUser.prototype, "globalSignOut");
+            const spyon3 = jest.spyOn(CognitoUser.prototype, "signOut");
+            const spyon4 = jest.spyOn(Hub, 'dispatch');
+
+            await auth.signOut({ global: true });
+
+            expect.assertions(3);
+            expect(spyon2).toBeCalled();
+            expect(spyon3).toBeCalled();
+            expect(spyon4).toBeCalledWith('auth', { event: 'globalSignOut', data: null }, 'Auth');
+
+            spyon.mockClear();
+            spyon2.mockClear();
+            spyon3.mockClear();
+            spyon4.mockClear();
+        });
+
+        test('global sign out failure still signs out locally', async () => {
             const auth = new Auth(authOptions);
             const user = new CognitoUser({
                 Username: 'username',
                 Pool: userPool
             });
+            auth['credentials_source'] = 'userPool';
+            auth['credentials'] = new CognitoIdentityCredentials({
+                IdentityPoolId: 'identityPoolId'
+            });
 
-            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser')
-                .mockImplementation(() => {
-                    return null;
-                });
-            
-            expect.assertions(1);
+            const spyon = jest.spyOn(CognitoUserPool.prototype, "getCurrentUser")
+            .mockImplementationOnce(() => {
+                return user;
+            });
+            const spyon2 = jest.spyOn(CognitoUser.prototype, "globalSignOut")
+            .mockImplementationOnce((callback) => {
+                callback.onFailure('network error');
+            });
+            const spyon3 = jest.spyOn(CognitoUser.prototype, "signOut");
+            const spyon4 = jest.spyOn(Hub, 'dispatch');
+
+            expect.assertions(4);
             try {
-                await auth.currentUserPoolUser()
+                await auth.signOut({ global: true });
             } catch (e) {
-                expect(e).toBe('No current user in userPool');
+                expect(e.cause).toBe('network error');
             }
+            expect(spyon3).toBeCalled();
+            expect(spyon4).toBeCalledWith('auth', { event: 'signOut', data: null }, 'Auth');
+            expect(spyon4).toBeCalledWith('auth', {
+                event: 'globalSignOut_failure',
+                data: expect.objectContaining({ cause: 'network error' })
+            }, 'Auth');
 
             spyon.mockClear();
+            spyon2.mockClear();
+            spyon3.mockClear();
+            spyon4.mockClear();
         });
 
-        test('No userPool', async () => {
+        test('global sign out of federated user signs out locally', async () => {
+            const auth = new Auth(authOptions);
+            auth['credentials_source'] = 'federated';
+            auth['credentials'] = new CognitoIdentityCredentials({
+                IdentityPoolId: 'identityPoolId'
+            });
+
+            const spyon = jest.spyOn(CognitoUser.prototype, "globalSignOut");
+
+            expect.assertions(2);
+            expect(await auth.signOut({ global: true })).toBeUndefined();
+            expect(spyon).not.toBeCalled();
+
+            spyon.mockClear();
+        });
+
+        test('no UserPool', async () => {
             const auth = new Auth(authOptionsWithNoUserPoolId);
-            const user = new CognitoUser({
-                Username: 'username',
-                Pool: userPool
+            auth['credentials_source'] = 'aws';
+            auth['credentials'] = new CognitoIdentityCredentials({
+                IdentityPoolId: 'identityPoolId'
             });
-            
+
             expect.assertions(1);
             try {
-                await auth.currentUserPoolUser()
+                await auth.signOut();
             } catch (e) {
-                expect(e).toBe('No userPool');
+                expect(e.code).toBe(AuthErrorCodes.NoUserPool);
             }
         });
 
-        test('get session error', async () => {
+        test('no User in userpool', async () => {
             const auth = new Auth(authOptions);
-            const user = new CognitoUser({
-                Username: 'username',
-                Pool: userPool
+            auth['credentials_source'] = 'aws';
+            auth['credentials'] = new CognitoIdentityCredentials({
+                IdentityPoolId: 'identityPoolId'
             });
 
             const spyon = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser')
-                .mockImplementation(() => {
-                    return user;
-                });
-            const spyon2 = jest.spyOn(CognitoUser.prototype, 'getSession')
-                .mockImplementation((callback) => {
-                    return callback('err', null);
+                .mockImplementationOnce(() => {
+                    return null;
                 });
             
-            expect.assertions(1);
-            try {
-                await auth.currentUserPoolUser()
-            } catch (e) {
-                expect(e).toBe('err');
-            }
+
+            expect.assertions(1);
+            expect(await auth.signOut()).toBeUndefined();
+
+            spyon.mockClear();
+        });
+    });
+
+    describe('device tracking', () => {
+        test('signIn reports a device waiting for confirmation', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, 'authenticateUser')
+                .mockImplementationOnce((authenticationDetails, callback) => {
+                    callback.onSuccess(session, true);
+                });
+            const auth = new Auth(authOptions);
+
+            expect.assertions(1);
+            const signedInUser = await auth.signIn('username', 'password');
+            expect(signedInUser.userConfirmationNecessary).toBe(true);
+
+            spyon.mockClear();
+        });
+
+        test('rememberDevice happy case', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser')
+                .mockImplementationOnce(() => {
+                    return user;
+                });
+            const spyon2 = jest.spyOn(CognitoUser.prototype, 'getCachedDeviceKeyAndPassword');
+
+            expect.assertions(2);
+            expect(await auth.rememberDevice()).toBe('SUCCESS');
+            expect(spyon2).toBeCalled();
+
+            spyon.mockClear();
+            spyon2.mockClear();
+        });
+
+        test('rememberDevice onFailure', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser')
+                .mockImplementationOnce(() => {
+                    return user;
+                });
+            const spyon2 = jest.spyOn(CognitoUser.prototype, 'setDeviceStatusRemembered')
+                .mockImplementationOnce((callback) => {
+                    callback.onFailure('err');
+                });
+
+            expect.assertions(1);
+            try {
+                await auth.rememberDevice();
+            } catch (e) {
+                expect(e.cause).toBe('err');
+            }
+
+            spyon.mockClear();
+            spyon2.mockClear();
+        });
+
+        test('forgetDevice current device', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser')
+                .mockImplementationOnce(() => {
+                    return user;
+                });
+            const spyon2 = jest.spyOn(CognitoUser.prototype, 'forgetDevice');
+
+            expect.assertions(2);
+            expect(await auth.forgetDevice()).toBe('SUCCESS');
+            expect(spyon2).toBeCalled();
+
+            spyon.mockClear();
+            spyon2.mockClear();
+        });
+
+        test('forgetDevice with device key', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser')
+                .mockImplementationOnce(() => {
+                    return user;
+                });
+            const spyon2 = jest.spyOn(CognitoUser.prototype, 'forgetSpecificDevice');
+
+            expect.assertions(1);
+            await auth.forgetDevice('otherDeviceKey');
+            expect(spyon2.mock.calls[0][0]).toBe('otherDeviceKey');
+
+            spyon.mockClear();
+            spyon2.mockClear();
+        });
+
+        test('forgetDevice onFailure', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser')
+                .mockImplementationOnce(() => {
+                    return user;
+                });
+            const spyon2 = jest.spyOn(CognitoUser.prototype, 'forgetDevice')
+                .mockImplementationOnce((callback) => {
+                    callback.onFailure('err');
+                });
+
+            expect.assertions(1);
+            try {
+                await auth.forgetDevice();
+            } catch (e) {
+                expect(e.cause).toBe('err');
+            }
+
+            spyon.mockClear();
+            spyon2.mockClear();
+        });
+
+        test('fetchDevices happy case', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser')
+                .mockImplementationOnce(() => {
+                    return user;
+                });
+            const spyon2 = jest.spyOn(CognitoUser.prototype, 'listDevices');
+
+            expect.assertions(2);
+            expect(await auth.fetchDevices({ limit: 10 })).toEqual({ devices: ['device'], nextToken: 'nextToken' });
+            expect(spyon2.mock.calls[0].slice(0, 2)).toEqual([10, null]);
+
+            spyon.mockClear();
+            spyon2.mockClear();
+        });
+
+        test('fetchDevices onFailure', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser')
+                .mockImplementationOnce(() => {
+                    return user;
+                });
+            const spyon2 = jest.spyOn(CognitoUser.prototype, 'listDevices')
+                .mockImplementationOnce((limit, paginationToken, callback) => {
+                    callback.onFailure('err');
+                });
+
+            expect.assertions(1);
+            try {
+                await auth.fetchDevices();
+            } catch (e) {
+                expect(e.cause).toBe('err');
+            }
 
             spyon.mockClear();
             spyon2.mockClear();
         });
     });
 
+    describe('forgotPassword', () => {
+        test('happy case', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "forgotPassword");
+
+            const auth = new Auth(authOptions);
+
+            expect.assertions(1);
+            expect(await auth.forgotPassword('username')).toBeUndefined();
+
+            spyon.mockClear();
+        });
+
+        test('onFailue', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "forgotPassword")
+                .mockImplementationOnce((callback) => {
+                    callback.onFailure('err');
+                });
+
+            const auth = new Auth(authOptions);
+
+            expect.assertions(1);
+            try {
+                await auth.forgotPassword('username');
+            } catch (e) {
+                expect(e.cause).toBe('err');
+            }
+
+            spyon.mockClear();
+        });
+
+        test('inputVerficationCode', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "forgotPassword")
+                .mockImplementationOnce((callback) => {
+                    callback.inputVerificationCode('data');
+                });
+
+            const auth = new Auth(authOptions);
+
+            expect.assertions(1);
+            expect(await auth.forgotPassword('username')).toBe('data');
+
+            spyon.mockClear();
+        });
+
+        test('no user pool id', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "forgotPassword");
+
+            const auth = new Auth(authOptionsWithNoUserPoolId);
+
+            expect.assertions(1);
+            try {
+                await auth.forgotPassword('username');
+            } catch (e) {
+                expect(e).not.toBeNull();
+            }
+            spyon.mockClear();
+        });
+
+        test('no username', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "forgotPassword");
+
+            const auth = new Auth(authOptions);
+
+            expect.assertions(1);
+            try {
+                await auth.forgotPassword(null);
+            } catch (e) {
+                expect(e).not.toBeNull();
+            }
+            spyon.mockClear();
+        });
+    });
+
+    describe('forgotPasswordSubmit', () => {
+        test('happy case', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "confirmPassword");
+
+            const auth = new Auth(authOptions);
+
+            expect.assertions(1);
+            expect(await auth.forgotPasswordSubmit('username', 'code', 'password')).toBeUndefined();
+
+            spyon.mockClear();
+        });
+
+        test('confirmPassword failed', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, "confirmPassword")
+                .mockImplementationOnce((code, password, callback) => {
+                    callback.onFailure('err');
+                });
+
+            const auth = new Auth(authOptions);
+
+            expect.assertions(1);
+            try {
+                await auth.forgotPasswordSubmit('username', 'code', 'password');
+            } catch (e) {
+                expect(e.cause).toBe('err');
+            }
+
+            spyon.mockClear();
+        });
+
+        test('no user pool', async () => {
+            const auth = new Auth(authOptionsWithNoUserPoolId);
+
+            expect.assertions(1);
+            try {
+                await auth.forgotPasswordSubmit('username', 'code', 'password');
+            } catch (e) {
+                expect(e).not.toBeNull();
+            }
+        });
+
+        test('no username', async () => {
+            const auth = new Auth(authOptions);
+
+            expect.assertions(1);
+            try {
+                await auth.forgotPasswordSubmit(null, 'code', 'password');
+            } catch (e) {
+                expect(e).not.toBeNull();
+            }
+        });
+
+        test('no code', async () => {
+            const auth = new Auth(authOptions);
+
+            expect.assertions(1);
+            try {
+                await auth.forgotPasswordSubmit('username', null, 'password');
+            } catch (e) {
+                expect(e).not.toBeNull();
+            }
+        });
+
+        test('no password', async () => {
+            const auth = new Auth(authOptions);
+
+            expect.assertions(1);
+            try {
+                await auth.forgotPasswordSubmit('username', 'code', null);
+            } catch (e) {
+                expect(e).not.toBeNull();
+            }
+        });
+    });
+
+    describe('currentUserInfo test', () => {
+        test('happy case with aws or userpool source', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            auth['credentials_source'] = 'aws';
+            auth['credentials'] = new CognitoIdentityCredentials({
+                IdentityPoolId: 'identityPoolId',
+                IdentityId: 'identityId'
+            });
+
+            const spyon = jest.spyOn(Auth.prototype, 'currentUserPoolUser')
+                .mockImplementationOnce(() => {
+                    return new Promise((res, rej) => {
+                        res({
+                            username: 'username'
+                        });
+                    }); 
+                });
+
+            const spyon2 = jest.spyOn(Auth.prototype, 'userAttributes')
+                .mockImplementationOnce(() => {
+                    return new Promise((res, rej)=> {
+                        res([
+                            {Name: 'email', Value: 'email'},
+                            {Name: 'phone_number', Value : 'phone_number'},
+                            {Name: 'email_verified', Value: 'false'},
+                            {Name: 'phone_number_verified', Value: 'true'},
+                            {Name: 'sub', Value: 'fefefe'}
+                        ]);
+                    });
+                });
+
+            expect.assertions(1);
+            expect(await auth.currentUserInfo()).toEqual({
+                username: 'username',
+                id: 'identityId',
+                attributes: {
+                    email: 'email',
+                    phone_number: 'phone_number',
+                    email_verified: false,
+                    phone_number_verified: true
+                }
+            });
+
+            spyon.mockClear();
+            spyon2.mockClear();
+        });
+
+        test('return empty object if error happens', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            auth['credentials_source'] = 'aws';
+            auth['credentials'] = new CognitoIdentityCredentials({
+                IdentityPoolId: 'identityPoolId',
+                IdentityId: 'identityId'
+            });
+
+            const spyon = jest.spyOn(Auth.prototype, 'currentUserPoolUser')
+                .mockImplementationOnce(() => {
+                    return new Promise((res, rej) => {
+                        res({
+                            username: 'username'
+                        });
+                    }); 
+                });
+
+            const spyon2 = jest.spyOn(Auth.prototype, 'userAttributes')
+                .mockImplementationOnce(() => {
+                    return new Promise((res, rej)=> {
+                        rej('err')
+                    });
+                });
+
+            expect.assertions(1);
+            expect(await auth.currentUserInfo()).toEqual({});
+
+            spyon.mockClear();
+            spyon2.mockClear();
+        });
+
+        test('no credentials source', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            auth['credentials_source'] = null;
+            
+
+            expect.assertions(1);
+            expect(await auth.currentUserInfo()).toBeNull();
+        });
+
+        test('no current userpool user', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            auth['credentials_source'] = 'aws';
+
+            const spyon = jest.spyOn(Auth.prototype, 'currentUserPoolUser')
+                .mockImplementationOnce(() => {
+                    return new Promise((res, rej) => {
+                        res(null);
+                    }); 
+                });
+
+            expect.assertions(1);
+            expect(await auth.currentUserInfo()).toBeNull();
+
+            spyon.mockClear();
+        });
+
+        test('federated user', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            auth['credentials_source'] = 'federated';
+            auth['user'] = 'federated_user';
+       
+            expect.assertions(1);
+            expect(await auth.currentUserInfo()).toBe('federated_user');
+        });
+    });
+
+    describe('updateUserAttributes test', () => {
+        test('happy case', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            const attributes = {
+                'email': 'email',
+                'phone_number': 'phone_number',
+                'sub': 'sub'
+            }
+            expect.assertions(1);
+            expect(await auth.updateUserAttributes(user,attributes)).toBe('SUCCESS');
+        });
+    });
+
+    describe('deleteUserAttributes test', () => {
+        test('happy case', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            const spyon = jest.spyOn(CognitoUser.prototype, 'deleteAttributes');
+
+            expect.assertions(2);
+            expect(await auth.deleteUserAttributes(user, ['nickname'])).toBe('SUCCESS');
+            expect(spyon.mock.calls[0][0]).toEqual(['nickname']);
+
+            spyon.mockClear();
+        });
+
+        test('callback error', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            const spyon = jest.spyOn(CognitoUser.prototype, 'deleteAttributes')
+                .mockImplementationOnce((attributeList, callback) => {
+                    callback('err', null);
+                });
+
+            expect.assertions(1);
+            try {
+                await auth.deleteUserAttributes(user, ['nickname']);
+            } catch (e) {
+                expect(e.cause).toBe('err');
+            }
+
+            spyon.mockClear();
+        });
+
+        test('no attribute names', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+
+            expect.assertions(1);
+            try {
+                await auth.deleteUserAttributes(user, []);
+            } catch (e) {
+                expect(e).not.toBeNull();
+            }
+        });
+    });
+
+    describe('changePassword test', () => {
+        test('happy case', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            const spyon = jest.spyOn(Auth.prototype, 'userSession');
+
+            expect.assertions(2);
+            expect(await auth.changePassword(user, 'oldPassword', 'newPassword')).toBe('SUCCESS');
+            expect(spyon).toBeCalledWith(user);
+
+            spyon.mockClear();
+        });
+
+        test('callback error', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            const spyon = jest.spyOn(CognitoUser.prototype, 'changePassword')
+                .mockImplementationOnce((oldPassword, newPassword, callback) => {
+                    callback('err', null);
+                });
+
+            expect.assertions(1);
+            try {
+                await auth.changePassword(user, 'oldPassword', 'newPassword');
+            } catch (e) {
+                expect(e.cause).toBe('err');
+            }
+
+            spyon.mockClear();
+        });
+
+        test('no new password', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+
+            expect.assertions(1);
+            try {
+                await auth.changePassword(user, 'oldPassword', null);
+            } catch (e) {
+                expect(e.code).toBe(AuthErrorCodes.EmptyPassword);
+            }
+        });
+    });
+
+    describe('deleteUser test', () => {
+        test('happy case', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            auth['credentials'] = new CognitoIdentityCredentials({
+                IdentityPoolId: 'identityPoolId'
+            });
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser')
+                .mockImplementationOnce(() => {
+                    return user;
+                });
+            const spyon2 = jest.spyOn(CognitoIdentityCredentials.prototype, 'clearCachedId');
+            const spyon3 = jest.spyOn(Cache, 'removeItem');
+            const spyon4 = jest.spyOn(Hub, 'dispatch');
+            spyon4.mockClear();
+
+            expect.assertions(4);
+            expect(await auth.deleteUser()).toBe('SUCCESS');
+            expect(spyon2).toBeCalled();
+            expect(spyon3).toBeCalledWith('federatedInfo');
+            const events = spyon4.mock.calls
+                .filter(call => call[0] === 'auth' && call[1].event !== 'credentialsChanged')
+                .map(call => call[1]);
+            expect(events).toEqual([{ event: 'signOut', data: user }, { event: 'userDeleted', data: user }]);
+
+            spyon.mockClear();
+            spyon2.mockClear();
+            spyon3.mockClear();
+            spyon4.mockClear();
+        });
+
+        test('callback error', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser')
+                .mockImplementationOnce(() => {
+                    return user;
+                });
+            const spyon2 = jest.spyOn(CognitoUser.prototype, 'deleteUser')
+                .mockImplementationOnce((callback) => {
+                    callback('err', null);
+                });
+
+            expect.assertions(1);
+            try {
+                await auth.deleteUser();
+            } catch (e) {
+                expect(e.cause).toBe('err');
+            }
+
+            spyon.mockClear();
+            spyon2.mockClear();
+        });
+    });
+
+    describe('federatedSignIn test', () => {
+        test('happy case', () => {
+            const auth = new Auth(authOptions);
+
+            const spyon = jest.spyOn(Cache, 'setItem').mockImplementationOnce(() => {
+                return;
+            });
+
+            auth.federatedSignIn('google', {token: 'token', expires_at: 'expires_at'}, 'user');
+
+            expect(spyon).toBeCalledWith('federatedInfo', {
+                provider: 'google',
+                token: 'token',
+                user: 'user',
+                expires_at: 'expires_at'
+            },
+            {
+                priority: 1
+            });
+            spyon.mockClear();
+        });
+
+        test('provider from the federationProviders configuration', async () => {
+            const auth = new Auth(Object.assign({}, authOptions, {
+                federationProviders: {
+                    okta: 'dev-123.okta.com',
+                    saml: { domain: 'arn:aws:iam::123456789012:saml-provider/Corp' }
+                }
+            }));
+
+            const spyon = jest.spyOn(Cache, 'setItem').mockImplementation(() => {
+                return;
+            });
+            const spyon2 = jest.spyOn(CognitoIdentityCredentials.prototype, 'refresh')
+                .mockImplementation((callback) => {
+                    callback(null);
+                });
+
+            await auth.federatedSignIn('okta', {token: 'idToken'}, 'user');
+            expect(auth['credentials'].params.Logins).toEqual({ 'dev-123.okta.com': 'idToken' });
+            expect(auth['credentials_source']).toBe('federated');
+
+            await auth.federatedSignIn('saml', {token: 'assertion'}, 'user');
+            expect(auth['credentials'].params.Logins).toEqual({
+                'arn:aws:iam::123456789012:saml-provider/Corp': 'assertion'
+            });
+
+            spyon.mockRestore();
+            spyon2.mockRestore();
+        });
+
+        test('provider without a domain', () => {
+            expect.assertions(3);
+            try {
+                new Auth(Object.assign({}, authOptions, {
+                    federationProviders: { okta: { refreshHandler: jest.fn() } }
+                }));
+            } catch (e) {
+                expect(e).toBeInstanceOf(AuthError);
+                expect(e.code).toBe(AuthErrorCodes.InvalidParameter);
+                expect(e.message).toBe('Federation provider okta has no domain');
+            }
+        });
+
+        test('developer authenticated identity', async () => {
+            const federationProviders = { backend: { developer: true } };
+            const auth = new Auth(Object.assign({}, authOptions, { federationProviders }));
+
+            const spyon = jest.spyOn(Cache, 'setItem').mockImplementationOnce(() => {
+                return;
+            });
+            const spyon2 = jest.spyOn(CognitoIdentityCredentials.prototype, 'refresh')
+                .mockImplementationOnce((callback) => {
+                    callback(null);
+                });
+
+            await auth.federatedSignIn('backend', {token: 'openIdToken', identity_id: 'identityId'}, 'user');
+
+            expect(auth['credentials'].params).toEqual({
+                IdentityPoolId: authOptions.identityPoolId,
+                IdentityId: 'identityId',
+                Logins: { 'cognito-identity.amazonaws.com': 'openIdToken' }
+            });
+            expect(federationProviders.backend).toEqual({ developer: true });
+            expect(spyon).toBeCalledWith('federatedInfo', {
+                provider: 'backend',
+                token: 'openIdToken',
+                user: 'user',
+                identity_id: 'identityId'
+            },
+            {
+                priority: 1
+            });
+
+            spyon.mockClear();
+            spyon2.mockClear();
+        });
+
+        test('provider not supported', async () => {
+            const auth = new Auth(authOptions);
+
+            expect.assertions(1);
+            try {
+                await auth.federatedSignIn('unknown', {token: 'token'}, 'user');
+            } catch (e) {
+                expect(e.message).toBe('unknown is not supported: [google, facebook, amazon, twitter, digits]');
+            }
+        });
+
+        test('refresh handler of the provider runs before the credentials are refreshed', async () => {
+            const refreshHandler = jest.fn(() => Promise.resolve({ token: 'newToken' }));
+            const auth = new Auth(Object.assign({}, authOptions, {
+                federationProviders: { google: { domain: 'accounts.google.com', refreshHandler } }
+            }));
+            auth['credentials'] = new CognitoIdentityCredentials({
+                IdentityPoolId: 'identityPoolId'
+            });
+            auth['credentials_source'] = 'federated';
+
+            const spyon = jest.spyOn(Cache, 'getItem').mockImplementationOnce(() => {
+                return { provider: 'google', token: 'token', user: 'user' };
+            });
+            const spyon2 = jest.spyOn(Cache, 'setItem').mockImplementationOnce(() => {
+                return;
+            });
+            const spyon3 = jest.spyOn(CognitoIdentityCredentials.prototype, 'refresh')
+                .mockImplementationOnce((callback) => {
+                    callback(null);
+                });
+
+            const credentials = await auth['keepAlive']();
+
+            expect(refreshHandler).toBeCalled();
+            expect(credentials.params.Logins).toEqual({ 'accounts.google.com': 'newToken' });
+            expect(spyon2).toBeCalledWith('federatedInfo', {
+                provider: 'google',
+                token: 'newToken',
+                user: 'user',
+                identity_id: undefined
+            },
+            {
+                priority: 1
+            });
+
+            spyon.mockClear();
+            spyon2.mockClear();
+            spyon3.mockClear();
+        });
+    });
+
+    describe('federated token refresh', () => {
+        const expiringInfo = () => ({
+            provider: 'google',
+            token: 'token',
+            user: 'user',
+            expires_at: new Date().getTime() + 60 * 1000
+        });
+
+        const validCredentials = () => {
+            const credentials = new CognitoIdentityCredentials({
+                IdentityPoolId: 'identityPoolId'
+            });
+            credentials.expired = false;
+            credentials.expireTime = new Date(new Date().getTime() + 60 * 60 * 1000);
+            return credentials;
+        };
+
+        test('token about to expire is refreshed even if the credentials are valid', async () => {
+            const expiresAt = new Date().getTime() + 60 * 60 * 1000;
+            const refreshHandler = jest.fn(() => Promise.resolve({ token: 'newToken', expires_at: expiresAt }));
+            const auth = new Auth(Object.assign({}, authOptions, {
+                federationProviders: { google: { domain: 'accounts.google.com', refreshHandler } }
+            }));
+            auth['credentials'] = validCredentials();
+            auth['credentials_source'] = 'federated';
+
+            const spyon = jest.spyOn(Cache, 'getItem').mockImplementationOnce(() => expiringInfo());
+            const spyon2 = jest.spyOn(Cache, 'setItem').mockImplementationOnce(() => {
+                return;
+            });
+            const spyon3 = jest.spyOn(CognitoIdentityCredentials.prototype, 'refresh')
+                .mockImplementationOnce((callback) => {
+                    callback(null);
+                });
+            const spyon4 = jest.spyOn(Hub, 'dispatch');
+
+            await auth['keepAlive']();
+
+            expect(refreshHandler).toBeCalled();
+            expect(spyon2.mock.calls[0][1].expires_at).toBe(expiresAt);
+            expect(spyon2.mock.calls[0][1].token).toBe('newToken');
+            expect(spyon4).toBeCalledWith('auth', { event: 'tokenRefresh', data: auth['user'] }, 'Auth');
+
+            spyon.mockClear();
+            spyon2.mockClear();
+            spyon3.mockClear();
+            spyon4.mockClear();
+        });
+
+        test('token still valid', async () => {
+            const refreshHandler = jest.fn();
+            const auth = new Auth(Object.assign({}, authOptions, {
+                federationProviders: { google: { domain: 'accounts.google.com', refreshHandler } }
+            }));
+            const credentials = validCredentials();
+            auth['credentials'] = credentials;
+            auth['credentials_source'] = 'federated';
+
+            const spyon = jest.spyOn(Cache, 'getItem').mockImplementationOnce(() => {
+                return Object.assign(expiringInfo(), { expires_at: new Date().getTime() + 60 * 60 * 1000 });
+            });
+
+            expect(await auth['keepAlive']()).toBe(credentials);
+            expect(refreshHandler).not.toBeCalled();
+
+            spyon.mockClear();
+        });
+
+        test('refresh failure signs the user out', async () => {
+            const refreshHandler = jest.fn(() => Promise.reject('err'));
+            const auth = new Auth(Object.assign({}, authOptions, {
+                federationProviders: { google: { domain: 'accounts.google.com', refreshHandler } }
+            }));
+            auth['credentials'] = validCredentials();
+            auth['credentials_source'] = 'federated';
+
+            const spyon = jest.spyOn(Cache, 'getItem').mockImplementationOnce(() => expiringInfo());
+            const spyon2 = jest.spyOn(Auth.prototype, 'signOut').mockImplementationOnce(() => {
+                return Promise.resolve();
+            });
+            const spyon3 = jest.spyOn(CognitoIdentityCredentials.prototype, 'refresh')
+                .mockImplementationOnce((callback) => {
+                    callback(null);
+                });
+            const spyon4 = jest.spyOn(Hub, 'dispatch');
+
+            await auth['keepAlive']();
+
+            expect(spyon4).toBeCalledWith('auth', { event: 'tokenRefresh_failure', data: expect.objectContaining({ cause: 'err' }) }, 'Auth');
+            expect(spyon2).toBeCalled();
+
+            spyon.mockClear();
+            spyon2.mockClear();
+            spyon3.mockClear();
+            spyon4.mockClear();
+        });
+
+        test('a refresh handler throwing signs the user out', async () => {
+            const error = new Error('err');
+            const refreshHandler = jest.fn(() => { throw error; });
+            const auth = new Auth(Object.assign({}, authOptions, {
+                federationProviders: { google: { domain: 'accounts.google.com', refreshHandler } }
+            }));
+            auth['credentials'] = validCredentials();
+            auth['credentials_source'] = 'federated';
+
+            const spyon = jest.spyOn(Auth.prototype, 'signOut').mockImplementationOnce(() => {
+                return Promise.resolve();
+            });
+            const spyon2 = jest.spyOn(Hub, 'dispatch');
+
+            await auth['refreshFederatedToken'](expiringInfo());
+
+            expect(spyon2).toBeCalledWith('auth', {
+                event: 'tokenRefresh_failure',
+                data: expect.objectContaining({ cause: error })
+            }, 'Auth');
+            expect(spyon).toBeCalled();
+
+            spyon.mockRestore();
+            spyon2.mockRestore();
+        });
+    });
+
+    describe('refresh scheduler', () => {
+        const nowInSeconds = () => Math.floor(new Date().getTime() / 1000);
+        const fakeSession = (expiration, clockDrift) => {
+            return {
+                getIdToken: () => ({ getJwtToken: () => 'idToken', getExpiration: () => expiration }),
+                getAccessToken: () => ({ getExpiration: () => expiration }),
+                getRefreshToken: () => 'refreshToken',
+                getClockDrift: () => clockDrift
+            };
+        };
+
+        test('concurrent refreshes share one promise', async () => {
+            const auth = new Auth(authOptions);
+            auth['credentials'] = new CognitoIdentityCredentials({
+                IdentityPoolId: 'identityPoolId'
+            });
+            auth['credentials_source'] = 'guest';
+
+            let finish;
+            const spyon = jest.spyOn(CognitoIdentityCredentials.prototype, 'refresh')
+                .mockImplementationOnce((callback) => {
+                    finish = callback;
+                });
+
+            const first = auth['keepAlive']();
+            const second = auth['keepAlive']();
+            finish(null);
+
+            expect(second).toBe(first);
+            expect(await first).toBe(auth['credentials']);
+            expect(spyon.mock.instances.filter(instance => instance === auth['credentials']).length).toBe(1);
+
+            spyon.mockClear();
+        });
+
+        test('session about to expire on the server clock is refreshed', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            // expires in 20 minutes on the server, whose clock is 15 minutes ahead
+            auth['setCredentialsFromSession'](fakeSession(nowInSeconds() + 20 * 60, -15 * 60));
+
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser').mockImplementationOnce(() => {
+                return user;
+            });
+            const spyon2 = jest.spyOn(Auth.prototype, 'userSession').mockImplementationOnce(() => {
+                return Promise.resolve(fakeSession(nowInSeconds(), 0));
+            });
+            const spyon3 = jest.spyOn(CognitoUser.prototype, 'refreshSession')
+                .mockImplementationOnce((refreshToken, callback) => {
+                    callback(null, fakeSession(nowInSeconds() + 60 * 60, 0));
+                });
+            const spyon4 = jest.spyOn(CognitoIdentityCredentials.prototype, 'refresh')
+                .mockImplementationOnce((callback) => {
+                    callback(null);
+                });
+            const spyon5 = jest.spyOn(Hub, 'dispatch');
+
+            const credentials = await auth['keepAlive']();
+
+            expect(spyon3).toBeCalled();
+            expect(spyon5).toBeCalledWith('auth', { event: 'tokenRefresh', data: user }, 'Auth');
+            expect(credentials).toBe(auth['credentials']);
+            expect(auth['_sessionExpiresAt']).toBeGreaterThan(new Date().getTime() + 50 * 60 * 1000);
+
+            spyon.mockClear();
+            spyon2.mockClear();
+            spyon3.mockClear();
+            spyon4.mockClear();
+            spyon5.mockClear();
+        });
+
+        test('session refreshed by getSession is not refreshed again', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            auth['setCredentialsFromSession'](fakeSession(nowInSeconds() - 60, 0));
+
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser').mockImplementationOnce(() => {
+                return user;
+            });
+            const spyon2 = jest.spyOn(Auth.prototype, 'userSession').mockImplementationOnce(() => {
+                return Promise.resolve(fakeSession(nowInSeconds() + 60 * 60, 0));
+            });
+            const spyon3 = jest.spyOn(CognitoUser.prototype, 'refreshSession');
+            const spyon4 = jest.spyOn(CognitoIdentityCredentials.prototype, 'refresh')
+                .mockImplementationOnce((callback) => {
+                    callback(null);
+                });
+            const spyon5 = jest.spyOn(Hub, 'dispatch');
+
+            await auth['keepAlive']();
+
+            expect(spyon3).not.toBeCalled();
+            expect(spyon5).toBeCalledWith('auth', { event: 'tokenRefresh', data: user }, 'Auth');
+            expect(auth['_sessionExpiresAt']).toBeGreaterThan(new Date().getTime() + 50 * 60 * 1000);
+
+            spyon.mockClear();
+            spyon2.mockClear();
+            spyon3.mockRestore();
+            spyon4.mockClear();
+            spyon5.mockClear();
+        });
+
+        test('session refresh failure', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            auth['setCredentialsFromSession'](fakeSession(nowInSeconds() + 60, 0));
+
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser').mockImplementationOnce(() => {
+                return user;
+            });
+            const spyon2 = jest.spyOn(Auth.prototype, 'userSession').mockImplementationOnce(() => {
+                return Promise.resolve(fakeSession(nowInSeconds(), 0));
+            });
+            const spyon3 = jest.spyOn(CognitoUser.prototype, 'refreshSession')
+                .mockImplementationOnce((refreshToken, callback) => {
+                    callback('err', null);
+                });
+            const spyon4 = jest.spyOn(CognitoIdentityCredentials.prototype, 'refresh')
+                .mockImplementationOnce((callback) => {
+                    callback(null);
+                });
+            const spyon5 = jest.spyOn(Hub, 'dispatch');
+
+            await auth['keepAlive']();
+
+            expect(spyon5).toBeCalledWith('auth', { event: 'tokenRefresh_failure', data: expect.objectContaining({ cause: 'err' }) }, 'Auth');
+
+            spyon.mockClear();
+            spyon2.mockClear();
+            spyon3.mockClear();
+            spyon4.mockClear();
+            spyon5.mockClear();
+        });
+
+        test('refresh is scheduled ahead of the session expiry', () => {
+            jest.useFakeTimers();
+            const spyon = jest.spyOn(Auth.prototype as any, 'keepAlive').mockImplementation(() => {
+                return Promise.resolve();
+            });
+            const auth = new Auth(authOptions);
+
+            auth['setCredentialsFromSession'](fakeSession(nowInSeconds() + 60 * 60, 0));
+
+            const calls = (<any>setTimeout).mock.calls;
+            const delay = calls[calls.length - 1][1];
+            expect(delay).toBeGreaterThan(49 * 60 * 1000);
+            expect(delay).toBeLessThanOrEqual(50 * 60 * 1000);
+
+            spyon.mockClear();
+            jest.runOnlyPendingTimers();
+            expect(spyon).toHaveBeenCalledTimes(1);
+
+            spyon.mockRestore();
+            jest.useRealTimers();
+        });
+    });
+
+    describe('createRequestInstance', () => {
+        const nowInSeconds = () => Math.floor(new Date().getTime() / 1000);
+        const fakeSession = () => {
+            return {
+                getIdToken: () => ({ getJwtToken: () => 'idToken', getExpiration: () => nowInSeconds() + 3600 }),
+                getAccessToken: () => ({ getExpiration: () => nowInSeconds() + 3600 }),
+                getRefreshToken: () => 'refreshToken',
+                getClockDrift: () => 0
+            };
+        };
+
+        test('session from the cookies', async () => {
+            // drop implementations other tests left unused
+            jest.spyOn(Auth.prototype, 'currentUserCredentials').mockRestore();
+            const serverAuth = new Auth(Object.assign({}, authOptions, {
+                cookieStorage: { domain: 'example.com' }
+            }));
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser').mockImplementation(() => {
+                return user;
+            });
+            const spyon2 = jest.spyOn(Auth.prototype, 'userSession').mockImplementation(function() {
+                // the refreshed tokens are written back to the storage of the request
+                if (this['_config'].ssr) {
+                    this['_storage'].setItem('CognitoIdentityServiceProvider.client.username.idToken', 'newIdToken');
+                }
+                return Promise.resolve(fakeSession());
+            });
+
+            const { auth, cookies } = await serverAuth.createRequestInstance({
+                cookies: 'CognitoIdentityServiceProvider.client.username.idToken=idToken; other=value'
+            });
+
+            expect(auth['_config'].ssr).toBe(true);
+            expect(auth['_storage'].getItem('other')).toBe('value');
+            expect(auth['credentials_source']).toBe('userPool');
+            expect(auth['credentials'].storage).toEqual({});
+            expect(auth['_refreshTimer']).toBeFalsy();
+            expect(cookies).toEqual([
+                expect.stringMatching(/^CognitoIdentityServiceProvider.client.username.idToken=newIdToken; Domain=example.com;/)
+            ]);
+
+            spyon.mockRestore();
+            spyon2.mockRestore();
+        });
+
+        test('session from tokens', async () => {
+            const serverAuth = new Auth(authOptions);
+            const accessToken = 'header.' + new Buffer(JSON.stringify({ username: 'username' })).toString('base64') + '.sig';
+            const spyon = jest.spyOn(CognitoUser.prototype, 'setSignInUserSession');
+            const spyon2 = jest.spyOn(Auth.prototype, 'currentUserCredentials').mockImplementationOnce(() => {
+                return Promise.resolve();
+            });
+
+            const { cookies } = await serverAuth.createRequestInstance({
+                tokens: { idToken: 'idToken', accessToken, refreshToken: 'refreshToken' }
+            });
+
+            expect(spyon).toBeCalled();
+            expect(cookies).toEqual([]);
+
+            spyon.mockClear();
+            spyon2.mockRestore();
+        });
+
+        test('tokens without userPool', async () => {
+            expect.assertions(1);
+            try {
+                await new Auth(authOptionsWithNoUserPoolId).createRequestInstance({
+                    tokens: { idToken: 'idToken', accessToken: 'accessToken' }
+                });
+            } catch (e) {
+                expect(e.code).toBe(AuthErrorCodes.NoUserPool);
+            }
+        });
+
+        test('no session falls back to guest', async () => {
+            const serverAuth = new Auth(authOptions);
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser').mockImplementation(() => {
+                return null;
+            });
+
+            const { auth, cookies } = await serverAuth.createRequestInstance();
+
+            expect(auth['credentials_source']).toBe('guest');
+            expect(cookies).toEqual([]);
+
+            spyon.mockRestore();
+        });
+
+        test('federated credentials are not set globally', async () => {
+            const serverAuth = new Auth(authOptions);
+            const credentials = AWS.config.credentials;
+            const spyon = jest.spyOn(Auth.prototype, 'currentUserCredentials').mockImplementationOnce(() => {
+                return Promise.reject('no session');
+            });
+            const spyon2 = jest.spyOn(CognitoIdentityCredentials.prototype, 'refresh')
+                .mockImplementation((callback) => {
+                    callback(null);
+                });
+
+            const { auth } = await serverAuth.createRequestInstance();
+            await auth.federatedSignIn('google', { token: 'token', expires_at: 0 }, 'user');
+
+            expect(auth['credentials_source']).toBe('federated');
+            expect(AWS.config.credentials).toBe(credentials);
+
+            spyon.mockRestore();
+            spyon2.mockRestore();
+        });
+    });
+
+    describe('groups and roles', () => {
+        const sessionWithClaims = (claims) => {
+            return {
+                getIdToken: () => ({
+                    getJwtToken: () => 'idToken',
+                    decodePayload: () => claims
+                })
+            };
+        };
+        const adminClaims = {
+            'cognito:groups': ['admin', 'users'],
+            'cognito:roles': ['arn:aws:iam::123456789012:role/Admin', 'arn:aws:iam::123456789012:role/Users'],
+            'cognito:preferred_role': 'arn:aws:iam::123456789012:role/Admin'
+        };
+
+        test('currentUserGroups', async () => {
+            const auth = new Auth(authOptions);
+            const spyon = jest.spyOn(Auth.prototype, 'currentSession').mockImplementationOnce(() => {
+                return Promise.resolve(sessionWithClaims(adminClaims));
+            });
+
+            expect.assertions(1);
+            expect(await auth.currentUserGroups()).toEqual(['admin', 'users']);
+
+            spyon.mockClear();
+        });
+
+        test('currentUserGroups without groups', async () => {
+            const auth = new Auth(authOptions);
+            const spyon = jest.spyOn(Auth.prototype, 'currentSession').mockImplementationOnce(() => {
+                return Promise.resolve(sessionWithClaims({}));
+            });
+
+            expect.assertions(1);
+            expect(await auth.currentUserGroups()).toEqual([]);
+
+            spyon.mockClear();
+        });
+
+        test('currentUserGroups without session', async () => {
+            const auth = new Auth(authOptions);
+            const spyon = jest.spyOn(Auth.prototype, 'currentSession').mockImplementationOnce(() => {
+                return Promise.reject(new AuthError(AuthErrorCodes.NoCurrentUser));
+            });
+
+            expect.assertions(1);
+            try {
+                await auth.currentUserGroups();
+            } catch (e) {
+                expect(e.code).toBe(AuthErrorCodes.NoCurrentUser);
+            }
+
+            spyon.mockClear();
+        });
+
+        test('hasGroup', async () => {
+            const auth = new Auth(authOptions);
+            const spyon = jest.spyOn(Auth.prototype, 'currentSession').mockImplementation(() => {
+                return Promise.resolve(sessionWithClaims(adminClaims));
+            });
+
+            expect.assertions(2);
+            expect(await auth.hasGroup('admin')).toBe(true);
+            expect(await auth.hasGroup('guests')).toBe(false);
+
+            spyon.mockRestore();
+        });
+
+        test('identity pool picks the role by default', () => {
+            const auth = new Auth(authOptions);
+            auth['setCredentialsFromSession'](sessionWithClaims(adminClaims));
+
+            expect(auth['credentials'].params.RoleArn).toBeUndefined();
+            expect(auth['credentials'].params.CustomRoleArn).toBeUndefined();
+        });
+
+        test('preferred role', () => {
+            const auth = new Auth(Object.assign({}, authOptions, { roleResolution: 'preferred' }));
+            auth['setCredentialsFromSession'](sessionWithClaims(adminClaims));
+
+            expect(auth['credentials'].params.CustomRoleArn).toBe('arn:aws:iam::123456789012:role/Admin');
+            expect(auth['credentials'].params.RoleArn).toBeUndefined();
+        });
+
+        test('custom role resolution', () => {
+            const roleResolution = jest.fn(({ roles }) => roles[1]);
+            const auth = new Auth(Object.assign({}, authOptions, { roleResolution }));
+            auth['setCredentialsFromSession'](sessionWithClaims(adminClaims));
+
+            expect(roleResolution).toBeCalledWith({
+                groups: ['admin', 'users'],
+                roles: adminClaims['cognito:roles'],
+                preferredRole: 'arn:aws:iam::123456789012:role/Admin',
+                claims: adminClaims
+            });
+            expect(auth['credentials'].params.CustomRoleArn).toBe('arn:aws:iam::123456789012:role/Users');
+            expect(auth['credentials'].params.RoleArn).toBeUndefined();
+        });
+    });
+
+    describe('verifiedContact test', () => {
+        test('happy case with unverified', async () => {
+            const spyon = jest.spyOn(Auth.prototype, 'userAttributes')
+                .mockImplementationOnce(() => {
+                    return new Promise((res, rej) => {
+                        res([{
+                            Name: 'email',
+                            Value: 'email@amazon.com'
+                        },
+                        {
+                            Name: 'phone_number',
+                            Value: '+12345678901'
+                        }])
+                    });
+                });
+
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+
+            expect(await auth.verifiedContact(user)).toEqual({
+                "unverified": {"email": "email@amazon.com", "phone_number": "+12345678901"}, 
+                "verified": {}
+            });
+
+            spyon.mockClear();
+        });
+
+        test('happy case with unverified', async () => {
+            const spyon = jest.spyOn(Auth.prototype, 'userAttributes')
+                .mockImplementationOnce(() => {
+                    return new Promise((res, rej) => {
+                        res([{
+                            Name: 'email',
+                            Value: 'email@amazon.com'
+                        },
+                        {
+                            Name: 'phone_number',
+                            Value: '+12345678901'
+                        },
+                        {
+                            Name: 'email_verified',
+                            Value: true
+                        },
+                        {
+                            Name: 'phone_number_verified',
+                            Value: true
+                        }])
+                    });
+                });
+
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+
+            expect(await auth.verifiedContact(user)).toEqual({
+                "unverified": {}, 
+                "verified": {"email": "email@amazon.com", "phone_number": "+12345678901"}
+            });
+
+            spyon.mockClear();
+        });
+    });
+
+    describe('currentUserPoolUser test', () => {
+        test('happy case', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser')
+                .mockImplementation(() => {
+                    return user;
+                });
+            const spyon2 = jest.spyOn(CognitoUser.prototype, 'getSession')
+                .mockImplementation((callback) => {
+                    return callback(null, 'session');
+                });
+            
+            expect.assertions(1);
+            auth.currentUserPoolUser()
+                .then((user) => {
+                    expect(user).toEqual(user);
+                    spyon.mockClear();
+                    spyon2.mockClear();
+                })
+                .catch((e) => {
+                    expect(e.message).toBe('No current user in userPool');
+                });
+
+            //expect(await auth.currentUserPoolUser()).toEqual(user);
+        });
+
+        test('no current user', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser')
+                .mockImplementation(() => {
+                    return null;
+                });
+            
+            expect.assertions(1);
+            try {
+                await auth.currentUserPoolUser()
+            } catch (e) {
+                expect(e.message).toBe('No current user in userPool');
+            }
+
+            spyon.mockClear();
+        });
+
+        test('No userPool', async () => {
+            const auth = new Auth(authOptionsWithNoUserPoolId);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            
+            expect.assertions(1);
+            try {
+                await auth.currentUserPoolUser()
+            } catch (e) {
+                expect(e.code).toBe(AuthErrorCodes.NoUserPool);
+            }
+        });
+
+        test('get session error', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser')
+                .mockImplementation(() => {
+                    return user;
+                });
+            const spyon2 = jest.spyOn(CognitoUser.prototype, 'getSession')
+                .mockImplementation((callback) => {
+                    return callback('err', null);
+                });
+            
+            expect.assertions(1);
+            try {
+                await auth.currentUserPoolUser()
+            } catch (e) {
+                expect(e.cause).toBe('err');
+            }
+
+            spyon.mockClear();
+            spyon2.mockClear();
+        });
+    });
+
+    describe('session timeout', () => {
+        test('signIn starts the deadlines', async () => {
+            const auth = new Auth(Object.assign({}, authOptions, { idleTimeout: 10 * 60 * 1000 }));
+            const spyon = jest.spyOn(CognitoUser.prototype, 'authenticateUser')
+                .mockImplementationOnce((authenticationDetails, callback) => {
+                    callback.onSuccess(session);
+                });
+            const spyon2 = jest.spyOn(SessionTimeout.prototype, 'start');
+
+            expect.assertions(1);
+            await auth.signIn('username', 'password');
+            expect(spyon2).toBeCalled();
+
+            auth['_sessionTimeout'].stop();
+            spyon.mockClear();
+            spyon2.mockRestore();
+        });
+
+        test('signs out after a sessionTimeout event', () => {
+            const auth = new Auth(authOptions);
+            const spyon = jest.spyOn(auth, 'signOut').mockImplementationOnce(() => Promise.resolve());
+            const spyon2 = jest.spyOn(Hub, 'dispatch');
+
+            auth['sessionTimedOut']('idle', 1000);
+            expect(spyon2).toBeCalledWith('auth', {
+                event: 'sessionTimeout',
+                data: { reason: 'idle', expiresAt: 1000 }
+            }, 'Auth');
+            expect(spyon).toBeCalled();
+
+            spyon.mockRestore();
+            spyon2.mockRestore();
+        });
+
+        test('recordActivity extends the idle deadline', () => {
+            const auth = new Auth(authOptions);
+            const spyon = jest.spyOn(SessionTimeout.prototype, 'recordActivity');
+
+            auth.recordActivity();
+            expect(spyon).toBeCalled();
+
+            spyon.mockRestore();
+        });
+    });
+
+
+    describe('other windows', () => {
+        const lastAuthUserKey = 'CognitoIdentityServiceProvider.awsUserPoolsWebClientId.LastAuthUser';
+
+        test('sign out in another window', () => {
+            const auth = new Auth(authOptions);
+            auth['credentials_source'] = 'userPool';
+            const spyon = jest.spyOn(Hub, 'dispatch');
+
+            auth['onStorageEvent']({ key: lastAuthUserKey, oldValue: 'username', newValue: null });
+            expect(spyon).toBeCalledWith('auth', { event: 'signOut', data: null }, 'Auth');
+            expect(auth['credentials_source']).toBe('guest');
+
+            spyon.mockRestore();
+        });
+
+        test('storage cleared in another window', () => {
+            const auth = new Auth(authOptions);
+            auth['credentials_source'] = 'userPool';
+            const spyon = jest.spyOn(Hub, 'dispatch');
+
+            auth['onStorageEvent']({ key: null, oldValue: null, newValue: null });
+            expect(spyon).toBeCalledWith('auth', { event: 'signOut', data: null }, 'Auth');
+
+            spyon.mockRestore();
+        });
+
+        test('storage cleared in another window with another storage', () => {
+            const auth = new Auth(Object.assign({}, authOptions, { storage: 'memory' }));
+            auth['credentials_source'] = 'userPool';
+            const spyon = jest.spyOn(Hub, 'dispatch');
+
+            auth['onStorageEvent']({ key: null, oldValue: null, newValue: null });
+            auth['onStorageEvent']({ key: lastAuthUserKey, oldValue: 'username', newValue: null });
+            expect(spyon).not.toBeCalled();
+            expect(auth['credentials_source']).toBe('userPool');
+
+            spyon.mockRestore();
+        });
+
+        test('sessionStorage changed in another window', () => {
+            const auth = new Auth(authOptions);
+            auth['credentials_source'] = 'userPool';
+            const spyon = jest.spyOn(Hub, 'dispatch');
+
+            auth['onStorageEvent']({ key: null, oldValue: null, newValue: null, storageArea: window.sessionStorage });
+            expect(spyon).not.toBeCalled();
+
+            spyon.mockRestore();
+        });
+
+        test('sign in in another window', async () => {
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+            const spyon = jest.spyOn(auth, 'currentUserCredentials').mockImplementationOnce(() => {
+                auth['credentials_source'] = 'userPool';
+                return Promise.resolve();
+            });
+            const spyon2 = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser').mockImplementation(() => user);
+            const spyon3 = jest.spyOn(Hub, 'dispatch');
+
+            auth['onStorageEvent']({ key: lastAuthUserKey, oldValue: null, newValue: 'username' });
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(spyon3).toBeCalledWith('auth', { event: 'signIn', data: user }, 'Auth');
+            expect(auth['user']).toBe(user);
+
+            spyon.mockRestore();
+            spyon2.mockRestore();
+            spyon3.mockRestore();
+        });
+
+        test('reading the federatedInfo in another window', () => {
+            const auth = new Auth(authOptions);
+            const spyon = jest.spyOn(auth, 'currentUserCredentials');
+            const spyon2 = jest.spyOn(Hub, 'dispatch');
+            const info = { provider: 'google', token: 'token', user: { name: 'name' } };
+
+            // the Cache updates the visited time of the items it reads
+            auth['onStorageEvent']({
+                key: 'aws-amplify-cachefederatedInfo',
+                oldValue: JSON.stringify({ key: 'federatedInfo', data: info, visitedTime: 1 }),
+                newValue: JSON.stringify({ key: 'federatedInfo', data: info, visitedTime: 2 })
+            });
+            expect(spyon).not.toBeCalled();
+            expect(spyon2).not.toBeCalled();
+
+            spyon.mockRestore();
+            spyon2.mockRestore();
+        });
+
+        test('federated token refreshed in another window', () => {
+            const auth = new Auth(Object.assign({}, authOptions, { storage: 'localStorage' }));
+            const spyon = jest.spyOn(auth, 'currentUserCredentials').mockImplementationOnce(() => Promise.resolve());
+            const spyon2 = jest.spyOn(Hub, 'dispatch');
+            const info = { provider: 'google', token: 'token', user: { name: 'name' } };
+
+            auth['onStorageEvent']({
+                key: 'aws-amplify-auth.federatedInfo',
+                oldValue: JSON.stringify(info),
+                newValue: JSON.stringify(Object.assign({}, info, { token: 'token2' }))
+            });
+            expect(spyon).toBeCalled();
+            expect(spyon2).not.toBeCalled();
+
+            spyon.mockRestore();
+            spyon2.mockRestore();
+        });
+    });
+
+
+    describe('multiple users', () => {
+        const otherUser = new CognitoUser({
+            Username: 'otherUsername',
+            Pool: userPool
+        });
+        otherUser['getUsername'] = () => 'otherUsername';
+
+        test('listSignedInUsers', async () => {
+            const auth = new Auth(authOptions);
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getSignedInUsers')
+                .mockImplementationOnce(() => [otherUser]);
+
+            expect.assertions(1);
+            expect(await auth.listSignedInUsers()).toEqual([otherUser]);
+
+            spyon.mockRestore();
+        });
+
+        test('switchUser', async () => {
+            const auth = new Auth(authOptions);
+            const credentials = new CognitoIdentityCredentials({ IdentityPoolId: 'identityPoolId' });
+            auth['credentials'] = credentials;
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getSignedInUsers')
+                .mockImplementationOnce(() => [otherUser]);
+            const spyon2 = jest.spyOn(CognitoUserPool.prototype, 'setCurrentUser');
+            const spyon3 = jest.spyOn(credentials, 'clearCachedId');
+            const spyon4 = jest.spyOn(Hub, 'dispatch');
+            const spyon5 = jest.spyOn(CognitoUser.prototype, 'getSession')
+                .mockImplementationOnce((callback) => callback(null, session));
+            const spyon6 = jest.spyOn(SessionTimeout.prototype, 'start');
+
+            expect.assertions(6);
+            const user = await auth.switchUser('otherUsername');
+            expect(user).toBe(otherUser);
+            expect(spyon2).toBeCalledWith('otherUsername');
+            expect(spyon3).toBeCalled();
+            expect(auth['credentials_source']).toBe('userPool');
+            expect(spyon4).toBeCalledWith('auth', { event: 'switchUser', data: otherUser }, 'Auth');
+            expect(spyon6).toBeCalled();
+
+            spyon.mockRestore();
+            spyon2.mockRestore();
+            spyon4.mockRestore();
+            spyon5.mockRestore();
+            spyon6.mockRestore();
+        });
+
+        test('switchUser to a user not signed in', async () => {
+            const auth = new Auth(authOptions);
+
+            expect.assertions(1);
+            try {
+                await auth.switchUser('otherUsername');
+            } catch (e) {
+                expect(e.code).toBe(AuthErrorCodes.UserNotSignedIn);
+            }
+        });
+
+        test('signOut another user', async () => {
+            const auth = new Auth(authOptions);
+            auth['credentials_source'] = 'userPool';
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getSignedInUsers')
+                .mockImplementationOnce(() => [otherUser]);
+            const spyon2 = jest.spyOn(otherUser, 'signOut');
+            const spyon3 = jest.spyOn(Hub, 'dispatch');
+            const spyon4 = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser')
+                .mockImplementationOnce(() => ({ getUsername: () => 'username' }));
+
+            expect.assertions(3);
+            await auth.signOut({ username: 'otherUsername' });
+            expect(spyon2).toBeCalled();
+            expect(spyon3).toBeCalledWith('auth', { event: 'signOut', data: otherUser }, 'Auth');
+            expect(auth['credentials_source']).toBe('userPool');
+
+            spyon.mockRestore();
+            spyon2.mockRestore();
+            spyon3.mockRestore();
+            spyon4.mockRestore();
+        });
+
+        test('global signOut another user', async () => {
+            const auth = new Auth(authOptions);
+            auth['credentials_source'] = 'userPool';
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'getSignedInUsers')
+                .mockImplementationOnce(() => [otherUser]);
+            const spyon2 = jest.spyOn(Hub, 'dispatch');
+            const spyon3 = jest.spyOn(CognitoUserPool.prototype, 'getCurrentUser')
+                .mockImplementationOnce(() => ({ getUsername: () => 'username' }));
+
+            expect.assertions(2);
+            await auth.signOut({ username: 'otherUsername', global: true });
+            expect(spyon2).toBeCalledWith('auth', { event: 'globalSignOut', data: otherUser }, 'Auth');
+            expect(auth['credentials_source']).toBe('userPool');
+
+            spyon.mockRestore();
+            spyon2.mockRestore();
+            spyon3.mockRestore();
+        });
+    });
+
+
+    describe('createInstance', () => {
+        test('named instances', () => {
+            const auth = new Auth(authOptions);
+            const admin = auth.createInstance('admin', authOptions);
+
+            expect(admin).toBeInstanceOf(Auth);
+            expect(admin).not.toBe(auth);
+            expect(auth.getInstance('admin')).toBe(admin);
+            expect(auth.createInstance('admin', authOptions)).toBe(admin);
+            expect(auth.getInstance('other')).toBeUndefined();
+        });
+
+        test('without name', () => {
+            const auth = new Auth(authOptions);
+            expect(() => auth.createInstance('', authOptions)).toThrow('Instance name cannot be empty');
+        });
+
+        test('keeps its items apart', () => {
+            const auth = new Auth(authOptions);
+            const storage = new MemoryStorage();
+            const admin = auth.createInstance('storageAdmin', Object.assign({}, authOptions, { storage }));
+            const cacheAdmin = auth.createInstance('cacheAdmin', authOptions);
+
+            admin['_cache'].setItem('federatedInfo', { provider: 'google' });
+            expect(storage.getItem('aws-amplify-auth.storageAdmin.federatedInfo')).toBe('{"provider":"google"}');
+            expect(cacheAdmin['_cache']).not.toBe(Cache);
+            expect(cacheAdmin['_cacheKeyPrefix']).toBe('aws-amplify-auth.cacheAdmin.');
+        });
+
+        test('dispatches with its own source', () => {
+            const auth = new Auth(authOptions);
+            const admin = auth.createInstance('admin', authOptions);
+            const spyon = jest.spyOn(Hub, 'dispatch');
+
+            admin['dispatchAuthEvent']('signIn', 'user');
+            expect(spyon).toBeCalledWith('auth', { event: 'signIn', data: 'user' }, 'Auth.admin');
+
+            spyon.mockRestore();
+        });
+
+        test('does not share the credentials of the AWS SDK', () => {
+            const auth = new Auth(authOptions);
+            const admin = auth.createInstance('admin', authOptions);
+            const credentials = AWS.config.credentials;
+            AWS.config.credentials = new CognitoIdentityCredentials({ IdentityPoolId: 'identityPoolId' });
+
+            expect(admin['setCredentialsFromAWS']()).toBe(false);
+            expect(auth['setCredentialsFromAWS']()).toBe(true);
+
+            AWS.config.credentials = credentials;
+        });
+    });
+
+    describe('validation', () => {
+        const validatedOptions = Object.assign({}, authOptions, {
+            passwordPolicy: { minimumLength: 8, requireNumbers: true },
+            signUpAttributes: { email: { required: true } }
+        });
+
+        test('validatePassword', () => {
+            const auth = new Auth(validatedOptions);
+
+            expect(auth.validatePassword('passw0rd')).toEqual([]);
+            expect(auth.validatePassword('pass').map(f => f.rule)).toEqual(['minimumLength', 'requireNumbers']);
+        });
+
+        test('validateSignUpAttributes', () => {
+            const auth = new Auth(validatedOptions);
+
+            expect(auth.validateSignUpAttributes({ email: 'email' })).toEqual([]);
+            expect(auth.validateSignUpAttributes({}).map(f => f.rule)).toEqual(['required']);
+        });
+
+        test('nothing to validate without the options', () => {
+            const auth = new Auth(authOptions);
+
+            expect(auth.validatePassword('p')).toEqual([]);
+            expect(auth.validateSignUpAttributes({})).toEqual([]);
+        });
+
+        test('signUp rejects an invalid password before calling the user pool', async () => {
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'signUp');
+            const auth = new Auth(validatedOptions);
+
+            expect.assertions(4);
+            try {
+                await auth.signUp('username', 'password', 'email');
+            } catch (e) {
+                expect(e.code).toBe('InvalidPasswordException');
+                expect(e.message).toBe('Password must have numeric characters');
+                expect(e.cause).toEqual([{ rule: 'requireNumbers', message: 'Password must have numeric characters' }]);
+            }
+            expect(spyon).not.toBeCalled();
+
+            spyon.mockClear();
+        });
+
+        test('signUp rejects missing attributes before calling the user pool', async () => {
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'signUp');
+            const auth = new Auth(validatedOptions);
+
+            expect.assertions(3);
+            try {
+                await auth.signUp({ username: 'username', password: 'passw0rd', attributes: { name: 'name' } });
+            } catch (e) {
+                expect(e.code).toBe('InvalidParameterException');
+                expect(e.cause[0].attribute).toBe('email');
+            }
+            expect(spyon).not.toBeCalled();
+
+            spyon.mockClear();
+        });
+
+        test('signUp with valid input', async () => {
+            const auth = new Auth(validatedOptions);
+
+            expect.assertions(1);
+            expect(await auth.signUp('username', 'passw0rd', 'email')).toBe('signUpResult');
+        });
+
+        test('completeNewPassword rejects an invalid password', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, 'completeNewPasswordChallenge');
+            const auth = new Auth(validatedOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+
+            expect.assertions(2);
+            try {
+                await auth.completeNewPassword(user, 'password', {});
+            } catch (e) {
+                expect(e.code).toBe('InvalidPasswordException');
+            }
+            expect(spyon).not.toBeCalled();
+
+            spyon.mockClear();
+        });
+
+        test('forgotPasswordSubmit rejects an invalid password', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, 'confirmPassword');
+            const auth = new Auth(validatedOptions);
+
+            expect.assertions(2);
+            try {
+                await auth.forgotPasswordSubmit('username', 'code', 'pass');
+            } catch (e) {
+                expect(e.cause.map(f => f.rule)).toEqual(['minimumLength', 'requireNumbers']);
+            }
+            expect(spyon).not.toBeCalled();
+
+            spyon.mockClear();
+        });
+    });
+
+    describe('hub events', () => {
+        const authEvents = (spyon, event) => spyon.mock.calls
+            .filter(call => call[0] === 'auth' && call[1].event === event)
+            .map(call => call[1].data);
+
+        test('confirmSignUp', async () => {
+            const spyon = jest.spyOn(Hub, 'dispatch');
+            const auth = new Auth(authOptions);
+
+            await auth.confirmSignUp('username', 'code');
+            expect(authEvents(spyon, 'confirmSignUp')).toEqual([{ username: 'username' }]);
+
+            spyon.mockRestore();
+        });
+
+        test('forgotPassword', async () => {
+            const spyon = jest.spyOn(Hub, 'dispatch');
+            const spyon2 = jest.spyOn(CognitoUser.prototype, 'forgotPassword')
+                .mockImplementationOnce((callback) => {
+                    callback.inputVerificationCode({ CodeDeliveryDetails: { DeliveryMedium: 'EMAIL' } });
+                });
+            const auth = new Auth(authOptions);
+
+            await auth.forgotPassword('username');
+            expect(authEvents(spyon, 'forgotPassword')).toEqual([
+                { username: 'username', codeDeliveryDetails: { DeliveryMedium: 'EMAIL' } }
+            ]);
+
+            spyon.mockRestore();
+            spyon2.mockRestore();
+        });
+
+        test('forgotPasswordSubmit', async () => {
+            const spyon = jest.spyOn(Hub, 'dispatch');
+            const auth = new Auth(authOptions);
+
+            await auth.forgotPasswordSubmit('username', 'code', 'password');
+            expect(authEvents(spyon, 'forgotPasswordSubmit')).toEqual([{ username: 'username' }]);
+
+            spyon.mockRestore();
+        });
+
+        test('mfaRequired on sign in', async () => {
+            const spyon = jest.spyOn(Hub, 'dispatch');
+            const spyon2 = jest.spyOn(CognitoUser.prototype, 'authenticateUser')
+                .mockImplementationOnce((authenticationDetails, callback) => {
+                    callback.totpRequired('SOFTWARE_TOKEN_MFA', 'challengeParam');
+                });
+            const auth = new Auth(authOptions);
+
+            const user = await auth.signIn('username', 'password');
+            expect(authEvents(spyon, 'mfaRequired')).toEqual([user]);
+            expect(user.challengeName).toBe('SOFTWARE_TOKEN_MFA');
+            expect(authEvents(spyon, 'signIn')).toEqual([]);
+
+            spyon.mockRestore();
+            spyon2.mockRestore();
+        });
+
+        test('completeNewPassword then mfaRequired', async () => {
+            const spyon = jest.spyOn(Hub, 'dispatch');
+            const spyon2 = jest.spyOn(CognitoUser.prototype, 'completeNewPasswordChallenge')
+                .mockImplementationOnce((password, requiredAttributes, callback) => {
+                    callback.mfaRequired('SMS_MFA', 'challengeParam');
+                });
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+
+            await auth.completeNewPassword(user, 'password', {});
+            expect(authEvents(spyon, 'completeNewPassword')).toEqual([user]);
+            expect(authEvents(spyon, 'mfaRequired')).toEqual([user]);
+
+            spyon.mockRestore();
+            spyon2.mockRestore();
+        });
+
+        test('completeNewPassword signs in', async () => {
+            const spyon = jest.spyOn(Hub, 'dispatch');
+            const spyon2 = jest.spyOn(CognitoUser.prototype, 'completeNewPasswordChallenge')
+                .mockImplementationOnce((password, requiredAttributes, callback) => {
+                    callback.onSuccess(session);
+                });
+            const auth = new Auth(authOptions);
+            const user = new CognitoUser({
+                Username: 'username',
+                Pool: userPool
+            });
+
+            await auth.completeNewPassword(user, 'password', {});
+            expect(spyon.mock.calls.map(call => call[1].event)).toEqual(['completeNewPassword', 'signIn']);
+
+            spyon.mockRestore();
+            spyon2.mockRestore();
+        });
+
+        test('federatedSignIn and credentialsChanged', async () => {
+            const spyon = jest.spyOn(Hub, 'dispatch');
+            const spyon2 = jest.spyOn(CognitoIdentityCredentials.prototype, 'refresh')
+                .mockImplementation(function(callback) {
+                    this.identityId = 'identityId';
+                    this.expireTime = new Date(2050, 1, 1);
+                    callback(null);
+                });
+            const auth = new Auth(authOptions);
+
+            await auth.federatedSignIn('google', { token: 'token' }, { name: 'name' });
+            expect(authEvents(spyon, 'federatedSignIn')).toEqual([
+                { provider: 'google', user: auth['user'] }
+            ]);
+            expect(authEvents(spyon, 'credentialsChanged')).toContainEqual({
+                source: 'federated',
+                authenticated: true,
+                identityId: 'identityId',
+                expiration: new Date(2050, 1, 1)
+            });
+
+            spyon.mockRestore();
+            spyon2.mockRestore();
+        });
+
+        test('no credentialsChanged when the refresh fails', async () => {
+            const spyon = jest.spyOn(Hub, 'dispatch');
+            const spyon2 = jest.spyOn(CognitoIdentityCredentials.prototype, 'refresh')
+                .mockImplementation((callback) => {
+                    callback('err');
+                });
+            const auth = new Auth(authOptions);
+
+            await auth.currentCredentials();
+            expect(authEvents(spyon, 'credentialsChanged')).toEqual([]);
+
+            spyon.mockRestore();
+            spyon2.mockRestore();
+        });
+    });
+
+    describe('usernameAttributes', () => {
+        const aliasOptions = Object.assign({}, authOptions, {
+            usernameAttributes: ['email', 'phone_number'],
+            defaultCountryCode: '1'
+        });
+
+        test('signIn with a phone number', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, 'authenticateUser')
+                .mockImplementationOnce((authenticationDetails, callback) => {
+                    callback.onFailure('err');
+                });
+            const auth = new Auth(aliasOptions);
+
+            expect.assertions(2);
+            try {
+                await auth.signIn('(206) 555-1234', 'password');
+            } catch (e) {
+                expect(e.cause).toBe('err');
+            }
+            expect(spyon.mock.calls[0][0].getUsername()).toBe('+12065551234');
+
+            spyon.mockRestore();
+        });
+
+        test('signIn with a malformed email', async () => {
+            const spyon = jest.spyOn(CognitoUser.prototype, 'authenticateUser');
+            const auth = new Auth(aliasOptions);
+
+            expect.assertions(2);
+            try {
+                await auth.signIn('jane@', 'password');
+            } catch (e) {
+                expect(e.code).toBe('InvalidEmail');
+            }
+            expect(spyon).not.toBeCalled();
+
+            spyon.mockClear();
+        });
+
+        test('signUp normalizes the username and the attributes', async () => {
+            const spyon = jest.spyOn(CognitoUserPool.prototype, 'signUp');
+            const auth = new Auth(aliasOptions);
+
+            await auth.signUp({
+                username: 'Jane@Example.com',
+                password: 'password',
+                attributes: { email: 'Jane@Example.com', phone_number: '206 555 1234', name: 'Jane' }
+            });
+            const [username, password, attributes] = spyon.mock.calls[spyon.mock.calls.length - 1];
+            expect(username).toBe('jane@example.com');
+            expect(attributes).toEqual([
+                { Name: 'email', Value: 'jane@example.com' },
+                { Name: 'phone_number', Value: '+12065551234' },
+                { Name: 'name', Value: 'Jane' }
+            ]);
+
+            spyon.mockClear();
+        });
+
+        test('signUp with a malformed phone number attribute', async () => {
+            const auth = new Auth(aliasOptions);
+
+            expect.assertions(1);
+            try {
+                await auth.signUp('jane', 'password', 'jane@example.com', '555');
+            } catch (e) {
+                expect(e.code).toBe('InvalidPhoneNumber');
+            }
+        });
+
+        test('forgotPassword and resendSignUp', async () => {
+            const spyon = jest.spyOn(Hub, 'dispatch');
+            const spyon2 = jest.spyOn(CognitoUser.prototype, 'forgotPassword')
+                .mockImplementationOnce((callback) => {
+                    callback.inputVerificationCode({});
+                });
+            const auth = new Auth(aliasOptions);
+
+            await auth.forgotPassword('JANE@example.com');
+            expect(spyon.mock.calls.find(call => call[1].event === 'forgotPassword')[1].data.username)
+                .toBe('jane@example.com');
+
+            expect.assertions(2);
+            try {
+                await auth.resendSignUp('+1 555');
+            } catch (e) {
+                expect(e.code).toBe('InvalidPhoneNumber');
+            }
+
+            spyon.mockRestore();
+            spyon2.mockRestore();
+        });
+    });
+
 });
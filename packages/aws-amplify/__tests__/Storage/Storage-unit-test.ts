@@ -115,6 +115,22 @@ describe('Storage', () => {
             curCredSpyOn.mockClear();
         });
 
+        test('get object with the credentials of the call', async () => {
+            const curCredSpyOn = jest.spyOn(Auth.prototype, 'currentCredentials');
+            curCredSpyOn.mockClear();
+
+            const storage = new Storage(options_no_cred);
+            const spyon = jest.spyOn(S3.prototype, 'getSignedUrl');
+
+            expect.assertions(2);
+            expect(await storage.get('key', { level: 'private', credentials: { identityId: 'requestId' } }))
+                .toBe('url');
+            expect(curCredSpyOn).not.toBeCalled();
+
+            spyon.mockClear();
+            curCredSpyOn.mockRestore();
+        });
+
         test('get object with tracking', async () => {
             const curCredSpyOn = jest.spyOn(Auth.prototype, 'currentCredentials')
                 .mockImplementationOnce(() => {
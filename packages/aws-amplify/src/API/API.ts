@@ -95,7 +95,7 @@ export default class API {
             }
         }
 
-        const credentialsOK = await this._ensureCredentials();
+        const credentialsOK = await this._ensureCredentials(init);
         if (!credentialsOK) { return Promise.reject('No credentials'); }
 
         const endpoint = this._api.endpoint(apiName);
@@ -121,7 +121,7 @@ export default class API {
             }
         }
 
-        const credentialsOK = await this._ensureCredentials();
+        const credentialsOK = await this._ensureCredentials(init);
         if (!credentialsOK) { return Promise.reject('No credentials'); }
 
         const endpoint = this._api.endpoint(apiName);
@@ -147,7 +147,7 @@ export default class API {
             }
         }
 
-        const credentialsOK = await this._ensureCredentials();
+        const credentialsOK = await this._ensureCredentials(init);
         if (!credentialsOK) { return Promise.reject('No credentials'); }
 
         const endpoint = this._api.endpoint(apiName);
@@ -173,7 +173,7 @@ export default class API {
             }
         }
 
-        const credentialsOK = await this._ensureCredentials();
+        const credentialsOK = await this._ensureCredentials(init);
         if (!credentialsOK) { return Promise.reject('No credentials'); }
 
         const endpoint = this._api.endpoint(apiName);
@@ -199,7 +199,7 @@ export default class API {
             }
         }
 
-        const credentialsOK = await this._ensureCredentials();
+        const credentialsOK = await this._ensureCredentials(init);
         if (!credentialsOK) { return Promise.reject('No credentials'); }
 
         const endpoint = this._api.endpoint(apiName);
@@ -228,7 +228,10 @@ export default class API {
     /**
      * @private
      */
-    _ensureCredentials() {
+    _ensureCredentials(init?) {
+        // given with the call, e.g. by a server side Auth instance
+        if (init && init.credentials) { return Promise.resolve(true); }
+
         return Auth.currentCredentials()
             .then(credentials => {
                 const cred = Auth.essentialCredentials(credentials);
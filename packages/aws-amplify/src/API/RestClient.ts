@@ -56,7 +56,8 @@ export class RestClient {
     * Basic HTTP request. Customizable
     * @param {string} url - Full request URL
     * @param {string} method - Request HTTP method
-    * @param {json} [init] - Request extra params
+    * @param {json} [init] - Request extra params, e.g. body, headers, and credentials to sign with
+    * instead of the ones of Auth
     * @return {Promise} - A promise that resolves to an object with response status and JSON data, if successful.
     */
     async ajax(url: string, method: string, init) {
@@ -88,6 +89,8 @@ export class RestClient {
         // which means custom authorizer.
         if (params.headers['Authorization']) { return this._request(params); }
 
+        if (extraParams.credentials) { return this._signed(params, extraParams.credentials); }
+
         return Auth.currentCredentials()
             .then(credentials => this._signed(params, credentials));
     }
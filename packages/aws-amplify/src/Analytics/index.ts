@@ -36,7 +36,8 @@ Analytics.onHubCapsule = (capsule) => {
 
     switch(channel) {
         case 'auth':
-            authEvent(payload);
+            // the named Auth instances do not change the Analytics endpoint
+            if (source === 'Auth') { authEvent(payload); }
             break;
         case 'storage':
             storageEvent(payload);
@@ -66,6 +67,9 @@ const authEvent = (payload) => {
         case 'signOut':
             Analytics.restart();
             break;
+        case 'switchUser':
+            Analytics.restart();
+            break;
         case 'signIn_failure':
             Analytics.record('_userauth.auth_fail');
             break;
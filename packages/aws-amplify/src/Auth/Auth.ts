@@ -1,794 +1,1944 @@
-/*
- * Copyright 2017-2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
- *
- * Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
- * the License. A copy of the License is located at
- *
- *     http://aws.amazon.com/apache2.0/
- *
- * or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
- * CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
- * and limitations under the License.
- */
-
-import { AuthOptions } from './types';
-
-import {
-    AWS,
-    Cognito,
-    ConsoleLogger as Logger,
-    Constants,
-    Hub
-} from '../Common';
-import Cache from '../Cache';
-
-const logger = new Logger('AuthClass');
-
-const {
-    CognitoIdentityCredentials
-} = AWS;
-
-const {
-    CognitoUserPool,
-    CognitoUserAttribute,
-    CognitoUser,
-    AuthenticationDetails,
-} = Cognito;
-
-const dispatchAuthEvent = (event, data) => {
-    Hub.dispatch('auth', { event, data }, 'Auth');
-};
-
-/**
-* Provide authentication steps
-*/
-export default class AuthClass {
-    private _config: AuthOptions;
-    private userPool = null;
-
-    private credentials = null;
-    private credentials_source = ''; // aws, guest, userPool, federated
-    private user:any = null;
-
-    /**
-     * Initialize Auth with AWS configurations
-     * @param {Object} config - Configuration of the Auth
-     */
-    constructor(config: AuthOptions) {
-        this.configure(config);
-        if (AWS.config) {
-            AWS.config.update({customUserAgent: Constants.userAgent});
-        } else {
-            logger.warn('No AWS.config');
-        }
-    }
-
-    configure(config) {
-        logger.debug('configure Auth');
-
-        let conf = config? config.Auth || config : {};
-        if (conf['aws_cognito_identity_pool_id']) {
-            conf = {
-                userPoolId: conf['aws_user_pools_id'],
-                userPoolWebClientId: conf['aws_user_pools_web_client_id'],
-                region: conf['aws_cognito_region'],
-                identityPoolId: conf['aws_cognito_identity_pool_id']
-            };
-        }
-        this._config = Object.assign({}, this._config, conf);
-        if (!this._config.identityPoolId) { logger.debug('Do not have identityPoolId yet.'); }
-
-        const { userPoolId, userPoolWebClientId } = this._config;
-        if (userPoolId) {
-            this.userPool = new CognitoUserPool({
-                UserPoolId: userPoolId,
-                ClientId: userPoolWebClientId
-            });
-            this.pickupCredentials();
-        }
-
-        return this._config;
-    }
-
-    /**
-     * Sign up with username, password and other attrbutes like phone, email
-     * @param {String | object} params - The user attirbutes used for signin
-     * @param {String[]} restOfAttrs - for the backward compatability 
-     * @return - A promise resolves callback data if success
-     */
-    public signUp(params: string | object, ...restOfAttrs: string[]): Promise<any> {
-        if (!this.userPool) { return Promise.reject('No userPool'); }
-
-        let username : string = null;
-        let password : string = null;
-        const attributes : object[] = [];
-        let validationData: object[] = null;
-        if (params && typeof params === 'string') {
-            username = params;
-            password = restOfAttrs? restOfAttrs[0] : null;
-            const email : string = restOfAttrs? restOfAttrs[1] : null;
-            const phone_number : string = restOfAttrs? restOfAttrs[2] : null;
-            if (email) attributes.push({Name: 'email', Value: email});
-            if (phone_number) attributes.push({Name: 'phone_number', Value: phone_number}); 
-        } else if (params && typeof params === 'object') {
-            username = params['username'];
-            password = params['password'];
-            const attrs = params['attributes'];
-            if (attrs) {
-                Object.keys(attrs).map(key => {
-                    const ele : object = { Name: key, Value: attrs[key] };
-                    attributes.push(ele);
-                });
-            }
-            validationData = params['validationData'] || null;
-        } else {
-            return Promise.reject('The first parameter should either be non-null string or object');
-        }
-
-        if (!username) { return Promise.reject('Username cannot be empty'); }
-        if (!password) { return Promise.reject('Password cannot be empty'); }     
-        
-        logger.debug('signUp attrs:', attributes);
-        logger.debug('signUp validation data:', validationData);
-        
-        return new Promise((resolve, reject) => {
-            this.userPool.signUp(username, password, attributes, validationData, function(err, data) {
-                if (err) {
-                    dispatchAuthEvent('signUp_failure', err);
-                    reject(err);
-                } else {
-                    dispatchAuthEvent('signUp', data);
-                    resolve(data);
-                }
-            });
-        });
-    }
-
-    /**
-     * Send the verfication code to confirm sign up
-     * @param {String} username - The username to be confirmed
-     * @param {String} code - The verification code
-     * @return - A promise resolves callback data if success
-     */
-    public confirmSignUp(username: string, code: string): Promise<any> {
-        if (!this.userPool) { return Promise.reject('No userPool'); }
-        if (!username) { return Promise.reject('Username cannot be empty'); }
-        if (!code) { return Promise.reject('Code cannot be empty'); }
-
-        const user = new CognitoUser({
-            Username: username,
-            Pool: this.userPool
-        });
-        return new Promise((resolve, reject) => {
-            user.confirmRegistration(code, true, function(err, data) {
-                if (err) { reject(err); } else { resolve(data); }
-            });
-        });
-    }
-    
-    /**
-     * Resend the verification code
-     * @param {String} username - The username to be confirmed
-     * @return - A promise resolves data if success
-     */
-    public resendSignUp(username: string): Promise<any> {
-        if (!this.userPool) { return Promise.reject('No userPool'); }
-        if (!username) { return Promise.reject('Username cannot be empty'); }
-
-        const user = new CognitoUser({
-            Username: username,
-            Pool: this.userPool
-        });
-        return new Promise((resolve, reject) => {
-            user.resendConfirmationCode(function(err, data) {
-                if (err) { reject(err); } else { resolve(data); }
-            });
-        });
-    }
-
-    /**
-     * Sign in
-     * @param {String} username - The username to be signed in 
-     * @param {String} password - The password of the username
-     * @return - A promise resolves the CognitoUser object if success or mfa required
-     */
-    public signIn(username: string, password: string): Promise<any> {
-        if (!this.userPool) { return Promise.reject('No userPool'); }
-        if (!username) { return Promise.reject('Username cannot be empty'); }
-        if (!password) { return Promise.reject('Password cannot be empty'); }
-
-        const user = new CognitoUser({
-            Username: username,
-            Pool: this.userPool
-        });
-        const authDetails = new AuthenticationDetails({
-            Username: username,
-            Password: password
-        });
-        const that = this;
-        return new Promise((resolve, reject) => {
-            user.authenticateUser(authDetails, {
-                onSuccess: (session) => {
-                    logger.debug(session);
-                    that.setCredentialsFromSession(session);
-                    that.user = user;
-                    dispatchAuthEvent('signIn', user);
-                    resolve(user);
-                },
-                onFailure: (err) => {
-                    logger.debug('signIn failure', err);
-                    dispatchAuthEvent('signIn_failure', err);
-                    reject(err);
-                },
-                mfaRequired: (challengeName, challengeParam) => {
-                    logger.debug('signIn MFA required');
-                    user['challengeName'] = challengeName;
-                    user['challengeParam'] = challengeParam;
-                    resolve(user);
-                },
-                newPasswordRequired: (userAttributes, requiredAttributes) => {
-                    logger.debug('signIn new password');
-                    user['challengeName'] = 'NEW_PASSWORD_REQUIRED';
-                    user['challengeParam'] = {
-                        userAttributes,
-                        requiredAttributes
-                    };
-                    resolve(user);
-                }
-            });
-        });
-    }
-
-    /**
-     * Send MFA code to confirm sign in
-     * @param {Object} user - The CognitoUser object
-     * @param {String} code - The confirmation code
-     */
-    public confirmSignIn(user: any, code: string): Promise<any> {
-        if (!code) { return Promise.reject('Code cannot be empty'); }
-
-        const that = this;
-        return new Promise((resolve, reject) => {
-            user.sendMFACode(code, {
-                onSuccess: (session) => {
-                    logger.debug(session);
-                    that.setCredentialsFromSession(session);
-                    that.user = user;
-                    dispatchAuthEvent('signIn', user);
-                    resolve(user);
-                },
-                onFailure: (err) => {
-                    logger.debug('confirm signIn failure', err);
-                    reject(err);
-                }
-            });
-        });
-    }
-
-    public completeNewPassword(
-        user: any,
-        password: string,
-        requiredAttributes: any
-    ): Promise<any> {
-        if (!password) { return Promise.reject('Password cannot be empty'); }
-
-        const that = this;
-        return new Promise((resolve, reject) => {
-            user.completeNewPasswordChallenge(password, requiredAttributes, {
-                onSuccess: (session) => {
-                    logger.debug(session);
-                    that.setCredentialsFromSession(session);
-                    that.user = user;
-                    dispatchAuthEvent('signIn', user);
-                    resolve(user);
-                },
-                onFailure: (err) => {
-                    logger.debug('completeNewPassword failure', err);
-                    reject(err);
-                },
-                mfaRequired: (challengeName, challengeParam) => {
-                    logger.debug('signIn MFA required');
-                    user['challengeName'] = challengeName;
-                    user['challengeParam'] = challengeParam;
-                    resolve(user);
-                }
-            });
-        });
-    }
-
-    /**
-     * Update an authenticated users' attributes
-     * @param {CognitoUser} - The currently logged in user object
-     * @return {Promise} 
-     **/
-    public updateUserAttributes(user, attributes:object): Promise<any> {
-        let attr:object = {};
-        const attributeList:Array<object> = [];
-        return this.userSession(user)
-            .then(session => {
-                return new Promise((resolve, reject) => {
-                    for (const key in attributes) {
-                        if ( key !== 'sub' &&
-                            key.indexOf('_verified') < 0 && 
-                            attributes[key] ) {
-                            attr = {
-                                'Name': key,
-                                'Value': attributes[key]
-                            };
-                            attributeList.push(attr);
-                        }
-                    }
-                    user.updateAttributes(attributeList, (err,result) => {
-                        if (err) { reject(err); } else { resolve(result); }
-                    });
-                });
-            }); 
-    }
-    /**
-     * Return user attributes
-     * @param {Object} user - The CognitoUser object
-     * @return - A promise resolves to user attributes if success
-     */
-    public userAttributes(user): Promise<any> {
-        return this.userSession(user)
-            .then(session => {
-                return new Promise((resolve, reject) => {
-                    user.getUserAttributes((err, attributes) => {
-                        if (err) { reject(err); } else { resolve(attributes); }
-                    });
-                });
-            });
-    }
-
-    public verifiedContact(user) {
-        const that = this;
-        return this.userAttributes(user)
-            .then(attributes => {
-                const attrs = that.attributesToObject(attributes);
-                const unverified = {};
-                const verified = {};
-                if (attrs['email']) {
-                    if (attrs['email_verified']) {
-                        verified['email'] = attrs['email'];
-                    } else {
-                        unverified['email'] = attrs['email'];
-                    }
-                }
-                if (attrs['phone_number']) {
-                    if (attrs['phone_number_verified']) {
-                        verified['phone_number'] = attrs['phone_number'];
-                    } else {
-                        unverified['phone_number'] = attrs['phone_number'];
-                    }
-                }
-                return {
-                    verified,
-                    unverified
-                };
-            });
-    }
-
-    /**
-     * Get current authenticated user
-     * @return - A promise resolves to curret authenticated CognitoUser if success
-     */
-    public currentUserPoolUser(): Promise<any> {
-        if (!this.userPool) { return Promise.reject('No userPool'); }
-
-        const user = this.userPool.getCurrentUser();
-        if (!user) { return Promise.reject('No current user in userPool'); }
-
-        logger.debug(user);
-        return new Promise((resolve, reject) => {
-            user.getSession(function(err, session) {
-                if (err) { reject(err); } else { resolve(user); }
-            });
-        });
-    }
-
-    /**
-     * Get current authenticated user
-     * @return - A promise resolves to curret authenticated CognitoUser if success
-     */
-    public currentAuthenticatedUser(): Promise<any> {
-        const source = this.credentials_source;
-        logger.debug('get current authenticated user. source ' + source);
-        if (!source || source === 'aws' || source === 'userPool') {
-            return this.currentUserPoolUser();
-        }
-
-        if (source === 'federated') {
-            return Promise.resolve(this.user);
-        }
-
-        return Promise.reject('not authenticated');
-    }
-
-    /**
-     * Get current user's session
-     * @return - A promise resolves to session object if success 
-     */
-    public currentSession() : Promise<any> {
-        if (!this.userPool) { return Promise.reject('No userPool'); }
-
-        const user = this.userPool.getCurrentUser();
-        if (!user) { return Promise.reject('No current user'); }
-        return this.userSession(user);
-    }
-
-    /**
-     * Get the corresponding user session
-     * @param {Object} user - The CognitoUser object
-     * @return - A promise resolves to the session
-     */
-    public userSession(user) : Promise<any> {
-        return new Promise((resolve, reject) => {
-            logger.debug(user);
-            user.getSession(function(err, session) {
-                if (err) { reject(err); } else { resolve(session); }
-            });
-        });
-    }
-
-    /**
-     * Get authenticated credentials of current user.
-     * @return - A promise resolves to be current user's credentials
-     */
-    public currentUserCredentials() : Promise<any> {
-        // first to check whether there is federation info in the local storage
-        const federatedInfo = Cache.getItem('federatedInfo');
-        if (federatedInfo) {
-            const { provider, token, user} = federatedInfo;
-            return new Promise((resolve, reject) => {
-                this.setCredentialsFromFederation(provider, token, user);
-                resolve();
-            });
-        } else {
-            return this.currentSession()
-                .then(session => this.setCredentialsFromSession(session));
-        }
-    }
-
-    public currentCredentials(): Promise<any> {
-        return this.pickupCredentials();
-    }
-
-    /**
-     * Initiate an attribute confirmation request
-     * @param {Object} user - The CognitoUser
-     * @param {Object} attr - The attributes to be verified
-     * @return - A promise resolves to callback data if success
-     */
-    public verifyUserAttribute(user, attr): Promise<any> {
-        return new Promise((resolve, reject) => {
-            user.getAttributeVerificationCode(attr, {
-                onSuccess(data) { resolve(data); },
-                onFailure(err) { reject(err); }
-            });
-        });
-    }
-
-    /**
-     * Confirm an attribute using a confirmation code
-     * @param {Object} user - The CognitoUser
-     * @param {Object} attr - The attribute to be verified
-     * @param {String} code - The confirmation code
-     * @return - A promise resolves to callback data if success
-     */
-    public verifyUserAttributeSubmit(user, attr, code): Promise<any> {
-        if (!code) { return Promise.reject('Code cannot be empty'); }
-
-        return new Promise((resolve, reject) => {
-            user.verifyAttribute(attr, code, {
-                onSuccess(data) { resolve(data); },
-                onFailure(err) { reject(err); }
-            });
-        });
-    }
-
-    verifyCurrentUserAttribute(attr) {
-        const that = this;
-        return that.currentUserPoolUser()
-            .then(user => that.verifyUserAttribute(user, attr));
-    }
-
-    /**
-     * Confirm current user's attribute using a confirmation code
-     * @param {Object} attr - The attribute to be verified
-     * @param {String} code - The confirmation code
-     * @return - A promise resolves to callback data if success
-     */
-    verifyCurrentUserAttributeSubmit(attr, code) {
-        const that = this;
-        return that.currentUserPoolUser()
-            .then(user => that.verifyUserAttributeSubmit(user, attr, code));
-    }
-    /**
-     * Sign out method
-     * @return - A promise resolved if success
-     */
-    public signOut(): Promise<any> {
-        const source = this.credentials_source;
-
-        // clean out the cached stuff
-        this.credentials.clearCachedId();
-        // clear federatedInfo
-        Cache.removeItem('federatedInfo');
-
-        if (source === 'aws' || source === 'userPool') {
-            if (!this.userPool) { return Promise.reject('No userPool'); }
-
-            const user = this.userPool.getCurrentUser();
-            if (!user) { return Promise.resolve(); }
-
-            user.signOut();
-        }
-
-        return new Promise((resolve, reject) => {
-            this.setCredentialsForGuest();
-            dispatchAuthEvent('signOut', this.user);
-            this.user = null;
-            resolve();
-        });
-    }
-
-    /**
-     * Initiate a forgot password request
-     * @param {String} username - the username to change password
-     * @return - A promise resolves if success 
-     */
-    public forgotPassword(username: string): Promise<any> {
-        if (!this.userPool) { return Promise.reject('No userPool'); }
-        if (!username) { return Promise.reject('Username cannot be empty'); }
-
-        const user = new CognitoUser({
-            Username: username,
-            Pool: this.userPool
-        });
-        return new Promise((resolve, reject) => {
-            user.forgotPassword({
-                onSuccess: () => { resolve(); },
-                onFailure: err => {
-                    logger.debug('forgot password failure', err);
-                    reject(err);
-                },
-                inputVerificationCode: data => {
-                    resolve(data);
-                }
-            });
-        });
-    }
-
-    /**
-     * Confirm a new password using a confirmation Code
-     * @param {String} username - The username 
-     * @param {String} code - The confirmation code
-     * @param {String} password - The new password
-     * @return - A promise that resolves if success
-     */
-    public forgotPasswordSubmit(
-        username: string,
-        code: string,
-        password: string
-    ): Promise<any> {
-        if (!this.userPool) { return Promise.reject('No userPool'); }
-        if (!username) { return Promise.reject('Username cannot be empty'); }
-        if (!code) { return Promise.reject('Code cannot be empty'); }
-        if (!password) { return Promise.reject('Password cannot be empty'); }
-
-        const user = new CognitoUser({
-            Username: username,
-            Pool: this.userPool
-        });
-        return new Promise((resolve, reject) => {
-            user.confirmPassword(code, password, {
-                onSuccess: () => { resolve(); },
-                onFailure: err => { reject(err); }
-            });
-        });
-    }
-
-    /**
-     * Get user information
-     * @async
-     * @return {Object }- current User's information
-     */
-    public async currentUserInfo() {
-        const credentials = this.credentials;
-        const source = this.credentials_source;
-        if (!source) { return null; }
-
-        if (source === 'aws' || source === 'userPool') {
-            const user = await this.currentUserPoolUser()
-                .catch(err => logger.debug(err));
-            if (!user) { return null; }
-
-            try {
-                const attributes = await this.userAttributes(user);
-                const userAttrs:object = this.attributesToObject(attributes);
-            
-                const info = {
-                    'id': credentials.identityId,
-                    'username': user.username,
-                    'attributes': userAttrs
-                };
-                return info;
-            } catch(err) {
-                console.warn(err);
-                logger.debug('currentUserInfo error', err);
-                return {};
-            }
-        }
-
-        if (source === 'federated') {
-            const user = this.user;
-            return user? user : {};
-        }
-    }
-
-    /**
-     * For federated login
-     * @param {String} provider - federation login provider
-     * @param {Object} response - response including access_token
-     * @param {String} user - user info 
-     */
-    public federatedSignIn(provider, response, user) {
-        const { token, expires_at } = response;
-        this.setCredentialsFromFederation(provider, token, user);
-
-        // store it into localstorage
-        Cache.setItem('federatedInfo', { provider, token, user }, { priority: 1 });
-        dispatchAuthEvent('signIn', this.user);
-        logger.debug('federated sign in credentials', this.credentials);
-        return this.keepAlive();
-    }
-
-    /**
-     * Compact version of credentials
-     * @param {Object} credentials
-     * @return {Object} - Credentials
-     */
-    public essentialCredentials(credentials) {
-        return {
-            accessKeyId: credentials.accessKeyId,
-            sessionToken: credentials.sessionToken,
-            secretAccessKey: credentials.secretAccessKey,
-            identityId: credentials.identityId,
-            authenticated: credentials.authenticated
-        };
-    }
-
-    private attributesToObject(attributes) {
-        const obj = {};
-        if (attributes) {
-            attributes.map(attribute => {
-                if (attribute.Name === 'sub') return;
-
-                if (attribute.Value === 'true') {
-                    obj[attribute.Name] = true;
-                } else if (attribute.Value === 'false') {
-                    obj[attribute.Name] = false;
-                } else {
-                    obj[attribute.Name] = attribute.Value;
-                }
-            });
-        }
-        return obj;
-    }
-
-    private setCredentialsFromFederation(provider, token, user) {
-        const domains = {
-            'google': 'accounts.google.com',
-            'facebook': 'graph.facebook.com',
-            'amazon': 'www.amazon.com'
-        };
-
-        const domain = domains[provider];
-        if (!domain) {
-            return Promise.reject(provider + ' is not supported: [google, facebook, amazon]');
-        }
-
-        const logins = {};
-        logins[domain] = token;
-
-        const { identityPoolId, region } = this._config;
-        this.credentials = new AWS.CognitoIdentityCredentials(
-            {
-            IdentityPoolId: identityPoolId,
-            Logins: logins
-        },  {
-            region
-        });
-        this.credentials.authenticated = true;
-        this.credentials_source = 'federated';
-
-        this.user = Object.assign(
-            { id: this.credentials.identityId },
-            user
-        );
-        
-        if (AWS && AWS.config) { AWS.config.credentials = this.credentials; }
-    }
-
-    private pickupCredentials() {
-        if (this.credentials) {
-            return this.keepAlive();
-        } else if (this.setCredentialsFromAWS()) {
-            return this.keepAlive();
-        } else {
-            logger.debug('pickup from userPool');
-            return this.currentUserCredentials()
-                .then(() => this.keepAlive())
-                .catch(err => {
-                    logger.debug('error when pickup', err);
-                    this.setCredentialsForGuest();
-                    return this.keepAlive();
-                });
-        }
-    }
-
-    private setCredentialsFromAWS() {
-        if (AWS.config && AWS.config.credentials) {
-            this.credentials = AWS.config.credentials;
-            this.credentials_source = 'aws';
-            return true;
-        }
-
-        return false;
-    }
-
-    private setCredentialsForGuest() {
-        const { identityPoolId, region } = this._config;
-        const credentials = new CognitoIdentityCredentials(
-            {
-            IdentityPoolId: identityPoolId
-        },  {
-            region
-        });
-        credentials.params['IdentityId'] = null; // Cognito load IdentityId from local cache
-        this.credentials = credentials;
-        this.credentials.authenticated = false;
-        this.credentials_source = 'guest';
-    }
-    
-    private setCredentialsFromSession(session) {
-        logger.debug('set credentials from session');
-        const idToken = session.getIdToken().getJwtToken();
-        const { region, userPoolId, identityPoolId } = this._config;
-        const key = 'cognito-idp.' + region + '.amazonaws.com/' + userPoolId;
-        const logins = {};
-        logins[key] = idToken;
-        this.credentials = new CognitoIdentityCredentials(
-            {
-            IdentityPoolId: identityPoolId,
-            Logins: logins
-        },  {
-            region
-        });
-        this.credentials.authenticated = true;
-        this.credentials_source = 'userPool';
-    }
-
-    private keepAlive() {
-        if (!this.credentials) { this.setCredentialsForGuest(); }
-
-        const ts = new Date().getTime();
-        const delta = 10 * 60 * 1000; // 10 minutes
-        const credentials = this.credentials;
-        const { expired, expireTime } = credentials;
-        if (!expired && expireTime > ts + delta) {
-            return Promise.resolve(credentials);
-        }
-
-        return new Promise((resolve, reject) => {
-            credentials.refresh(err => {
-                if (err) {
-                    logger.debug('refresh credentials error', err);
-                    resolve(null);
-                } else {
-                    resolve(credentials);
-                }
-            });
-        });
-    }
-}
+/*
+ * Copyright 2017-2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
+ * the License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
+ * and limitations under the License.
+ */
+
+import {
+    AuthEvent,
+    AuthOptions,
+    AuthStorage,
+    FederatedResponse,
+    RequestSession,
+    SessionTokens,
+    SignInOptions,
+    SignOutOptions,
+    ValidationFailure
+} from './types';
+
+import {
+    AWS,
+    Cognito,
+    ConsoleLogger as Logger,
+    Constants,
+    Hub
+} from '../Common';
+import Cache from '../Cache';
+import OAuth from './OAuth';
+import FederationProviders from './FederationProviders';
+import { resolveStorage, TokenStorageCache, KEY_PREFIX } from './TokenStorage';
+import RequestStorage from './RequestStorage';
+import SessionTimeout from './SessionTimeout';
+import {
+    normalizeEmail,
+    normalizePhoneNumber,
+    normalizeUsername,
+    validateAttributes,
+    validatePassword
+} from './Validation';
+import AuthError, { AuthErrorCodes } from './AuthError';
+
+const logger = new Logger('AuthClass');
+
+const {
+    CognitoIdentityCredentials
+} = AWS;
+
+const {
+    CognitoUserPool,
+    CognitoUserAttribute,
+    CognitoUser,
+    CognitoUserSession,
+    CognitoIdToken,
+    CognitoAccessToken,
+    CognitoRefreshToken,
+    AuthenticationDetails,
+} = Cognito;
+
+// refresh tokens and credentials this long before they expire
+const REFRESH_WINDOW = 10 * 60 * 1000;
+// don't spin when the credentials can't be refreshed
+const MIN_REFRESH_DELAY = 60 * 1000;
+const MAX_TIMEOUT = 0x7FFFFFFF;
+
+// the instances created with Auth.createInstance, by name
+const instances: { [name: string]: AuthClass } = {};
+
+/**
+* @param {String} value - federatedInfo as written to the storage, by the Cache or the configured storage
+* @return - the federatedInfo, null if none
+*/
+const parseFederatedInfo = (value: string) => {
+    if (!value) { return null; }
+    try {
+        const item = JSON.parse(value);
+        // the Cache wraps the value with its metadata
+        return item && item.visitedTime !== undefined ? item.data : item;
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+* Provide authentication steps
+*/
+export default class AuthClass {
+    private _config: AuthOptions;
+    private _name: string = null; // null for the default instance
+    private userPool = null;
+    private _oAuthHandler: OAuth = null;
+    private _oAuthResponseUrl: string = null;
+    private _federation: FederationProviders = null;
+    private _storage: AuthStorage = null;
+    // federatedInfo goes to the configured storage, the default Cache otherwise
+    private _cache: any = Cache;
+    private _cacheKeyPrefix = 'aws-amplify-cache';
+
+    private credentials = null;
+    private credentials_source = ''; // aws, guest, userPool, federated
+    private user:any = null;
+
+    private _refreshing: { credentials: any, promise: Promise<any> } = null;
+    private _refreshTimer = null;
+    private _clockDrift = 0; // seconds, local clock minus server clock
+    private _sessionExpiresAt: number = null; // local time
+    private _listeningToStorage = false;
+    private _sessionTimeout = new SessionTimeout({
+        onWarning: (reason, expiresAt) => this.dispatchAuthEvent('sessionTimeoutWarning', { reason, expiresAt }),
+        onTimeout: (reason, expiresAt) => this.sessionTimedOut(reason, expiresAt)
+    });
+
+    /**
+     * Initialize Auth with AWS configurations
+     * @param {Object} config - Configuration of the Auth
+     * @param {String} name - optional, the name of an instance created with createInstance
+     */
+    constructor(config: AuthOptions, name?: string) {
+        this._name = name || null;
+        this.configure(config);
+        if (AWS.config) {
+            AWS.config.update({customUserAgent: Constants.userAgent});
+        } else {
+            logger.warn('No AWS.config');
+        }
+    }
+
+    configure(config) {
+        logger.debug('configure Auth');
+
+        let conf = config? config.Auth || config : {};
+        if (conf['aws_cognito_identity_pool_id']) {
+            conf = {
+                userPoolId: conf['aws_user_pools_id'],
+                userPoolWebClientId: conf['aws_user_pools_web_client_id'],
+                region: conf['aws_cognito_region'],
+                identityPoolId: conf['aws_cognito_identity_pool_id']
+            };
+        }
+        this._config = Object.assign({}, this._config, conf);
+        if (!this._config.identityPoolId) { logger.debug('Do not have identityPoolId yet.'); }
+
+        this._federation = new FederationProviders(this._config.federationProviders);
+
+        // only when given, configuring again must not drop the tokens in memory
+        if (conf.storage) {
+            this._storage = resolveStorage(conf.storage, this._config.cookieStorage);
+            this._cacheKeyPrefix = this._name ? KEY_PREFIX + this._name + '.' : KEY_PREFIX;
+            this._cache = new TokenStorageCache(this._storage, this._cacheKeyPrefix);
+        } else if (this._name && this._cache === Cache) {
+            // the items of each instance are kept apart
+            this._cacheKeyPrefix = KEY_PREFIX + this._name + '.';
+            this._cache = Cache.createInstance({ keyPrefix: this._cacheKeyPrefix });
+        }
+        this._sessionTimeout.configure(this._config, this._cache);
+        this.listenToOtherWindows();
+
+        const { userPoolId, userPoolWebClientId } = this._config;
+        if (userPoolId) {
+            const userPoolData = {
+                UserPoolId: userPoolId,
+                ClientId: userPoolWebClientId
+            };
+            if (this._storage) { userPoolData['Storage'] = this._storage; }
+            if (this._config.clientOptions) { userPoolData['ClientOptions'] = this._config.clientOptions; }
+            this.userPool = new CognitoUserPool(userPoolData);
+            // a server side instance picks up the session of its request explicitly
+            if (!this._config.ssr) { this.pickupCredentials(); }
+        }
+
+        const { oauth } = this._config;
+        if (oauth && oauth.responseType && oauth.responseType !== 'code') {
+            const message = 'Unsupported oauth responseType ' + oauth.responseType + ', only code is supported';
+            throw new AuthError(AuthErrorCodes.InvalidParameter, message);
+        }
+        if (oauth && userPoolWebClientId) {
+            this._oAuthHandler = new OAuth({ config: oauth, cognitoClientId: userPoolWebClientId });
+            const url = typeof window !== 'undefined' ? window.location.href : null;
+            // configure may run again before the exchange is done, and the code can only be used once
+            if (url && url !== this._oAuthResponseUrl && this._oAuthHandler.isOAuthResponse(url)) {
+                this._oAuthResponseUrl = url;
+                const cleanUrl = () => {
+                    // drop the code and state from the address bar, they are of no use any more
+                    if (window.history && window.history.replaceState) {
+                        window.history.replaceState({}, null, oauth.redirectSignIn);
+                    }
+                };
+                this.handleOAuthResponse(url).then(cleanUrl, err => {
+                    logger.debug('Hosted UI sign in failure', err);
+                    cleanUrl();
+                });
+            }
+        }
+
+        return this._config;
+    }
+
+    /**
+     * Create a named instance, e.g. for another user pool. It keeps its own session, credentials
+     * and storage items, and dispatches its Hub events with the source Auth.<name>
+     * @param {String} name - the name of the instance
+     * @param {Object} config - Configuration of the instance
+     * @return - the instance, the existing one configured again if the name is taken
+     */
+    public createInstance(name: string, config: AuthOptions): AuthClass {
+        if (!name) { throw new AuthError(AuthErrorCodes.InvalidParameter, 'Instance name cannot be empty'); }
+
+        if (instances[name]) {
+            instances[name].configure(config);
+        } else {
+            instances[name] = new AuthClass(config, name);
+        }
+        return instances[name];
+    }
+
+    /**
+     * @param {String} name - the name of an instance created with createInstance
+     * @return - the instance, undefined if there is none with the name
+     */
+    public getInstance(name: string): AuthClass {
+        return instances[name];
+    }
+
+    /**
+     * Check a password against the passwordPolicy option
+     * @param {String} password - the password
+     * @return - the rules the password breaks, empty when it is valid
+     */
+    public validatePassword(password: string): ValidationFailure[] {
+        return validatePassword(password, this._config && this._config.passwordPolicy);
+    }
+
+    /**
+     * Check sign up attributes against the signUpAttributes option
+     * @param {Object} attributes - the attribute values by name, e.g. { email: 'me@example.com' }
+     * @return - the rules the attributes break, empty when they are valid
+     */
+    public validateSignUpAttributes(attributes: object): ValidationFailure[] {
+        return validateAttributes(attributes as { [name: string]: string },
+                                  this._config && this._config.signUpAttributes);
+    }
+
+    /**
+     * Sign up with username, password and other attrbutes like phone, email
+     * @param {String | object} params - The user attirbutes used for signin
+     * @param {String[]} restOfAttrs - for the backward compatability 
+     * @return - A promise resolves callback data if success
+     */
+    public signUp(params: string | object, ...restOfAttrs: string[]): Promise<any> {
+        if (!this.userPool) { return Promise.reject(new AuthError(AuthErrorCodes.NoUserPool)); }
+
+        let username : string = null;
+        let password : string = null;
+        const attributes : object[] = [];
+        let validationData: object[] = null;
+        if (params && typeof params === 'string') {
+            username = params;
+            password = restOfAttrs? restOfAttrs[0] : null;
+            const email : string = restOfAttrs? restOfAttrs[1] : null;
+            const phone_number : string = restOfAttrs? restOfAttrs[2] : null;
+            if (email) attributes.push({Name: 'email', Value: email});
+            if (phone_number) attributes.push({Name: 'phone_number', Value: phone_number}); 
+        } else if (params && typeof params === 'object') {
+            username = params['username'];
+            password = params['password'];
+            const attrs = params['attributes'];
+            if (attrs) {
+                Object.keys(attrs).map(key => {
+                    const ele : object = { Name: key, Value: attrs[key] };
+                    attributes.push(ele);
+                });
+            }
+            validationData = params['validationData'] || null;
+        } else {
+            return Promise.reject(new AuthError(AuthErrorCodes.InvalidParameter,
+                                                'The first parameter should either be non-null string or object'));
+        }
+
+        if (!username) { return Promise.reject(new AuthError(AuthErrorCodes.EmptyUsername)); }
+        if (!password) { return Promise.reject(new AuthError(AuthErrorCodes.EmptyPassword)); }     
+
+        const normalized = this.normalizeUsername(username);
+        if (normalized instanceof AuthError) { return Promise.reject(normalized); }
+        username = normalized;
+        const attributeValues = {};
+        for (const attr of attributes) {
+            const value = this.normalizeAttribute(attr['Name'], attr['Value']);
+            if (value instanceof AuthError) { return Promise.reject(value); }
+            attr['Value'] = value;
+            attributeValues[attr['Name']] = value;
+        }
+        const invalid = this.checkPassword(password) || this.checkSignUpAttributes(attributeValues);
+        if (invalid) { return Promise.reject(invalid); }
+        
+        logger.debug('signUp attrs:', attributes);
+        logger.debug('signUp validation data:', validationData);
+        
+        return new Promise((resolve, reject) => {
+            this.userPool.signUp(username, password, attributes, validationData, (err, data) => {
+                if (err) {
+                    const error = AuthError.from(err);
+                    this.dispatchAuthEvent('signUp_failure', error);
+                    reject(error);
+                } else {
+                    this.dispatchAuthEvent('signUp', data);
+                    resolve(data);
+                }
+            });
+        });
+    }
+
+    /**
+     * Send the verfication code to confirm sign up
+     * @param {String} username - The username to be confirmed
+     * @param {String} code - The verification code
+     * @return - A promise resolves callback data if success
+     */
+    public confirmSignUp(username: string, code: string): Promise<any> {
+        if (!this.userPool) { return Promise.reject(new AuthError(AuthErrorCodes.NoUserPool)); }
+        if (!username) { return Promise.reject(new AuthError(AuthErrorCodes.EmptyUsername)); }
+        if (!code) { return Promise.reject(new AuthError(AuthErrorCodes.EmptyCode)); }
+        const normalized = this.normalizeUsername(username);
+        if (normalized instanceof AuthError) { return Promise.reject(normalized); }
+
+        const user = this.createCognitoUser(normalized);
+        return new Promise((resolve, reject) => {
+            user.confirmRegistration(code, true, (err, data) => {
+                if (err) {
+                    reject(AuthError.from(err));
+                } else {
+                    this.dispatchAuthEvent('confirmSignUp', { username: normalized });
+                    resolve(data);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Resend the verification code
+     * @param {String} username - The username to be confirmed
+     * @return - A promise resolves data if success
+     */
+    public resendSignUp(username: string): Promise<any> {
+        if (!this.userPool) { return Promise.reject(new AuthError(AuthErrorCodes.NoUserPool)); }
+        if (!username) { return Promise.reject(new AuthError(AuthErrorCodes.EmptyUsername)); }
+        const normalized = this.normalizeUsername(username);
+        if (normalized instanceof AuthError) { return Promise.reject(normalized); }
+
+        const user = this.createCognitoUser(normalized);
+        return new Promise((resolve, reject) => {
+            user.resendConfirmationCode(function(err, data) {
+                if (err) { reject(AuthError.from(err)); } else { resolve(data); }
+            });
+        });
+    }
+
+    /**
+     * Sign in
+     * @param {String} username - The username to be signed in 
+     * @param {String} password - The password of the username, optional for the custom auth flow
+     * @param {Object} options - optional, authenticationFlowType overrides the configured one
+     * @return - A promise resolves the CognitoUser object if success or mfa required
+     */
+    public signIn(username: string, password?: string, options?: SignInOptions): Promise<any> {
+        if (!this.userPool) { return Promise.reject(new AuthError(AuthErrorCodes.NoUserPool)); }
+        if (!username) { return Promise.reject(new AuthError(AuthErrorCodes.EmptyUsername)); }
+
+        const opts = options || {};
+        const authenticationFlowType = opts.authenticationFlowType
+            || this._config.authenticationFlowType
+            || 'USER_SRP_AUTH';
+        if (!password && authenticationFlowType !== 'CUSTOM_AUTH') {
+            return Promise.reject(new AuthError(AuthErrorCodes.EmptyPassword));
+        }
+        const normalized = this.normalizeUsername(username);
+        if (normalized instanceof AuthError) { return Promise.reject(normalized); }
+
+        const user = this.createCognitoUser(normalized);
+        user.setAuthenticationFlowType(authenticationFlowType);
+        const authDetails = new AuthenticationDetails({
+            Username: normalized,
+            Password: password
+        });
+        return new Promise((resolve, reject) => {
+            const callbacks = this.authCallbacks(user, resolve, reject);
+            if (authenticationFlowType === 'CUSTOM_AUTH' && !password) {
+                // no SRP step, the Lambda triggers drive the whole flow
+                user.initiateAuth(authDetails, callbacks);
+            } else {
+                user.authenticateUser(authDetails, callbacks);
+            }
+        });
+    }
+
+    /**
+     * Send the answer of a custom challenge
+     * @param {Object} user - The CognitoUser object
+     * @param {String} challengeResponses - The answer to the challenge
+     * @return - A promise resolves to the CognitoUser, with challengeName set if
+     * another challenge is required
+     */
+    public sendCustomChallengeAnswer(user: any, challengeResponses: string): Promise<any> {
+        if (!this.userPool) { return Promise.reject(new AuthError(AuthErrorCodes.NoUserPool)); }
+        if (!challengeResponses) { return Promise.reject(new AuthError(AuthErrorCodes.EmptyChallengeResponse)); }
+
+        return new Promise((resolve, reject) => {
+            user.sendCustomChallengeAnswer(challengeResponses, this.authCallbacks(user, resolve, reject));
+        });
+    }
+
+    /**
+     * Build the callback map shared by the sign in steps
+     * @param {Object} user - The CognitoUser object
+     * @param {Function} resolve - resolve of the sign in promise
+     * @param {Function} reject - reject of the sign in promise
+     * @return - The callback map passed to CognitoUser
+     */
+    private authCallbacks(user, resolve, reject) {
+        const that = this;
+        const challenge = (challengeName, challengeParam) => {
+            logger.debug('signIn challenge ' + challengeName);
+            user['challengeName'] = challengeName;
+            user['challengeParam'] = challengeParam;
+            resolve(user);
+        };
+        const mfaRequired = (challengeName, challengeParam) => {
+            that.dispatchAuthEvent('mfaRequired', user);
+            challenge(challengeName, challengeParam);
+        };
+        return {
+            onSuccess: (session, userConfirmationNecessary?) => {
+                logger.debug(session);
+                if (userConfirmationNecessary) {
+                    // the device is tracked but the user has to decide whether to remember it
+                    user['userConfirmationNecessary'] = true;
+                }
+                // another user may still be signed in, its identity id is cached by the SDK
+                if (that.credentials && that.credentials_source === 'userPool') { that.credentials.clearCachedId(); }
+                that.setCredentialsFromSession(session);
+                that.user = user;
+                that._sessionTimeout.start();
+                that.dispatchAuthEvent('signIn', user);
+                resolve(user);
+            },
+            onFailure: (err) => {
+                logger.debug('signIn failure', err);
+                const error = AuthError.from(err);
+                that.dispatchAuthEvent('signIn_failure', error);
+                reject(error);
+            },
+            mfaRequired,
+            totpRequired: mfaRequired,
+            mfaSetup: challenge,
+            selectMFAType: challenge,
+            customChallenge: (challengeParam) => challenge('CUSTOM_CHALLENGE', challengeParam),
+            newPasswordRequired: (userAttributes, requiredAttributes) => {
+                logger.debug('signIn new password');
+                user['challengeName'] = 'NEW_PASSWORD_REQUIRED';
+                user['challengeParam'] = {
+                    userAttributes,
+                    requiredAttributes
+                };
+                resolve(user);
+            }
+        };
+    }
+
+    /**
+     * Send MFA code to confirm sign in
+     * @param {Object} user - The CognitoUser object
+     * @param {String} code - The confirmation code
+     * @param {String} mfaType - optional, 'SMS_MFA' or 'SOFTWARE_TOKEN_MFA',
+     * defaults to the challenge returned by signIn
+     */
+    public confirmSignIn(user: any, code: string, mfaType?: string): Promise<any> {
+        if (!code) { return Promise.reject(new AuthError(AuthErrorCodes.EmptyCode)); }
+
+        const challengeName = mfaType || user['challengeName'];
+        const mfaTypeSelection = challengeName === 'SOFTWARE_TOKEN_MFA' ? challengeName : 'SMS_MFA';
+        return new Promise((resolve, reject) => {
+            const callbacks = Object.assign(this.authCallbacks(user, resolve, reject), {
+                onFailure: (err) => {
+                    logger.debug('confirm signIn failure', err);
+                    reject(AuthError.from(err));
+                }
+            });
+            user.sendMFACode(code, callbacks, mfaTypeSelection);
+        });
+    }
+
+    /**
+     * Select the MFA method of the sign in, when signIn returns the SELECT_MFA_TYPE challenge
+     * @param {Object} user - The CognitoUser object
+     * @param {String} mfaType - 'SMS_MFA' or 'SOFTWARE_TOKEN_MFA'
+     * @return - A promise resolves to the CognitoUser, with challengeName set to the chosen MFA
+     */
+    public selectMFAType(user: any, mfaType: 'SMS_MFA' | 'SOFTWARE_TOKEN_MFA'): Promise<any> {
+        if (mfaType !== 'SMS_MFA' && mfaType !== 'SOFTWARE_TOKEN_MFA') {
+            return Promise.reject(new AuthError(AuthErrorCodes.InvalidMFAMethod));
+        }
+
+        return new Promise((resolve, reject) => {
+            const callbacks = Object.assign(this.authCallbacks(user, resolve, reject), {
+                onFailure: (err) => {
+                    logger.debug('selectMFAType failure', err);
+                    reject(AuthError.from(err));
+                }
+            });
+            user.sendMFASelectionAnswer(mfaType, callbacks);
+        });
+    }
+
+    public completeNewPassword(
+        user: any,
+        password: string,
+        requiredAttributes: any
+    ): Promise<any> {
+        if (!password) { return Promise.reject(new AuthError(AuthErrorCodes.EmptyPassword)); }
+        const invalid = this.checkPassword(password);
+        if (invalid) { return Promise.reject(invalid); }
+
+        const that = this;
+        return new Promise((resolve, reject) => {
+            const callbacks = this.authCallbacks(user, resolve, reject);
+            // the new password is set whether the sign in is done or another challenge follows
+            const completed = (callback) => (...args) => {
+                that.dispatchAuthEvent('completeNewPassword', user);
+                callback(...args);
+            };
+            user.completeNewPasswordChallenge(password, requiredAttributes, Object.assign(callbacks, {
+                onSuccess: completed(callbacks.onSuccess),
+                onFailure: (err) => {
+                    logger.debug('completeNewPassword failure', err);
+                    reject(AuthError.from(err));
+                },
+                mfaRequired: completed(callbacks.mfaRequired),
+                totpRequired: completed(callbacks.totpRequired),
+                mfaSetup: completed(callbacks.mfaSetup),
+                selectMFAType: completed(callbacks.selectMFAType),
+                customChallenge: completed(callbacks.customChallenge)
+            }));
+        });
+    }
+
+    /**
+     * Generate a secret code for the user to set up an authenticator app (TOTP)
+     * @param {CognitoUser} user - the user signed in or in the MFA_SETUP challenge
+     * @return - A promise resolves to the secret code if success
+     */
+    public setupTOTP(user: any): Promise<any> {
+        return new Promise((resolve, reject) => {
+            user.associateSoftwareToken({
+                onFailure: (err) => {
+                    logger.debug('setupTOTP failure', err);
+                    reject(AuthError.from(err));
+                },
+                associateSecretCode: (secretCode) => {
+                    logger.debug('setupTOTP success');
+                    resolve(secretCode);
+                }
+            });
+        });
+    }
+
+    /**
+     * Verify a TOTP code generated by the authenticator app to finish the set up
+     * @param {CognitoUser} user - the user which ran setupTOTP
+     * @param {String} challengeAnswer - the code from the authenticator app
+     * @param {String} friendlyDeviceName - optional, the name of the authenticator, 'My TOTP device' by default
+     * @return - A promise resolves if success
+     */
+    public verifyTotpToken(user: any, challengeAnswer: string, friendlyDeviceName?: string): Promise<any> {
+        if (!challengeAnswer) { return Promise.reject(new AuthError(AuthErrorCodes.EmptyCode)); }
+
+        const that = this;
+        return new Promise((resolve, reject) => {
+            user.verifySoftwareToken(challengeAnswer, friendlyDeviceName || 'My TOTP device', {
+                onSuccess: (data) => {
+                    logger.debug('verifyTotpToken success', data);
+                    if (user['challengeName'] === 'MFA_SETUP') {
+                        // the set up happened during sign in, which completes it
+                        delete user['challengeName'];
+                        delete user['challengeParam'];
+                        that.setCredentialsFromSession(data);
+                        that.user = user;
+                        that._sessionTimeout.start();
+                        that.dispatchAuthEvent('signIn', user);
+                    }
+                    resolve(data);
+                },
+                onFailure: (err) => {
+                    logger.debug('verifyTotpToken failure', err);
+                    reject(AuthError.from(err));
+                }
+            });
+        });
+    }
+
+    /**
+     * Set the preferred MFA method of the user
+     * @param {CognitoUser} user - the current user
+     * @param {String} mfaMethod - 'TOTP', 'SMS' or 'NOMFA'
+     * @return - A promise resolves if success
+     */
+    public setPreferredMFA(user: any, mfaMethod: 'TOTP' | 'SMS' | 'NOMFA'): Promise<any> {
+        let smsMfaSettings = null;
+        let totpMfaSettings = null;
+        switch (mfaMethod) {
+            case 'TOTP':
+                totpMfaSettings = { PreferredMfa: true, Enabled: true };
+                break;
+            case 'SMS':
+                smsMfaSettings = { PreferredMfa: true, Enabled: true };
+                break;
+            case 'NOMFA':
+                totpMfaSettings = { PreferredMfa: false, Enabled: false };
+                smsMfaSettings = { PreferredMfa: false, Enabled: false };
+                break;
+            default:
+                return Promise.reject(new AuthError(AuthErrorCodes.InvalidMFAMethod));
+        }
+
+        return this.userSession(user)
+            .then(session => {
+                return new Promise((resolve, reject) => {
+                    user.setUserMfaPreference(smsMfaSettings, totpMfaSettings, (err, result) => {
+                        if (err) {
+                            logger.debug('set mfa preference failure', err);
+                            reject(AuthError.from(err));
+                        } else {
+                            resolve(result);
+                        }
+                    });
+                });
+            });
+    }
+
+    /**
+     * Get the preferred MFA method of the user
+     * @param {CognitoUser} user - the current user
+     * @return - A promise resolves to 'SOFTWARE_TOKEN_MFA', 'SMS_MFA' or 'NOMFA'
+     */
+    public getPreferredMFA(user: any): Promise<any> {
+        return this.userSession(user)
+            .then(session => {
+                return new Promise((resolve, reject) => {
+                    user.getUserData((err, data) => {
+                        if (err) {
+                            logger.debug('get preferred mfa failure', err);
+                            reject(AuthError.from(err));
+                        } else {
+                            resolve(data.PreferredMfaSetting || 'NOMFA');
+                        }
+                    });
+                });
+            });
+    }
+
+    /**
+     * Update an authenticated users' attributes
+     * @param {CognitoUser} - The currently logged in user object
+     * @return {Promise} 
+     **/
+    public updateUserAttributes(user, attributes:object): Promise<any> {
+        let attr:object = {};
+        const attributeList:Array<object> = [];
+        return this.userSession(user)
+            .then(session => {
+                return new Promise((resolve, reject) => {
+                    for (const key in attributes) {
+                        if ( key !== 'sub' &&
+                            key.indexOf('_verified') < 0 && 
+                            attributes[key] ) {
+                            attr = {
+                                'Name': key,
+                                'Value': attributes[key]
+                            };
+                            attributeList.push(attr);
+                        }
+                    }
+                    user.updateAttributes(attributeList, (err,result) => {
+                        if (err) { reject(AuthError.from(err)); } else { resolve(result); }
+                    });
+                });
+            }); 
+    }
+    /**
+     * Delete attributes of an authenticated user
+     * @param {CognitoUser} user - The currently logged in user object
+     * @param {String[]} attributeNames - The names of the attributes to be deleted
+     * @return - A promise resolves if success
+     */
+    public deleteUserAttributes(user, attributeNames: string[]): Promise<any> {
+        if (!attributeNames || attributeNames.length === 0) {
+            return Promise.reject(new AuthError(AuthErrorCodes.EmptyAttributes));
+        }
+
+        return this.userSession(user)
+            .then(session => {
+                return new Promise((resolve, reject) => {
+                    user.deleteAttributes(attributeNames, (err, result) => {
+                        if (err) {
+                            logger.debug('delete user attributes failure', err);
+                            reject(AuthError.from(err));
+                        } else {
+                            this.dispatchAuthEvent('deleteUserAttributes', attributeNames);
+                            resolve(result);
+                        }
+                    });
+                });
+            });
+    }
+
+    /**
+     * Change the password of an authenticated user
+     * @param {CognitoUser} user - The currently logged in user object
+     * @param {String} oldPassword - The current password
+     * @param {String} newPassword - The requested new password
+     * @return - A promise resolves if success
+     */
+    public changePassword(user, oldPassword: string, newPassword: string): Promise<any> {
+        if (!oldPassword || !newPassword) { return Promise.reject(new AuthError(AuthErrorCodes.EmptyPassword)); }
+
+        return this.userSession(user)
+            .then(session => {
+                return new Promise((resolve, reject) => {
+                    user.changePassword(oldPassword, newPassword, (err, result) => {
+                        if (err) {
+                            logger.debug('change password failure', err);
+                            reject(AuthError.from(err));
+                        } else {
+                            this.dispatchAuthEvent('changePassword', user);
+                            resolve(result);
+                        }
+                    });
+                });
+            });
+    }
+
+    /**
+     * Delete the current user pool user, then fall back to guest credentials.
+     * Dispatches signOut, then userDeleted
+     * @return - A promise resolves if success
+     */
+    public deleteUser(): Promise<any> {
+        return this.currentUserPoolUser()
+            .then(user => {
+                return new Promise((resolve, reject) => {
+                    user.deleteUser((err, result) => {
+                        if (err) {
+                            logger.debug('delete user failure', err);
+                            reject(AuthError.from(err));
+                            return;
+                        }
+
+                        user.signOut();
+                        if (this.credentials) { this.credentials.clearCachedId(); }
+                        this._cache.removeItem('federatedInfo');
+                        // the listeners of signOut, e.g. Analytics, reset their state as well
+                        this.cleanUpSignOut('signOut', user);
+                        this.dispatchAuthEvent('userDeleted', user);
+                        resolve(result);
+                    });
+                });
+            });
+    }
+
+    /**
+     * Return user attributes
+     * @param {Object} user - The CognitoUser object
+     * @return - A promise resolves to user attributes if success
+     */
+    public userAttributes(user): Promise<any> {
+        return this.userSession(user)
+            .then(session => {
+                return new Promise((resolve, reject) => {
+                    user.getUserAttributes((err, attributes) => {
+                        if (err) { reject(AuthError.from(err)); } else { resolve(attributes); }
+                    });
+                });
+            });
+    }
+
+    /**
+     * Get the groups of the current user from the ID token
+     * @return - A promise resolves to the group names, empty if the user is in none
+     */
+    public currentUserGroups(): Promise<string[]> {
+        return this.currentSession()
+            .then(session => session.getIdToken().decodePayload()['cognito:groups'] || []);
+    }
+
+    /**
+     * Whether the current user is in a group
+     * @param {String} name - the group name
+     * @return - A promise resolves to true if the user is in the group
+     */
+    public hasGroup(name: string): Promise<boolean> {
+        return this.currentUserGroups()
+            .then(groups => groups.indexOf(name) >= 0);
+    }
+
+    public verifiedContact(user) {
+        const that = this;
+        return this.userAttributes(user)
+            .then(attributes => {
+                const attrs = that.attributesToObject(attributes);
+                const unverified = {};
+                const verified = {};
+                if (attrs['email']) {
+                    if (attrs['email_verified']) {
+                        verified['email'] = attrs['email'];
+                    } else {
+                        unverified['email'] = attrs['email'];
+                    }
+                }
+                if (attrs['phone_number']) {
+                    if (attrs['phone_number_verified']) {
+                        verified['phone_number'] = attrs['phone_number'];
+                    } else {
+                        unverified['phone_number'] = attrs['phone_number'];
+                    }
+                }
+                return {
+                    verified,
+                    unverified
+                };
+            });
+    }
+
+    /**
+     * Get the users signed in on this device, who can be switched to without signing in again
+     * @return - A promise resolves to the CognitoUsers, the current user first
+     */
+    public listSignedInUsers(): Promise<any[]> {
+        if (!this.userPool) { return Promise.reject(new AuthError(AuthErrorCodes.NoUserPool)); }
+
+        return Promise.resolve(this.userPool.getSignedInUsers());
+    }
+
+    /**
+     * Make another signed in user the current user. The credentials follow, and with them
+     * the Analytics endpoint and the private Storage prefix
+     * @param {String} username - the username of the signed in user
+     * @return - A promise resolves to the CognitoUser if success
+     */
+    public switchUser(username: string): Promise<any> {
+        if (!this.userPool) { return Promise.reject(new AuthError(AuthErrorCodes.NoUserPool)); }
+        if (!username) { return Promise.reject(new AuthError(AuthErrorCodes.EmptyUsername)); }
+
+        const user = this.signedInUser(username);
+        if (!user) { return Promise.reject(new AuthError(AuthErrorCodes.UserNotSignedIn)); }
+
+        return this.userSession(user)
+            .then(session => {
+                this.userPool.setCurrentUser(username);
+                // the identity id cached by the SDK belongs to the previous user
+                if (this.credentials) { this.credentials.clearCachedId(); }
+                this.setCredentialsFromSession(session);
+                this.user = user;
+                // the deadlines of the previous user do not apply
+                this._sessionTimeout.start();
+                this.dispatchAuthEvent('switchUser', user);
+                return user;
+            });
+    }
+
+    private signedInUser(username: string) {
+        return this.userPool.getSignedInUsers().filter(user => user.getUsername() === username)[0];
+    }
+
+    /**
+     * Get current authenticated user
+     * @return - A promise resolves to curret authenticated CognitoUser if success
+     */
+    public currentUserPoolUser(): Promise<any> {
+        if (!this.userPool) { return Promise.reject(new AuthError(AuthErrorCodes.NoUserPool)); }
+
+        const user = this.userPool.getCurrentUser();
+        if (!user) {
+            return Promise.reject(new AuthError(AuthErrorCodes.NoCurrentUser, 'No current user in userPool'));
+        }
+
+        logger.debug(user);
+        return new Promise((resolve, reject) => {
+            user.getSession(function(err, session) {
+                if (err) { reject(AuthError.from(err)); } else { resolve(user); }
+            });
+        });
+    }
+
+    /**
+     * Get current authenticated user
+     * @return - A promise resolves to curret authenticated CognitoUser if success
+     */
+    public currentAuthenticatedUser(): Promise<any> {
+        const source = this.credentials_source;
+        logger.debug('get current authenticated user. source ' + source);
+        if (!source || source === 'aws' || source === 'userPool') {
+            return this.currentUserPoolUser();
+        }
+
+        if (source === 'federated') {
+            return Promise.resolve(this.user);
+        }
+
+        return Promise.reject(new AuthError(AuthErrorCodes.NotAuthenticated));
+    }
+
+    /**
+     * Get current user's session
+     * @return - A promise resolves to session object if success 
+     */
+    public currentSession() : Promise<any> {
+        if (!this.userPool) { return Promise.reject(new AuthError(AuthErrorCodes.NoUserPool)); }
+
+        const user = this.userPool.getCurrentUser();
+        if (!user) { return Promise.reject(new AuthError(AuthErrorCodes.NoCurrentUser)); }
+        return this.userSession(user);
+    }
+
+    /**
+     * Get the corresponding user session
+     * @param {Object} user - The CognitoUser object
+     * @return - A promise resolves to the session
+     */
+    public userSession(user) : Promise<any> {
+        return new Promise((resolve, reject) => {
+            logger.debug(user);
+            user.getSession(function(err, session) {
+                if (err) { reject(AuthError.from(err)); } else { resolve(session); }
+            });
+        });
+    }
+
+    /**
+     * Get authenticated credentials of current user.
+     * @return - A promise resolves to be current user's credentials
+     */
+    public currentUserCredentials() : Promise<any> {
+        // first to check whether there is federation info in the local storage
+        const federatedInfo = this._cache.getItem('federatedInfo');
+        if (federatedInfo) {
+            const { provider, token, user, identity_id } = federatedInfo;
+            return new Promise((resolve, reject) => {
+                if (!this._federation.get(provider)) { return reject(this.unsupportedProvider(provider)); }
+                this.setCredentialsFromFederation(provider, token, user, identity_id);
+                resolve();
+            });
+        } else {
+            return this.currentSession()
+                .then(session => this.setCredentialsFromSession(session));
+        }
+    }
+
+    public currentCredentials(): Promise<any> {
+        return this.pickupCredentials();
+    }
+
+    /**
+     * Initiate an attribute confirmation request
+     * @param {Object} user - The CognitoUser
+     * @param {Object} attr - The attributes to be verified
+     * @return - A promise resolves to callback data if success
+     */
+    public verifyUserAttribute(user, attr): Promise<any> {
+        return new Promise((resolve, reject) => {
+            user.getAttributeVerificationCode(attr, {
+                onSuccess(data) { resolve(data); },
+                onFailure(err) { reject(AuthError.from(err)); }
+            });
+        });
+    }
+
+    /**
+     * Confirm an attribute using a confirmation code
+     * @param {Object} user - The CognitoUser
+     * @param {Object} attr - The attribute to be verified
+     * @param {String} code - The confirmation code
+     * @return - A promise resolves to callback data if success
+     */
+    public verifyUserAttributeSubmit(user, attr, code): Promise<any> {
+        if (!code) { return Promise.reject(new AuthError(AuthErrorCodes.EmptyCode)); }
+
+        return new Promise((resolve, reject) => {
+            user.verifyAttribute(attr, code, {
+                onSuccess(data) { resolve(data); },
+                onFailure(err) { reject(AuthError.from(err)); }
+            });
+        });
+    }
+
+    verifyCurrentUserAttribute(attr) {
+        const that = this;
+        return that.currentUserPoolUser()
+            .then(user => that.verifyUserAttribute(user, attr));
+    }
+
+    /**
+     * Confirm current user's attribute using a confirmation code
+     * @param {Object} attr - The attribute to be verified
+     * @param {String} code - The confirmation code
+     * @return - A promise resolves to callback data if success
+     */
+    verifyCurrentUserAttributeSubmit(attr, code) {
+        const that = this;
+        return that.currentUserPoolUser()
+            .then(user => that.verifyUserAttributeSubmit(user, attr, code));
+    }
+    /**
+     * Redirect to the Cognito Hosted UI to sign in
+     * @param {String} provider - optional, the identity provider configured in the user pool,
+     * e.g. Google, Facebook, LoginWithAmazon or a SAML/OIDC provider name
+     * @return - A promise resolves to the authorize url
+     */
+    public hostedUISignIn(provider?: string): Promise<any> {
+        if (!this._oAuthHandler) { return Promise.reject(new AuthError(AuthErrorCodes.NoOAuth)); }
+        return Promise.resolve().then(() => this._oAuthHandler.oauthSignIn(provider));
+    }
+
+    /**
+     * Complete the Hosted UI sign in with the url it redirected back to.
+     * This is done on configure when the page is loaded from the redirect.
+     * @param {String} currentUrl - optional, defaults to the current window location
+     * @return - A promise resolves to the CognitoUser
+     */
+    public handleOAuthResponse(currentUrl?: string): Promise<any> {
+        if (!this.userPool) { return Promise.reject(new AuthError(AuthErrorCodes.NoUserPool)); }
+        if (!this._oAuthHandler) { return Promise.reject(new AuthError(AuthErrorCodes.NoOAuth)); }
+
+        const responseUrl = currentUrl || (typeof window !== 'undefined' ? window.location.href : null);
+        return this._oAuthHandler.handleAuthResponse(responseUrl)
+            .then(tokens => {
+                const user = this.createSessionUser(tokens);
+                this._cache.setItem('hostedUISignIn', true, { priority: 1 });
+
+                this.setCredentialsFromSession(user.getSignInUserSession());
+                this.user = user;
+                this._sessionTimeout.start();
+                this.dispatchAuthEvent('signIn', user);
+                return user;
+            })
+            .catch(err => {
+                logger.debug('Hosted UI sign in failure', err);
+                const error = AuthError.from(err);
+                this.dispatchAuthEvent('signIn_failure', error);
+                return Promise.reject(error);
+            });
+    }
+
+    /**
+     * Create an Auth instance for a request on the server, which keeps the session of the request
+     * in memory instead of global state. The session comes from the cookies of a browser configured
+     * with the cookie storage, or from tokens, and is refreshed if expired.
+     * @param {Object} request - cookies, the Cookie header or the values by name, or tokens
+     * @return - A promise resolves to the instance and the Set-Cookie headers of the changed cookies
+     */
+    public createRequestInstance(request: RequestSession = {}): Promise<{ auth: AuthClass, cookies: string[] }> {
+        const storage = new RequestStorage(request.cookies);
+        const auth = new AuthClass(Object.assign({}, this._config, { storage, ssr: true }), this._name);
+        if (request.tokens) {
+            if (!auth.userPool) { return Promise.reject(new AuthError(AuthErrorCodes.NoUserPool)); }
+            auth.createSessionUser(request.tokens);
+        }
+
+        return auth.currentUserCredentials()
+            .catch(err => {
+                logger.debug('no user session in the request', err);
+                auth.setCredentialsForGuest();
+            })
+            .then(() => {
+                return { auth, cookies: storage.setCookieHeaders(this._config.cookieStorage) };
+            });
+    }
+
+    /**
+     * Sign out method
+     * @param {Object} options - optional, set global to true to also revoke the tokens
+     * issued to the user on every device, set username to sign out another signed in user
+     * @return - A promise resolved if success
+     */
+    public signOut(options?: SignOutOptions): Promise<any> {
+        const source = this.credentials_source;
+        const global = !!(options && options.global);
+
+        const username = options && options.username;
+        const current = username && this.userPool && this.userPool.getCurrentUser();
+        if (username && !(current && current.getUsername() === username && source === 'userPool')) {
+            return this.signOutUser(username, global);
+        }
+        const hostedUI = this._cache.getItem('hostedUISignIn');
+
+        // clean out the cached stuff
+        this.credentials.clearCachedId();
+        // clear federatedInfo
+        this._cache.removeItem('federatedInfo');
+        this._cache.removeItem('hostedUISignIn');
+
+        let signedOut: Promise<any>;
+        if (source === 'aws' || source === 'userPool') {
+            if (!this.userPool) { return Promise.reject(new AuthError(AuthErrorCodes.NoUserPool)); }
+
+            const user = this.userPool.getCurrentUser();
+            if (!user) { return Promise.resolve(); }
+
+            if (global) {
+                signedOut = this.globalSignOut(user);
+            } else {
+                user.signOut();
+            }
+        } else if (global) {
+            logger.debug('global sign out is only available to user pool users, sign out locally');
+        }
+
+        if (!signedOut) {
+            signedOut = new Promise((resolve, reject) => {
+                this.cleanUpSignOut('signOut');
+                resolve();
+            });
+        }
+
+        if (!hostedUI || !this._oAuthHandler) { return signedOut; }
+        // end the Hosted UI session too, otherwise the next hosted sign in skips the login page,
+        // also when the global sign out failed, which still signed out locally
+        return signedOut.then(
+            () => { this._oAuthHandler.signOut(); },
+            err => {
+                this._oAuthHandler.signOut();
+                return Promise.reject(err);
+            }
+        );
+    }
+
+    /**
+     * Revoke the tokens of the user on every device, then sign out locally
+     * @param {Object} user - The CognitoUser object
+     * @return - A promise resolved if success
+     */
+    private globalSignOut(user): Promise<any> {
+        return this.userSession(user)
+            .then(session => {
+                return new Promise((resolve, reject) => {
+                    user.globalSignOut({
+                        onSuccess: (data) => { resolve(data); },
+                        onFailure: (err) => { reject(AuthError.from(err)); }
+                    });
+                });
+            })
+            .then(() => {
+                user.signOut();
+                this.cleanUpSignOut('globalSignOut');
+            })
+            .catch(err => {
+                logger.debug('global sign out failure', err);
+                // the tokens may stay valid on the server, still this device has to be signed out
+                user.signOut();
+                this.cleanUpSignOut('signOut');
+                const error = AuthError.from(err);
+                this.dispatchAuthEvent('globalSignOut_failure', error);
+                return Promise.reject(error);
+            });
+    }
+
+    /**
+     * Sign out a signed in user other than the current one
+     * @param {String} username - the username of the user
+     * @param {Boolean} global - whether to also revoke the tokens issued to the user on every device
+     * @return - A promise resolved if success
+     */
+    private signOutUser(username: string, global: boolean): Promise<any> {
+        if (!this.userPool) { return Promise.reject(new AuthError(AuthErrorCodes.NoUserPool)); }
+
+        const user = this.signedInUser(username);
+        if (!user) { return Promise.resolve(); }
+        if (!global) {
+            user.signOut();
+            this.dispatchAuthEvent('signOut', user);
+            return Promise.resolve();
+        }
+
+        return this.userSession(user)
+            .then(session => new Promise((resolve, reject) => {
+                user.globalSignOut({
+                    onSuccess: (data) => { resolve(data); },
+                    onFailure: (err) => { reject(AuthError.from(err)); }
+                });
+            }))
+            .then(
+                () => {
+                    user.signOut();
+                    this.dispatchAuthEvent('globalSignOut', user);
+                },
+                err => {
+                    logger.debug('global sign out failure', err);
+                    user.signOut();
+                    this.dispatchAuthEvent('signOut', user);
+                    const error = AuthError.from(err);
+                    this.dispatchAuthEvent('globalSignOut_failure', error);
+                    return Promise.reject(error);
+                }
+            );
+    }
+
+    private cleanUpSignOut(event: AuthEvent, data = this.user) {
+        this._sessionTimeout.stop();
+        this.setCredentialsForGuest();
+        this.dispatchAuthEvent(event, data);
+        this.user = null;
+    }
+
+    /**
+     * @param {String} username - the username as the user typed it
+     * @return - the username with the usernameAttributes option applied, the error when it is
+     * a malformed email address or phone number
+     */
+    private normalizeUsername(username: string): string | AuthError {
+        const { usernameAttributes, defaultCountryCode } = this._config;
+        const normalized = normalizeUsername(username, usernameAttributes, defaultCountryCode);
+        if (normalized.username !== null) { return normalized.username; }
+        return normalized.attribute === 'email'
+            ? new AuthError(AuthErrorCodes.InvalidEmail)
+            : new AuthError(AuthErrorCodes.InvalidPhoneNumber);
+    }
+
+    /**
+     * @return - the email or phone_number sign up attribute normalized when it is one of
+     * the usernameAttributes, the error when it is malformed
+     */
+    private normalizeAttribute(name: string, value: string): string | AuthError {
+        const { usernameAttributes, defaultCountryCode } = this._config;
+        if (!value || !usernameAttributes || usernameAttributes.indexOf(name as any) === -1) { return value; }
+
+        if (name === 'email') {
+            return normalizeEmail(value) || new AuthError(AuthErrorCodes.InvalidEmail);
+        }
+        return normalizePhoneNumber(value, defaultCountryCode) || new AuthError(AuthErrorCodes.InvalidPhoneNumber);
+    }
+
+    /**
+     * @return - the error with the broken rules of the password policy as cause, null when it is valid
+     */
+    private checkPassword(password: string): AuthError {
+        const failures = this.validatePassword(password);
+        if (!failures.length) { return null; }
+        logger.debug('password breaks the policy', failures);
+        return new AuthError('InvalidPasswordException', failures.map(f => f.message).join('. '), failures);
+    }
+
+    /**
+     * @return - the error with the broken rules of the attributes as cause, null when they are valid
+     */
+    private checkSignUpAttributes(attributes: object): AuthError {
+        const failures = this.validateSignUpAttributes(attributes);
+        if (!failures.length) { return null; }
+        logger.debug('sign up attributes break the schema', failures);
+        return new AuthError('InvalidParameterException', failures.map(f => f.message).join('. '), failures);
+    }
+
+    private dispatchAuthEvent(event: AuthEvent, data) {
+        Hub.dispatch('auth', { event, data }, this._name ? 'Auth.' + this._name : 'Auth');
+    }
+
+    /**
+     * Only the default instance shares its credentials with the AWS SDK
+     */
+    private isGlobal() {
+        return !this._config.ssr && !this._name;
+    }
+
+    /**
+     * Record user activity, which extends the idle timeout. The activity tracker only sees
+     * some events, e.g. in React Native the AppState changes but not the touches
+     */
+    public recordActivity() {
+        this._sessionTimeout.recordActivity();
+    }
+
+    /**
+     * Sign out once the session reached the idle timeout or the maximum session age
+     * @param {String} reason - 'idle' or 'maxSessionAge'
+     * @param {Number} expiresAt - when the session timed out
+     */
+    private sessionTimedOut(reason: string, expiresAt: number) {
+        this.dispatchAuthEvent('sessionTimeout', { reason, expiresAt });
+        this.signOut()
+            .catch(err => logger.debug('sign out after the session timeout failure', err));
+    }
+
+    /**
+     * Remember the current device, so that it can skip MFA on next sign in
+     * @return - A promise resolves if success
+     */
+    public rememberDevice(): Promise<any> {
+        return this.currentUserPoolUser()
+            .then(user => {
+                user.getCachedDeviceKeyAndPassword();
+                return new Promise((resolve, reject) => {
+                    user.setDeviceStatusRemembered({
+                        onSuccess: (data) => { resolve(data); },
+                        onFailure: (err) => {
+                            logger.debug('remember device failure', err);
+                            reject(AuthError.from(err));
+                        }
+                    });
+                });
+            });
+    }
+
+    /**
+     * Forget a remembered device
+     * @param {String} deviceKey - optional, the key of the device, defaults to the current device
+     * @return - A promise resolves if success
+     */
+    public forgetDevice(deviceKey?: string): Promise<any> {
+        return this.currentUserPoolUser()
+            .then(user => {
+                user.getCachedDeviceKeyAndPassword();
+                return new Promise((resolve, reject) => {
+                    const callbacks = {
+                        onSuccess: (data) => { resolve(data); },
+                        onFailure: (err) => {
+                            logger.debug('forget device failure', err);
+                            reject(AuthError.from(err));
+                        }
+                    };
+                    if (deviceKey) {
+                        user.forgetSpecificDevice(deviceKey, callbacks);
+                    } else {
+                        user.forgetDevice(callbacks);
+                    }
+                });
+            });
+    }
+
+    /**
+     * List the devices tracked for the current user
+     * @param {Object} params - optional, limit (max 60) and nextToken of the previous page
+     * @return - A promise resolves to { devices, nextToken } if success
+     */
+    public fetchDevices(params?: { limit?: number, nextToken?: string }): Promise<any> {
+        const { limit = 60, nextToken = null } = params || {};
+        return this.currentUserPoolUser()
+            .then(user => {
+                return new Promise((resolve, reject) => {
+                    user.listDevices(limit, nextToken, {
+                        onSuccess: (data) => {
+                            resolve({
+                                devices: data.Devices || [],
+                                nextToken: data.PaginationToken || null
+                            });
+                        },
+                        onFailure: (err) => {
+                            logger.debug('fetch devices failure', err);
+                            reject(AuthError.from(err));
+                        }
+                    });
+                });
+            });
+    }
+
+    /**
+     * Initiate a forgot password request
+     * @param {String} username - the username to change password
+     * @return - A promise resolves if success 
+     */
+    public forgotPassword(username: string): Promise<any> {
+        if (!this.userPool) { return Promise.reject(new AuthError(AuthErrorCodes.NoUserPool)); }
+        if (!username) { return Promise.reject(new AuthError(AuthErrorCodes.EmptyUsername)); }
+        const normalized = this.normalizeUsername(username);
+        if (normalized instanceof AuthError) { return Promise.reject(normalized); }
+
+        const user = this.createCognitoUser(normalized);
+        return new Promise((resolve, reject) => {
+            user.forgotPassword({
+                onSuccess: () => { resolve(); },
+                onFailure: err => {
+                    logger.debug('forgot password failure', err);
+                    reject(AuthError.from(err));
+                },
+                inputVerificationCode: data => {
+                    this.dispatchAuthEvent('forgotPassword', {
+                        username: normalized,
+                        codeDeliveryDetails: data && data.CodeDeliveryDetails
+                    });
+                    resolve(data);
+                }
+            });
+        });
+    }
+
+    /**
+     * Confirm a new password using a confirmation Code
+     * @param {String} username - The username 
+     * @param {String} code - The confirmation code
+     * @param {String} password - The new password
+     * @return - A promise that resolves if success
+     */
+    public forgotPasswordSubmit(
+        username: string,
+        code: string,
+        password: string
+    ): Promise<any> {
+        if (!this.userPool) { return Promise.reject(new AuthError(AuthErrorCodes.NoUserPool)); }
+        if (!username) { return Promise.reject(new AuthError(AuthErrorCodes.EmptyUsername)); }
+        if (!code) { return Promise.reject(new AuthError(AuthErrorCodes.EmptyCode)); }
+        if (!password) { return Promise.reject(new AuthError(AuthErrorCodes.EmptyPassword)); }
+        const invalid = this.checkPassword(password);
+        if (invalid) { return Promise.reject(invalid); }
+        const normalized = this.normalizeUsername(username);
+        if (normalized instanceof AuthError) { return Promise.reject(normalized); }
+
+        const user = this.createCognitoUser(normalized);
+        return new Promise((resolve, reject) => {
+            user.confirmPassword(code, password, {
+                onSuccess: () => {
+                    this.dispatchAuthEvent('forgotPasswordSubmit', { username: normalized });
+                    resolve();
+                },
+                onFailure: err => { reject(AuthError.from(err)); }
+            });
+        });
+    }
+
+    /**
+     * Get user information
+     * @async
+     * @return {Object }- current User's information
+     */
+    public async currentUserInfo() {
+        const credentials = this.credentials;
+        const source = this.credentials_source;
+        if (!source) { return null; }
+
+        if (source === 'aws' || source === 'userPool') {
+            const user = await this.currentUserPoolUser()
+                .catch(err => logger.debug(err));
+            if (!user) { return null; }
+
+            try {
+                const attributes = await this.userAttributes(user);
+                const userAttrs:object = this.attributesToObject(attributes);
+            
+                const info = {
+                    'id': credentials.identityId,
+                    'username': user.username,
+                    'attributes': userAttrs
+                };
+                return info;
+            } catch(err) {
+                console.warn(err);
+                logger.debug('currentUserInfo error', err);
+                return {};
+            }
+        }
+
+        if (source === 'federated') {
+            const user = this.user;
+            return user? user : {};
+        }
+    }
+
+    /**
+     * For federated login
+     * @param {String} provider - federation login provider, google, facebook, amazon,
+     * twitter, digits or one added with the federationProviders configuration
+     * @param {Object} response - response including token, expires_at in milliseconds,
+     * and identity_id for developer authenticated identities
+     * @param {String} user - user info 
+     */
+    public federatedSignIn(provider, response: FederatedResponse, user) {
+        if (!this._federation.get(provider)) { return Promise.reject(this.unsupportedProvider(provider)); }
+
+        const { token, expires_at, identity_id } = response;
+        this.setCredentialsFromFederation(provider, token, user, identity_id);
+
+        // store it into localstorage
+        this._cache.setItem('federatedInfo', { provider, token, user, expires_at, identity_id }, { priority: 1 });
+        this._sessionTimeout.start();
+        this.dispatchAuthEvent('federatedSignIn', { provider, user: this.user });
+        this.dispatchAuthEvent('signIn', this.user);
+        logger.debug('federated sign in credentials', this.credentials);
+        return this.keepAlive();
+    }
+
+    /**
+     * Compact version of credentials
+     * @param {Object} credentials
+     * @return {Object} - Credentials
+     */
+    public essentialCredentials(credentials) {
+        return {
+            accessKeyId: credentials.accessKeyId,
+            sessionToken: credentials.sessionToken,
+            secretAccessKey: credentials.secretAccessKey,
+            identityId: credentials.identityId,
+            authenticated: credentials.authenticated
+        };
+    }
+
+    private attributesToObject(attributes) {
+        const obj = {};
+        if (attributes) {
+            attributes.map(attribute => {
+                if (attribute.Name === 'sub') return;
+
+                if (attribute.Value === 'true') {
+                    obj[attribute.Name] = true;
+                } else if (attribute.Value === 'false') {
+                    obj[attribute.Name] = false;
+                } else {
+                    obj[attribute.Name] = attribute.Value;
+                }
+            });
+        }
+        return obj;
+    }
+
+    /**
+     * A CognitoUser of the user pool, which keeps its tokens in the configured storage
+     * @param {String} username - the username
+     */
+    private createCognitoUser(username: string) {
+        const userData = {
+            Username: username,
+            Pool: this.userPool
+        };
+        if (this._storage) { userData['Storage'] = this._storage; }
+        return new CognitoUser(userData);
+    }
+
+    /**
+     * Cache the session of the tokens as the session of the current user
+     * @param {Object} tokens - idToken, accessToken and refreshToken
+     * @return - the CognitoUser
+     */
+    private createSessionUser(tokens: SessionTokens) {
+        const { idToken, accessToken, refreshToken } = tokens;
+        const cognitoAccessToken = new CognitoAccessToken({ AccessToken: accessToken });
+        const session = new CognitoUserSession({
+            IdToken: new CognitoIdToken({ IdToken: idToken }),
+            AccessToken: cognitoAccessToken,
+            RefreshToken: new CognitoRefreshToken({ RefreshToken: refreshToken })
+        });
+
+        const payload = cognitoAccessToken.decodePayload();
+        const user = this.createCognitoUser(payload['username'] || payload['cognito:username']);
+        // caches the tokens, so currentSession() picks them up like a SRP sign in
+        user.setSignInUserSession(session);
+        return user;
+    }
+
+    private unsupportedProvider(provider) {
+        const message = provider + ' is not supported: [' + this._federation.names().join(', ') + ']';
+        return new AuthError(AuthErrorCodes.UnsupportedProvider, message);
+    }
+
+    private setCredentialsFromFederation(provider, token, user, identityId?: string) {
+        const { domain, developer } = this._federation.get(provider);
+
+        const logins = {};
+        logins[domain] = token;
+
+        const { identityPoolId } = this._config;
+        const params = {
+            IdentityPoolId: identityPoolId,
+            Logins: logins
+        };
+        // the OpenID token of a developer authenticated identity is only valid for its identity id
+        if (developer) { params['IdentityId'] = identityId; }
+        this.credentials = this.createIdentityCredentials(params);
+        this.credentials.authenticated = true;
+        this.credentials_source = 'federated';
+
+        this.user = Object.assign(
+            { id: this.credentials.identityId },
+            user
+        );
+        
+        if (AWS && AWS.config && this.isGlobal()) { AWS.config.credentials = this.credentials; }
+        this.scheduleRefresh();
+    }
+
+    private pickupCredentials() {
+        if (this.credentials) {
+            return this.keepAlive();
+        } else if (this.setCredentialsFromAWS()) {
+            return this.keepAlive();
+        } else {
+            logger.debug('pickup from userPool');
+            return this.currentUserCredentials()
+                .then(() => {
+                    this._sessionTimeout.resume();
+                    return this.keepAlive();
+                })
+                .catch(err => {
+                    logger.debug('error when pickup', err);
+                    this.setCredentialsForGuest();
+                    return this.keepAlive();
+                });
+        }
+    }
+
+    /**
+     * Follow the sign in and sign out of the other windows sharing the localStorage
+     */
+    private listenToOtherWindows() {
+        if (this._config.ssr || this._listeningToStorage) { return; }
+        if (typeof window === 'undefined' || typeof window.addEventListener !== 'function') { return; }
+
+        window.addEventListener('storage', event => this.onStorageEvent(event));
+        this._listeningToStorage = true;
+    }
+
+    /**
+     * @param {StorageEvent} event - a change of the localStorage made by another window
+     */
+    private onStorageEvent(event) {
+        // the tokens and the cache are elsewhere, the changes of other windows are not seen
+        if (this._storage && this._storage !== window.localStorage) { return; }
+        if (event.storageArea && event.storageArea !== window.localStorage) { return; }
+
+        const { key, oldValue, newValue } = event;
+        const signedIn = this.credentials_source === 'userPool' || this.credentials_source === 'federated';
+        // the storage was cleared
+        if (key === null) {
+            if (signedIn) { this.cleanUpSignOut('signOut'); }
+            return;
+        }
+
+        let before: string = null;
+        let after: string = null;
+        if (key === 'CognitoIdentityServiceProvider.' + this._config.userPoolWebClientId + '.LastAuthUser') {
+            before = oldValue;
+            after = newValue;
+        } else if (key === this._cacheKeyPrefix + 'federatedInfo') {
+            const oldInfo = parseFederatedInfo(oldValue);
+            const newInfo = parseFederatedInfo(newValue);
+            const identity = info => info && JSON.stringify([info.provider, info.user, info.identity_id]);
+            before = identity(oldInfo);
+            after = identity(newInfo);
+            if (before === after && before && oldInfo.token !== newInfo.token) {
+                logger.debug('federated token refreshed by another window');
+                this.currentUserCredentials()
+                    .then(() => this.keepAlive())
+                    .catch(err => logger.debug('federated token of another window not picked up', err));
+            }
+        }
+        if (before === after) { return; }
+
+        if (before && signedIn) {
+            logger.debug('signed out by another window');
+            this.cleanUpSignOut('signOut');
+        }
+        if (after) {
+            logger.debug('signed in by another window');
+            this.currentUserCredentials()
+                .then(() => {
+                    if (this.credentials_source === 'userPool') { this.user = this.userPool.getCurrentUser(); }
+                    this._sessionTimeout.resume();
+                    this.dispatchAuthEvent('signIn', this.user);
+                    return this.keepAlive();
+                })
+                .catch(err => logger.debug('sign in of another window not picked up', err));
+        }
+    }
+
+    private setCredentialsFromAWS() {
+        if (!this.isGlobal()) { return false; }
+        if (AWS.config && AWS.config.credentials) {
+            this.credentials = AWS.config.credentials;
+            this.credentials_source = 'aws';
+            return true;
+        }
+
+        return false;
+    }
+
+    private setCredentialsForGuest() {
+        const { identityPoolId } = this._config;
+        const credentials = this.createIdentityCredentials({
+            IdentityPoolId: identityPoolId
+        });
+        credentials.params['IdentityId'] = null; // Cognito load IdentityId from local cache
+        this.credentials = credentials;
+        this.credentials.authenticated = false;
+        this.credentials_source = 'guest';
+        this._sessionExpiresAt = null;
+        this.scheduleRefresh();
+    }
+    
+    private createIdentityCredentials(params) {
+        const { region } = this._config;
+        const credentials = new CognitoIdentityCredentials(params, { region });
+        // outside of browsers the SDK caches identity ids in an object shared by all credentials
+        if (this._config.ssr) { credentials['storage'] = {}; }
+        return credentials;
+    }
+
+    private setCredentialsFromSession(session) {
+        logger.debug('set credentials from session');
+        const idToken = session.getIdToken().getJwtToken();
+        const { region, userPoolId, identityPoolId } = this._config;
+        const key = 'cognito-idp.' + region + '.amazonaws.com/' + userPoolId;
+        const logins = {};
+        logins[key] = idToken;
+        const params = {
+            IdentityPoolId: identityPoolId,
+            Logins: logins
+        };
+        // CustomRoleArn keeps the enhanced flow, RoleArn would switch to the basic one
+        const roleArn = this.resolveRole(session.getIdToken());
+        if (roleArn) { params['CustomRoleArn'] = roleArn; }
+        this.credentials = this.createIdentityCredentials(params);
+        this.credentials.authenticated = true;
+        this.credentials_source = 'userPool';
+
+        if (session.getAccessToken) {
+            this._clockDrift = session.getClockDrift() || 0;
+            this._sessionExpiresAt = this.sessionExpiresAt(session);
+        }
+        this.scheduleRefresh();
+    }
+
+    /**
+     * @param {Object} idToken - the CognitoIdToken of the session
+     * @return - the role to assume with the roleResolution option, undefined for
+     * the role the identity pool picks
+     */
+    private resolveRole(idToken): string {
+        const { roleResolution } = this._config;
+        if (!roleResolution || !idToken.decodePayload) { return undefined; }
+
+        const payload = idToken.decodePayload();
+        if (roleResolution === 'preferred') { return payload['cognito:preferred_role']; }
+        return roleResolution({
+            groups: payload['cognito:groups'] || [],
+            roles: payload['cognito:roles'] || [],
+            preferredRole: payload['cognito:preferred_role'],
+            claims: payload
+        });
+    }
+
+    private keepAlive() {
+        if (!this.credentials) { this.setCredentialsForGuest(); }
+        // concurrent callers share the refresh in flight, unless the user changed meanwhile
+        const refreshing = this._refreshing;
+        if (refreshing && refreshing.credentials === this.credentials) { return refreshing.promise; }
+
+        const inFlight = { credentials: this.credentials, promise: null };
+        // refreshing the tokens replaces the credentials, which are refreshed by the same run
+        const track = () => { inFlight.credentials = this.credentials; };
+        const refresh = this.pendingRefresh(track);
+        if (!refresh) { return Promise.resolve(this.credentials); }
+
+        const done = () => {
+            if (this._refreshing === inFlight) { this._refreshing = null; }
+            this.scheduleRefresh();
+        };
+        this._refreshing = inFlight;
+        inFlight.promise = refresh()
+            .then(credentials => {
+                done();
+                return credentials;
+            })
+            .catch(err => {
+                logger.debug('refresh error', err);
+                done();
+                return null;
+            });
+        return inFlight.promise;
+    }
+
+    /**
+     * @param {Function} track - called when the tokens are refreshed and the credentials replaced
+     * @return - the refresh to run, null if the tokens and the credentials are good
+     * for longer than the refresh window
+     */
+    private pendingRefresh(track: () => void): () => Promise<any> {
+        const now = new Date().getTime();
+        const { expired, expireTime } = this.credentials;
+        const credentialsValid = !expired && !!expireTime && !this.isExpiring(this.credentialsExpiresAt(), now);
+
+        if (this.credentials_source === 'federated') {
+            // the credentials can only be refreshed with a valid token of the provider
+            const federatedInfo = this._cache.getItem('federatedInfo');
+            const expiresAt = federatedInfo && federatedInfo.expires_at;
+            if (!credentialsValid || (expiresAt && this.isExpiring(expiresAt, now))) {
+                return () => this.refreshFederatedToken(federatedInfo)
+                    .then(track)
+                    .then(() => this.refreshCredentials());
+            }
+        } else if (this.credentials_source === 'userPool' && this.isExpiring(this._sessionExpiresAt, now)) {
+            return () => this.refreshUserPoolSession()
+                .then(track)
+                .then(() => this.refreshCredentials());
+        }
+
+        if (!credentialsValid) { return () => this.refreshCredentials(); }
+        return null;
+    }
+
+    /**
+     * @param {Object} session - the CognitoUserSession
+     * @return - the expiration of its tokens in local time
+     */
+    private sessionExpiresAt(session): number {
+        const expiration = Math.min(session.getAccessToken().getExpiration(), session.getIdToken().getExpiration());
+        return (expiration + (session.getClockDrift() || 0)) * 1000;
+    }
+
+    private isExpiring(expiresAt: number, now: number) {
+        return !!expiresAt && expiresAt < now + REFRESH_WINDOW;
+    }
+
+    /**
+     * @return - the expiration of the credentials in local time
+     */
+    private credentialsExpiresAt(): number {
+        const { expireTime } = this.credentials;
+        if (!expireTime) { return null; }
+        return new Date(expireTime).getTime() + this._clockDrift * 1000;
+    }
+
+    /**
+     * Refresh the tokens and the credentials in the background ahead of expiry
+     */
+    private scheduleRefresh() {
+        if (this._refreshTimer) {
+            clearTimeout(this._refreshTimer);
+            this._refreshTimer = null;
+        }
+        // a server side instance lives for a single request
+        if (!this.credentials || this._config.ssr) { return; }
+
+        const expirations = [this.credentialsExpiresAt()];
+        if (this.credentials_source === 'userPool') { expirations.push(this._sessionExpiresAt); }
+        if (this.credentials_source === 'federated') {
+            const federatedInfo = this._cache.getItem('federatedInfo');
+            expirations.push(federatedInfo && federatedInfo.expires_at);
+        }
+        const expiresAt = Math.min.apply(null, expirations.filter(expiration => !!expiration));
+        if (!isFinite(expiresAt)) { return; }
+
+        const delay = expiresAt - REFRESH_WINDOW - new Date().getTime();
+        logger.debug('schedule refresh in ' + delay + 'ms');
+        this._refreshTimer = setTimeout(
+            () => {
+                this._refreshTimer = null;
+                this.keepAlive();
+            },
+            Math.min(Math.max(delay, MIN_REFRESH_DELAY), MAX_TIMEOUT)
+        );
+        // do not keep a node process alive just to refresh
+        if (this._refreshTimer.unref) { this._refreshTimer.unref(); }
+    }
+
+    /**
+     * Refresh the user pool tokens with the refresh token, then use them for the credentials
+     */
+    private refreshUserPoolSession(): Promise<any> {
+        const user = this.userPool && this.userPool.getCurrentUser();
+        if (!user) { return Promise.resolve(); }
+
+        return this.userSession(user)
+            .then(session => {
+                // getSession already refreshed expired tokens, only refresh those about to expire
+                if (!this.isExpiring(this.sessionExpiresAt(session), new Date().getTime())) { return session; }
+                return new Promise((resolve, reject) => {
+                    user.refreshSession(session.getRefreshToken(), (err, newSession) => {
+                        if (err) { reject(AuthError.from(err)); } else { resolve(newSession); }
+                    });
+                });
+            })
+            .then(session => {
+                this.setCredentialsFromSession(session);
+                this.dispatchAuthEvent('tokenRefresh', user);
+            })
+            .catch(err => {
+                logger.debug('refresh session error', err);
+                this.dispatchAuthEvent('tokenRefresh_failure', AuthError.from(err));
+            });
+    }
+
+    private refreshCredentials() {
+        const credentials = this.credentials;
+        return new Promise((resolve, reject) => {
+            credentials.refresh(err => {
+                if (err) {
+                    logger.debug('refresh credentials error', err);
+                    resolve(null);
+                    return;
+                }
+                // the user may have changed meanwhile
+                if (credentials === this.credentials) {
+                    this.dispatchAuthEvent('credentialsChanged', {
+                        source: this.credentials_source,
+                        authenticated: !!credentials.authenticated,
+                        identityId: credentials.identityId,
+                        expiration: credentials.expireTime
+                    });
+                }
+                resolve(credentials);
+            });
+        });
+    }
+
+    /**
+     * Get a fresh token from the refresh handler of the federation provider
+     * before the credentials are refreshed with it. The user is signed out if that fails.
+     * @param {Object} federatedInfo - the stored provider, token, expires_at and user
+     */
+    private refreshFederatedToken(federatedInfo): Promise<any> {
+        const provider = federatedInfo && this._federation.get(federatedInfo.provider);
+        if (!provider || !provider.refreshHandler) {
+            logger.debug('no refresh handler for the federation provider');
+            return Promise.resolve();
+        }
+
+        // a handler throwing instead of rejecting fails the refresh the same way
+        return Promise.resolve()
+            .then(() => provider.refreshHandler())
+            .then(response => {
+                const { token, expires_at } = response;
+                const identity_id = response.identity_id || federatedInfo.identity_id;
+                this.setCredentialsFromFederation(federatedInfo.provider, token, federatedInfo.user, identity_id);
+                this._cache.setItem(
+                    'federatedInfo',
+                    Object.assign({}, federatedInfo, { token, expires_at, identity_id }),
+                    { priority: 1 }
+                );
+                this.dispatchAuthEvent('tokenRefresh', this.user);
+            })
+            .catch(err => {
+                logger.debug('refresh federated token error', err);
+                this.dispatchAuthEvent('tokenRefresh_failure', AuthError.from(err));
+                return this.signOut();
+            });
+    }
+}
@@ -0,0 +1,201 @@
+/*
+ * Copyright 2017-2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
+ * the License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
+ * and limitations under the License.
+ */
+
+/**
+* Codes of the errors Auth raises itself. Errors from Cognito keep their own code,
+* e.g. UserNotConfirmedException
+*/
+export const AuthErrorCodes = {
+    NoUserPool: 'NoUserPool',
+    NoOAuth: 'NoOAuth',
+    InvalidParameter: 'InvalidParameter',
+    EmptyUsername: 'EmptyUsername',
+    EmptyPassword: 'EmptyPassword',
+    EmptyCode: 'EmptyCode',
+    EmptyChallengeResponse: 'EmptyChallengeResponse',
+    EmptyAttributes: 'EmptyAttributes',
+    InvalidEmail: 'InvalidEmail',
+    InvalidPhoneNumber: 'InvalidPhoneNumber',
+    InvalidMFAMethod: 'InvalidMFAMethod',
+    NoCurrentUser: 'NoCurrentUser',
+    UserNotSignedIn: 'UserNotSignedIn',
+    NotAuthenticated: 'NotAuthenticated',
+    UnsupportedProvider: 'UnsupportedProvider',
+    UnknownError: 'UnknownError'
+};
+
+const details = {
+    NoUserPool: {
+        message: 'No userPool',
+        recovery: 'Configure Auth with userPoolId and userPoolWebClientId'
+    },
+    NoOAuth: {
+        message: 'No OAuth configured',
+        recovery: 'Configure Auth with the oauth option'
+    },
+    InvalidParameter: {
+        message: 'Invalid parameter',
+        recovery: 'Check the parameters of the call'
+    },
+    EmptyUsername: {
+        message: 'Username cannot be empty',
+        recovery: 'Enter a username'
+    },
+    EmptyPassword: {
+        message: 'Password cannot be empty',
+        recovery: 'Enter a password'
+    },
+    EmptyCode: {
+        message: 'Code cannot be empty',
+        recovery: 'Enter the code sent to the user'
+    },
+    EmptyChallengeResponse: {
+        message: 'Challenge response cannot be empty',
+        recovery: 'Enter the answer to the challenge'
+    },
+    EmptyAttributes: {
+        message: 'Attribute names cannot be empty',
+        recovery: 'Pass the names of the attributes'
+    },
+    InvalidEmail: {
+        message: 'Invalid email address',
+        recovery: 'Enter an email address like name@example.com'
+    },
+    InvalidPhoneNumber: {
+        message: 'Invalid phone number',
+        recovery: 'Enter the phone number with + and the country code, e.g. +12065551234'
+    },
+    InvalidMFAMethod: {
+        message: 'No valid MFA method provided',
+        recovery: 'Use TOTP, SMS or NOMFA'
+    },
+    NoCurrentUser: {
+        message: 'No current user',
+        recovery: 'Sign in first'
+    },
+    UserNotSignedIn: {
+        message: 'User is not signed in on this device',
+        recovery: 'Sign in the user, the other signed in users stay signed in'
+    },
+    NotAuthenticated: {
+        message: 'not authenticated',
+        recovery: 'Sign in first'
+    },
+    UnsupportedProvider: {
+        message: 'Federation provider is not supported',
+        recovery: 'Add the provider to the federationProviders option'
+    },
+    UnknownError: {
+        message: 'Unknown error',
+        recovery: undefined
+    },
+    UserNotConfirmedException: {
+        message: 'User is not confirmed',
+        recovery: 'Confirm the sign up with the code sent to the user, or resend it'
+    },
+    PasswordResetRequiredException: {
+        message: 'Password reset required for the user',
+        recovery: 'Reset the password with forgotPassword and forgotPasswordSubmit'
+    },
+    CodeMismatchException: {
+        message: 'Invalid verification code provided',
+        recovery: 'Check the code and try again'
+    },
+    ExpiredCodeException: {
+        message: 'Invalid code provided, please request a code again',
+        recovery: 'Request a new code'
+    },
+    NotAuthorizedException: {
+        message: 'Incorrect username or password',
+        recovery: 'Check the username and password'
+    },
+    UserNotFoundException: {
+        message: 'User does not exist',
+        recovery: 'Check the username or sign up'
+    },
+    UsernameExistsException: {
+        message: 'User already exists',
+        recovery: 'Sign in or choose another username'
+    },
+    AliasExistsException: {
+        message: 'An account with the given email or phone number already exists',
+        recovery: 'Sign in with that account'
+    },
+    InvalidPasswordException: {
+        message: 'Password does not conform to policy',
+        recovery: 'Choose a password that meets the password policy of the user pool'
+    },
+    InvalidParameterException: {
+        message: 'Invalid parameter',
+        recovery: 'Check the parameters of the call'
+    },
+    LimitExceededException: {
+        message: 'Attempt limit exceeded',
+        recovery: 'Wait before trying again'
+    },
+    TooManyRequestsException: {
+        message: 'Too many requests',
+        recovery: 'Wait before trying again'
+    },
+    TooManyFailedAttemptsException: {
+        message: 'Too many failed attempts',
+        recovery: 'Wait before trying again'
+    },
+    NetworkError: {
+        message: 'Network error',
+        recovery: 'Check the network connection and try again'
+    },
+    CodeDeliveryFailureException: {
+        message: 'The code could not be delivered',
+        recovery: 'Check the email address or phone number and resend the code'
+    }
+};
+
+/**
+* The error every Auth promise rejects with
+*/
+export default class AuthError extends Error {
+    public code: string;
+    public recovery: string;
+    public cause: any;
+
+    /**
+     * @param {String} code - one of AuthErrorCodes, or the code of the Cognito error
+     * @param {String} message - optional, defaults to the message of the code
+     * @param {any} cause - optional, the original error
+     */
+    constructor(code: string, message?: string, cause?: any) {
+        const detail = details[code] || details.UnknownError;
+        super(message || detail.message);
+        // restore the prototype chain, which extending Error breaks in ES5
+        Object.setPrototypeOf(this, AuthError.prototype);
+
+        this.name = 'AuthError';
+        this.code = code;
+        this.recovery = detail.recovery;
+        this.cause = cause;
+    }
+
+    /**
+     * Wrap an error from Cognito, the AWS SDK or elsewhere
+     * @param {any} err - the original error, or a message
+     * @return - the AuthError
+     */
+    static from(err: any): AuthError {
+        if (err instanceof AuthError) { return err; }
+        if (typeof err === 'string') { return new AuthError(AuthErrorCodes.UnknownError, err, err); }
+
+        const { code, message } = err || { code: undefined, message: undefined };
+        return new AuthError(code || AuthErrorCodes.UnknownError, message, err);
+    }
+}
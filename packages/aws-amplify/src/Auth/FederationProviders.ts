@@ -0,0 +1,84 @@
+/*
+ * Copyright 2017-2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
+ * the License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
+ * and limitations under the License.
+ */
+
+import { FederationProvider } from './types';
+import AuthError, { AuthErrorCodes } from './AuthError';
+
+import { ConsoleLogger as Logger } from '../Common';
+
+const logger = new Logger('FederationProviders');
+
+/**
+* Login key of the OpenID token returned by GetOpenIdTokenForDeveloperIdentity
+*/
+export const DEVELOPER_LOGIN_KEY = 'cognito-identity.amazonaws.com';
+
+const defaultProviders = {
+    'google': 'accounts.google.com',
+    'facebook': 'graph.facebook.com',
+    'amazon': 'www.amazon.com',
+    'twitter': 'api.twitter.com',
+    'digits': 'www.digits.com'
+};
+
+/**
+* Registry of the identity providers Auth.federatedSignIn accepts.
+* A provider maps to the key of the Cognito Identity Logins map, which is
+* the issuer domain for OpenID Connect providers, the provider ARN for SAML providers,
+* or the OpenID token key for developer authenticated identities
+*/
+export default class FederationProviders {
+    private _providers: { [name: string]: FederationProvider } = {};
+
+    /**
+     * @param {Object} providers - optional, providers by name, added to the built in ones
+     */
+    constructor(providers?: { [name: string]: FederationProvider | string }) {
+        Object.keys(defaultProviders).forEach(name => this.register(name, defaultProviders[name]));
+        if (providers) {
+            Object.keys(providers).forEach(name => this.register(name, providers[name]));
+        }
+    }
+
+    /**
+     * Add or replace a provider
+     * @param {String} name - the name passed to Auth.federatedSignIn
+     * @param {Object | String} provider - the provider, or just its login key
+     */
+    public register(name: string, provider: FederationProvider | string) {
+        // a copy, the config of the caller is left as it is
+        const entry: FederationProvider = typeof provider === 'string'?
+            { domain: provider } : Object.assign({}, provider);
+        if (entry.developer && !entry.domain) { entry.domain = DEVELOPER_LOGIN_KEY; }
+        if (!entry.domain) {
+            throw new AuthError(AuthErrorCodes.InvalidParameter, 'Federation provider ' + name + ' has no domain');
+        }
+        logger.debug('register federation provider ' + name, entry.domain);
+        this._providers[name] = entry;
+    }
+
+    /**
+     * @param {String} name - the provider name
+     * @return - the provider, undefined if not registered
+     */
+    public get(name: string): FederationProvider {
+        return this._providers[name];
+    }
+
+    /**
+     * @return - the names of the registered providers
+     */
+    public names(): string[] {
+        return Object.keys(this._providers);
+    }
+}
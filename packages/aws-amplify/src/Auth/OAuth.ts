@@ -0,0 +1,235 @@
+/*
+ * Copyright 2017-2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
+ * the License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
+ * and limitations under the License.
+ */
+
+import { OAuthOptions } from './types';
+
+import {
+    AWS,
+    ConsoleLogger as Logger
+} from '../Common';
+import axios from 'axios';
+
+const logger = new Logger('OAuth');
+
+const url = require('url');
+
+const STATE_KEY = 'aws-amplify-oauth-state';
+const PKCE_KEY = 'aws-amplify-oauth-pkce';
+const CHARSET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~';
+
+const defaultUrlOpener = (targetUrl: string) => {
+    if (typeof window === 'undefined') {
+        logger.warn('No window object available to open ' + targetUrl);
+        return;
+    }
+    window.location.assign(targetUrl);
+};
+
+/**
+* The state and the PKCE code verifier only need to survive the redirect in the same tab
+*/
+const transientStorage = (() => {
+    const dataMemory = {};
+    const memoryStorage = {
+        setItem: (key, value) => { dataMemory[key] = value; },
+        getItem: (key) => dataMemory[key],
+        removeItem: (key) => { delete dataMemory[key]; }
+    };
+    try {
+        if (window.sessionStorage) { return window.sessionStorage; }
+    } catch (e) {
+        logger.debug('sessionStorage not available, keep the oauth state in memory');
+    }
+    return memoryStorage;
+});
+
+/**
+* Sign in through the Cognito Hosted UI with the authorization code grant and PKCE
+*/
+export default class OAuth {
+    private _config: OAuthOptions;
+    private _cognitoClientId: string;
+    private _urlOpener;
+    private _storage;
+
+    /**
+     * @param {Object} options - the oauth config, the user pool app client id
+     * and optionally a function to open urls, which defaults to redirecting the window
+     */
+    constructor(options: { config: OAuthOptions, cognitoClientId: string, urlOpener?: Function }) {
+        const { config, cognitoClientId, urlOpener } = options;
+        this._config = Object.assign({ responseType: 'code', scope: [] }, config);
+        this._cognitoClientId = cognitoClientId;
+        this._urlOpener = urlOpener || defaultUrlOpener;
+        this._storage = transientStorage();
+    }
+
+    /**
+     * Redirect to the Hosted UI to sign in
+     * @param {String} provider - optional, the identity provider name configured in
+     * the user pool, e.g. Google or the name of a SAML/OIDC provider
+     * @return - the authorize url
+     */
+    public oauthSignIn(provider?: string): string {
+        const authorizeUrl = this.getAuthorizeUrl(provider);
+        this._urlOpener(authorizeUrl, this._config.redirectSignIn);
+        return authorizeUrl;
+    }
+
+    /**
+     * Build the /oauth2/authorize url. The state and the code verifier are kept
+     * to validate the response
+     * @param {String} provider - optional, the identity provider name
+     * @return - the authorize url
+     */
+    public getAuthorizeUrl(provider?: string): string {
+        const { redirectSignIn, responseType, scope } = this._config;
+        const state = this._generateRandom(32);
+        const codeVerifier = this._generateRandom(128);
+        this._storage.setItem(STATE_KEY, state);
+        this._storage.setItem(PKCE_KEY, codeVerifier);
+
+        const params = {
+            redirect_uri: redirectSignIn,
+            response_type: responseType,
+            client_id: this._cognitoClientId,
+            scope: scope.join(' '),
+            state,
+            code_challenge: this._generateChallenge(codeVerifier),
+            code_challenge_method: 'S256'
+        };
+        if (provider) { params['identity_provider'] = provider; }
+
+        return this._endpoint('/oauth2/authorize') + '?' + this._toQueryString(params);
+    }
+
+    /**
+     * Whether the url is the redirect back from the Hosted UI
+     * @param {String} currentUrl - the url to check
+     */
+    public isOAuthResponse(currentUrl: string): boolean {
+        if (!currentUrl || !this._config.redirectSignIn) { return false; }
+        const { query } = url.parse(currentUrl, true);
+        const redirect = this._config.redirectSignIn.split('?')[0];
+        return currentUrl.indexOf(redirect) === 0 && !!(query.code || query.error);
+    }
+
+    /**
+     * Parse the redirect back from the Hosted UI and exchange the code for tokens
+     * @param {String} currentUrl - the url the Hosted UI redirected to
+     * @return - A promise resolves to the idToken, accessToken and refreshToken
+     */
+    public handleAuthResponse(currentUrl: string): Promise<any> {
+        const { query } = url.parse(currentUrl, true);
+        if (query.error) {
+            return Promise.reject(new Error(query.error_description || query.error));
+        }
+
+        const state = this._storage.getItem(STATE_KEY);
+        const codeVerifier = this._storage.getItem(PKCE_KEY);
+        this._storage.removeItem(STATE_KEY);
+        this._storage.removeItem(PKCE_KEY);
+
+        if (!query.code) { return Promise.reject(new Error('No authorization code in the response')); }
+        if (!state || state !== query.state) {
+            return Promise.reject(new Error('Invalid state in the response'));
+        }
+
+        const { redirectSignIn } = this._config;
+        const body = {
+            grant_type: 'authorization_code',
+            client_id: this._cognitoClientId,
+            code: query.code,
+            redirect_uri: redirectSignIn,
+            code_verifier: codeVerifier
+        };
+
+        const tokenUrl = this._endpoint('/oauth2/token');
+        logger.debug('exchange the authorization code at ' + tokenUrl);
+        return axios({
+            method: 'POST',
+            url: tokenUrl,
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            data: this._toQueryString(body)
+        }).then(response => {
+            const data = response.data || {};
+            if (data.error) { throw new Error(data.error); }
+            return {
+                idToken: data.id_token,
+                accessToken: data.access_token,
+                refreshToken: data.refresh_token,
+                state: query.state
+            };
+        });
+    }
+
+    /**
+     * Redirect to the Hosted UI /logout endpoint, which ends the Hosted UI session
+     * and redirects back to redirectSignOut
+     * @return - the logout url
+     */
+    public signOut(): string {
+        const { redirectSignOut } = this._config;
+        const logoutUrl = this._endpoint('/logout') + '?' + this._toQueryString({
+            client_id: this._cognitoClientId,
+            logout_uri: redirectSignOut
+        });
+        this._urlOpener(logoutUrl, redirectSignOut);
+        return logoutUrl;
+    }
+
+    /**
+     * @param {String} path - the path of the Hosted UI endpoint
+     * @return - the url on the domain, https unless the domain comes with its scheme,
+     * e.g. http://localhost:9229 for a local test endpoint
+     */
+    private _endpoint(path: string): string {
+        const { domain } = this._config;
+        const origin = /^https?:\/\//.test(domain) ? domain : 'https://' + domain;
+        return origin.replace(/\/+$/, '') + path;
+    }
+
+    private _toQueryString(params: object): string {
+        return Object.keys(params)
+            .map(key => encodeURIComponent(key) + '=' + encodeURIComponent(params[key]))
+            .join('&');
+    }
+
+    private _generateChallenge(codeVerifier: string): string {
+        const digest = AWS['util'].crypto.createHash('sha256').update(codeVerifier, 'utf8').digest('base64');
+        return digest.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    private _generateRandom(size: number): string {
+        // bytes above the last whole multiple of the charset length are dropped,
+        // so that every character is equally likely
+        const limit = 256 - (256 % CHARSET.length);
+        let result = '';
+        while (result.length < size) {
+            const bytes = this._randomBytes(size);
+            for (let i = 0; i < bytes.length && result.length < size; i += 1) {
+                if (bytes[i] < limit) { result += CHARSET.charAt(bytes[i] % CHARSET.length); }
+            }
+        }
+        return result;
+    }
+
+    private _randomBytes(size: number): ArrayLike<number> {
+        const cryptoObj = typeof window !== 'undefined' && (window.crypto || window['msCrypto']);
+        if (cryptoObj && cryptoObj.getRandomValues) {
+            return cryptoObj.getRandomValues(new Uint8Array(size));
+        }
+        // the crypto module of Node.js, it throws where no secure generator is available
+        return AWS['util'].crypto.lib.randomBytes(size);
+    }
+}
@@ -0,0 +1,101 @@
+/*
+ * Copyright 2017-2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
+ * the License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
+ * and limitations under the License.
+ */
+
+import { CookieStorageOptions } from './types';
+import { MemoryStorage } from './TokenStorage';
+
+import { ConsoleLogger as Logger } from '../Common';
+
+const logger = new Logger('RequestStorage');
+
+const decode = (text: string) => {
+    try {
+        return decodeURIComponent(text);
+    } catch (e) {
+        logger.debug('invalid cookie encoding', text);
+        return text;
+    }
+};
+
+/**
+* Parse a Cookie header
+* @param {String} header - e.g. 'a=1; b=2'
+* @return - the cookie values by name
+*/
+export function parseCookies(header: string): { [name: string]: string } {
+    const cookies = {};
+    if (!header) { return cookies; }
+
+    header.split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index < 0) { return; }
+        const name = decode(pair.slice(0, index).trim());
+        const value = pair.slice(index + 1).trim().replace(/^"(.*)"$/, '$1');
+        cookies[name] = decode(value);
+    });
+    return cookies;
+}
+
+/**
+* Build a Set-Cookie header the CookieStorage of the browser can read
+* @param {String} name - the cookie name
+* @param {String} value - the cookie value
+* @param {Object} options - domain, path, secure
+* @param {Date} expires - when the cookie expires
+*/
+export function serializeCookie(name: string, value: string, options: CookieStorageOptions, expires: Date): string {
+    const parts = [encodeURIComponent(name) + '=' + encodeURIComponent(value)];
+    if (options.domain) { parts.push('Domain=' + options.domain); }
+    parts.push('Path=' + (options.path || '/'));
+    parts.push('Expires=' + expires.toUTCString());
+    if (options.secure !== false) { parts.push('Secure'); }
+    return parts.join('; ');
+}
+
+/**
+* In memory storage of a single server side request, seeded from its cookies.
+* It tells which cookies to send back after the session was refreshed.
+*/
+export default class RequestStorage extends MemoryStorage {
+    private _initial: { [name: string]: string };
+
+    /**
+     * @param {String | Object} cookies - the Cookie header, or the cookie values by name
+     */
+    constructor(cookies?: string | { [name: string]: string }) {
+        super();
+        this._initial = typeof cookies === 'string'? parseCookies(cookies) : Object.assign({}, cookies);
+        Object.keys(this._initial).forEach(name => this.setItem(name, this._initial[name]));
+    }
+
+    /**
+     * @param {Object} options - the cookieStorage options of Auth, expires in days defaults to 365
+     * @return - the Set-Cookie headers of the items set or removed since the request came in
+     */
+    public setCookieHeaders(options?: CookieStorageOptions): string[] {
+        const cookieOptions = Object.assign({}, options);
+        const days = cookieOptions.expires === undefined? 365 : cookieOptions.expires;
+        const expires = new Date(new Date().getTime() + days * 24 * 60 * 60 * 1000);
+
+        const names = Object.keys(this._data)
+            .concat(Object.keys(this._initial).filter(name => !this._data.hasOwnProperty(name)));
+        return names
+            .filter(name => this.getItem(name) !== (this._initial.hasOwnProperty(name)? this._initial[name] : null))
+            .map(name => {
+                const value = this.getItem(name);
+                return value === null
+                    ? serializeCookie(name, '', cookieOptions, new Date(0))
+                    : serializeCookie(name, value, cookieOptions, expires);
+            });
+    }
+}
@@ -0,0 +1,262 @@
+/*
+ * Copyright 2017-2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
+ * the License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
+ * and limitations under the License.
+ */
+
+import { ConsoleLogger as Logger } from '../Common';
+import { ActivityTracker, AuthOptions } from './types';
+
+const logger = new Logger('SessionTimeout');
+
+const STORAGE_KEY = 'sessionTimeout';
+// warn this long before signing out, unless configured
+const DEFAULT_WARNING_TIME = 60 * 1000;
+// write the idle deadline at most this often while the user is active
+const PERSIST_INTERVAL = 5 * 1000;
+const MAX_TIMEOUT = 0x7FFFFFFF;
+// the deadlines have to outlive the default TTL of the Cache
+const NEVER_EXPIRES = 8640000000000000;
+const DOM_EVENTS = ['mousedown', 'mousemove', 'keydown', 'touchstart', 'scroll', 'wheel'];
+
+export interface SessionDeadlines {
+    idleExpiresAt: number,
+    maxExpiresAt: number,
+}
+
+export interface SessionTimeoutHandlers {
+    // called sessionTimeoutWarning milliseconds before onTimeout
+    onWarning: (reason: string, expiresAt: number) => void,
+    onTimeout: (reason: string, expiresAt: number) => void,
+}
+
+/**
+* Track the activity through the DOM events of the window
+*/
+export const domActivityTracker: ActivityTracker = (onActivity) => {
+    DOM_EVENTS.forEach(event => window.addEventListener(event, onActivity, true));
+    return () => {
+        DOM_EVENTS.forEach(event => window.removeEventListener(event, onActivity, true));
+    };
+};
+
+/**
+* Track the activity through the AppState of React Native, the app going to
+* the background or coming back counts as activity. Touches do not, the app
+* reports them with Auth.recordActivity
+* @param {Object} AppState - the AppState module of react-native
+* @return - the activity tracker
+*/
+export const appStateActivityTracker = (AppState): ActivityTracker => (onActivity) => {
+    const listener = () => onActivity();
+    AppState.addEventListener('change', listener);
+    return () => { AppState.removeEventListener('change', listener); };
+};
+
+const defaultTracker = (): ActivityTracker => {
+    if (typeof window === 'undefined' || typeof window.addEventListener !== 'function') { return null; }
+    return domActivityTracker;
+};
+
+/**
+* Sign out after a period of inactivity and after a maximum session age. The deadlines
+* are persisted so that they survive reloads
+*/
+export default class SessionTimeout {
+    private _idleTimeout: number = null;
+    private _maxSessionAge: number = null;
+    private _warningTime: number = DEFAULT_WARNING_TIME;
+    private _tracker: ActivityTracker = null;
+    private _cache: any = null;
+    private _handlers: SessionTimeoutHandlers;
+
+    private _deadlines: SessionDeadlines = null;
+    private _persistedAt = 0;
+    private _warnedAt: number = null; // the deadline warned about
+    private _timer = null;
+    private _untrack: () => void = null;
+
+    /**
+     * @param {Object} handlers - called when the session is about to time out and when it timed out
+     */
+    constructor(handlers: SessionTimeoutHandlers) {
+        this._handlers = handlers;
+    }
+
+    /**
+     * @param {Object} options - the Auth options, idleTimeout and maxSessionAge in milliseconds
+     * @param {Object} cache - where to persist the deadlines
+     */
+    public configure(options: AuthOptions, cache) {
+        const { idleTimeout, maxSessionAge, sessionTimeoutWarning, activityTracker, ssr } = options;
+        // a server side instance lives for a single request
+        this._idleTimeout = ssr ? null : idleTimeout || null;
+        this._maxSessionAge = ssr ? null : maxSessionAge || null;
+        this._warningTime = sessionTimeoutWarning !== undefined ? sessionTimeoutWarning : DEFAULT_WARNING_TIME;
+        this._cache = cache;
+
+        const tracker = activityTracker || defaultTracker();
+        if (tracker !== this._tracker) {
+            this.unwatch();
+            this._tracker = tracker;
+        }
+
+        if (!this.enabled()) {
+            this.unwatch();
+            this._deadlines = null;
+        } else if (this._deadlines) {
+            this.watch();
+        }
+    }
+
+    /**
+     * Start the deadlines of a new session
+     */
+    public start() {
+        if (!this.enabled()) { return; }
+
+        const now = new Date().getTime();
+        this._deadlines = {
+            idleExpiresAt: this._idleTimeout ? now + this._idleTimeout : null,
+            maxExpiresAt: this._maxSessionAge ? now + this._maxSessionAge : null
+        };
+        this.persist(now);
+        this.watch();
+    }
+
+    /**
+     * Pick up the deadlines of the session persisted before a reload
+     */
+    public resume() {
+        if (!this.enabled() || this._deadlines) { return; }
+
+        const persisted: SessionDeadlines = this._cache.getItem(STORAGE_KEY);
+        if (!persisted) {
+            logger.debug('no deadlines persisted, start them now');
+            this.start();
+            return;
+        }
+
+        const now = new Date().getTime();
+        // the options may have changed since the sign in
+        this._deadlines = {
+            idleExpiresAt: this._idleTimeout ? persisted.idleExpiresAt || now + this._idleTimeout : null,
+            maxExpiresAt: this._maxSessionAge ? persisted.maxExpiresAt || now + this._maxSessionAge : null
+        };
+        this.watch();
+    }
+
+    /**
+     * Extend the idle deadline, for the activity the tracker does not see
+     */
+    public recordActivity() {
+        this.onActivity();
+    }
+
+    /**
+     * Drop the deadlines of the session on sign out
+     */
+    public stop() {
+        this.unwatch();
+        this._deadlines = null;
+        this._warnedAt = null;
+        if (this._cache) { this._cache.removeItem(STORAGE_KEY); }
+    }
+
+    private enabled() {
+        return !!(this._idleTimeout || this._maxSessionAge);
+    }
+
+    private watch() {
+        if (!this._untrack && this._tracker && this._idleTimeout) {
+            this._untrack = this._tracker(() => this.onActivity());
+        }
+        this.check();
+    }
+
+    private unwatch() {
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+        if (this._untrack) {
+            this._untrack();
+            this._untrack = null;
+        }
+    }
+
+    private persist(now: number) {
+        this._persistedAt = now;
+        this._cache.setItem(STORAGE_KEY, this._deadlines, { priority: 1, expires: NEVER_EXPIRES });
+    }
+
+    private onActivity() {
+        if (!this._deadlines || !this._idleTimeout) { return; }
+
+        const now = new Date().getTime();
+        // timers are late while the device sleeps or the app is in the background
+        if (this.nextDeadline().expiresAt <= now) {
+            this.check();
+            return;
+        }
+
+        this._deadlines.idleExpiresAt = now + this._idleTimeout;
+        if (now - this._persistedAt >= PERSIST_INTERVAL) { this.persist(now); }
+        // the timer checks the new deadline when it fires
+    }
+
+    private nextDeadline(): { reason: string, expiresAt: number } {
+        const { idleExpiresAt, maxExpiresAt } = this._deadlines;
+        if (idleExpiresAt && (!maxExpiresAt || idleExpiresAt < maxExpiresAt)) {
+            return { reason: 'idle', expiresAt: idleExpiresAt };
+        }
+        return { reason: 'maxSessionAge', expiresAt: maxExpiresAt };
+    }
+
+    private check() {
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+        if (!this._deadlines) { return; }
+
+        // the user may be active in another window
+        const persisted: SessionDeadlines = this._cache.getItem(STORAGE_KEY);
+        if (persisted && persisted.idleExpiresAt > this._deadlines.idleExpiresAt) {
+            this._deadlines.idleExpiresAt = persisted.idleExpiresAt;
+        }
+
+        const now = new Date().getTime();
+        const { reason, expiresAt } = this.nextDeadline();
+        if (expiresAt <= now) {
+            logger.debug('session timed out', reason);
+            this.stop();
+            this._handlers.onTimeout(reason, expiresAt);
+            return;
+        }
+
+        const warnAt = expiresAt - this._warningTime;
+        if (warnAt <= now && this._warnedAt !== expiresAt) {
+            this._warnedAt = expiresAt;
+            this._handlers.onWarning(reason, expiresAt);
+        }
+
+        const delay = (warnAt > now ? warnAt : expiresAt) - now;
+        this._timer = setTimeout(
+            () => {
+                this._timer = null;
+                this.check();
+            },
+            Math.min(delay, MAX_TIMEOUT)
+        );
+        // do not keep a node process alive just to sign out
+        if (this._timer.unref) { this._timer.unref(); }
+    }
+}
@@ -0,0 +1,120 @@
+/*
+ * Copyright 2017-2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
+ * the License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
+ * and limitations under the License.
+ */
+
+import { AuthStorage, CookieStorageOptions } from './types';
+
+import {
+    Cognito,
+    ConsoleLogger as Logger
+} from '../Common';
+
+const logger = new Logger('TokenStorage');
+
+export const KEY_PREFIX = 'aws-amplify-auth.';
+
+/**
+* Keeps the items for the lifetime of the instance only
+*/
+export class MemoryStorage implements AuthStorage {
+    protected _data = {};
+
+    public setItem(key: string, value: string) { this._data[key] = value; }
+
+    public getItem(key: string): string {
+        return Object.prototype.hasOwnProperty.call(this._data, key) ? this._data[key] : null;
+    }
+
+    public removeItem(key: string) { delete this._data[key]; }
+
+    public clear() { this._data = {}; }
+}
+
+/**
+* The part of the Cache interface Auth uses, on top of the configured storage,
+* so that e.g. federatedInfo lands in the same place as the user pool tokens
+*/
+export class TokenStorageCache {
+    private _storage: AuthStorage;
+    private _keyPrefix: string;
+
+    /**
+     * @param {Object} storage - the storage to keep the items in
+     * @param {String} keyPrefix - optional, the prefix of the keys of the items
+     */
+    constructor(storage: AuthStorage, keyPrefix = KEY_PREFIX) {
+        this._storage = storage;
+        this._keyPrefix = keyPrefix;
+    }
+
+    public setItem(key: string, value: any, options?: object) {
+        this._storage.setItem(this._keyPrefix + key, JSON.stringify(value));
+    }
+
+    public getItem(key: string): any {
+        const text = this._storage.getItem(this._keyPrefix + key);
+        if (!text) { return null; }
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            logger.debug('invalid item in storage ' + key, e);
+            return null;
+        }
+    }
+
+    public removeItem(key: string) {
+        this._storage.removeItem(this._keyPrefix + key);
+    }
+}
+
+const browserStorage = (name: string): AuthStorage => {
+    try {
+        const storage = window[name];
+        storage.setItem('aws.amplify.test-storage', '1');
+        storage.removeItem('aws.amplify.test-storage');
+        return storage;
+    } catch (e) {
+        logger.warn(name + ' is not available, keep the tokens in memory');
+        return new MemoryStorage();
+    }
+};
+
+/**
+* Resolve the storage option of Auth.configure
+* @param {String | Object} storage - localStorage, sessionStorage, memory, cookie, or a storage object
+* @param {Object} cookieStorage - the options of the cookies, domain is required
+* @return - the storage object
+*/
+export function resolveStorage(storage: string | AuthStorage, cookieStorage?: CookieStorageOptions): AuthStorage {
+    if (typeof storage !== 'string') {
+        if (!storage || typeof storage.getItem !== 'function'
+            || typeof storage.setItem !== 'function' || typeof storage.removeItem !== 'function') {
+            throw new Error('Storage must implement getItem, setItem and removeItem');
+        }
+        return storage;
+    }
+
+    switch (storage) {
+        case 'localStorage':
+        case 'sessionStorage':
+            return browserStorage(storage);
+        case 'memory':
+            return new MemoryStorage();
+        case 'cookie':
+            if (!cookieStorage || !cookieStorage.domain) {
+                throw new Error('cookieStorage.domain is required to keep the tokens in cookies');
+            }
+            return new Cognito.CookieStorage(cookieStorage);
+        default:
+            throw new Error('Storage not supported: ' + storage);
+    }
+}
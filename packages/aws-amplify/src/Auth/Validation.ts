@@ -0,0 +1,179 @@
+/*
+ * Copyright 2017-2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
+ * the License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
+ * and limitations under the License.
+ */
+
+import { AttributeSchema, PasswordPolicy, ValidationFailure } from './types';
+
+// the special characters of the Cognito password policy
+const SYMBOLS = /[\^$*.\[\]{}()?"!@#%&\/\\,><':;|_~`=+\-]/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// digits with the usual separators, what users type as a phone number
+const PHONE_LIKE = /^\s*\+?[\d\s().-]*\d[\d\s().-]*$/;
+const E164 = /^\+[1-9]\d{6,14}$/;
+// national numbers are at least 7 digits and E.164 numbers at most 15
+const PHONE_DIGITS = /^\d{7,15}$/;
+
+const PASSWORD_RULES = [
+    {
+        rule: 'minimumLength',
+        test: (password: string, policy: PasswordPolicy) => password.length >= policy.minimumLength,
+        message: (policy: PasswordPolicy) => `Password must have at least ${policy.minimumLength} characters`
+    },
+    {
+        rule: 'requireLowercase',
+        test: (password: string) => /[a-z]/.test(password),
+        message: () => 'Password must have lowercase characters'
+    },
+    {
+        rule: 'requireUppercase',
+        test: (password: string) => /[A-Z]/.test(password),
+        message: () => 'Password must have uppercase characters'
+    },
+    {
+        rule: 'requireNumbers',
+        test: (password: string) => /[0-9]/.test(password),
+        message: () => 'Password must have numeric characters'
+    },
+    {
+        rule: 'requireSymbols',
+        test: (password: string) => SYMBOLS.test(password),
+        message: () => 'Password must have symbol characters'
+    }
+];
+
+/**
+* Check a password against the rules of a password policy
+* @param {String} password - the password
+* @param {Object} policy - the password policy, no rules when not set
+* @return - the rules the password breaks, empty when it is valid
+*/
+export function validatePassword(password: string, policy: PasswordPolicy): ValidationFailure[] {
+    if (!policy) { return []; }
+    const value = password || '';
+    return PASSWORD_RULES
+        .filter(({ rule }) => policy[rule])
+        .filter(({ test }) => !test(value, policy))
+        .map(({ rule, message }) => ({ rule, message: message(policy) }));
+}
+
+/**
+* Check sign up attributes against an attribute schema
+* @param {Object} attributes - the attribute values by name
+* @param {Object} schema - the rules by attribute name, no rules when not set
+* @return - the rules the attributes break, empty when they are valid
+*/
+export function validateAttributes(
+    attributes: { [name: string]: string },
+    schema: AttributeSchema
+): ValidationFailure[] {
+    if (!schema) { return []; }
+    const values = attributes || {};
+    const failures: ValidationFailure[] = [];
+    Object.keys(schema).forEach(attribute => {
+        const { required, minLength, maxLength, pattern } = schema[attribute];
+        const value = values[attribute];
+        if (value === undefined || value === null || value === '') {
+            if (required) { failures.push({ attribute, rule: 'required', message: `${attribute} is required` }); }
+            return;
+        }
+
+        const str = String(value);
+        if (minLength && str.length < minLength) {
+            failures.push({
+                attribute,
+                rule: 'minLength',
+                message: `${attribute} must have at least ${minLength} characters`
+            });
+        }
+        if (maxLength && str.length > maxLength) {
+            failures.push({
+                attribute,
+                rule: 'maxLength',
+                message: `${attribute} must have at most ${maxLength} characters`
+            });
+        }
+        if (pattern && !pattern.test(str)) {
+            failures.push({ attribute, rule: 'pattern', message: `${attribute} is not valid` });
+        }
+    });
+    return failures;
+}
+
+/**
+* Normalize an email address to lower case
+* @param {String} email - the email address
+* @return - the normalized email address, null when it is malformed
+*/
+export function normalizeEmail(email: string): string {
+    const value = (email || '').trim().toLowerCase();
+    return EMAIL.test(value) ? value : null;
+}
+
+/**
+* Normalize a phone number to E.164, e.g. +12065551234
+* @param {String} phoneNumber - the phone number, with or without the country code
+* @param {String} defaultCountryCode - optional, the country code of numbers not starting with + or 00,
+* e.g. 1 or +1, which replaces their national trunk prefix 0
+* @return - the normalized phone number, null when it is malformed or has no country code
+*/
+export function normalizePhoneNumber(phoneNumber: string, defaultCountryCode?: string): string {
+    if (!PHONE_LIKE.test(phoneNumber || '')) { return null; }
+    const trimmed = phoneNumber.trim();
+    const digits = trimmed.replace(/\D/g, '');
+
+    let value: string = null;
+    if (trimmed.charAt(0) === '+') {
+        value = '+' + digits;
+    } else if (trimmed.indexOf('00') === 0) {
+        value = '+' + digits.substring(2);
+    } else if (defaultCountryCode) {
+        const countryCode = defaultCountryCode.replace(/\D/g, '');
+        value = '+' + countryCode + digits.replace(/^0/, '');
+    }
+    return value && E164.test(value) ? value : null;
+}
+
+/**
+* Whether a username is meant as a phone number: it starts with + or 00,
+* or it has as many digits as a phone number, so short numeric usernames are not
+* @param {String} username - the username as the user typed it
+* @return - true if the username should be normalized as a phone number
+*/
+function isPhoneNumberLike(username: string): boolean {
+    if (!PHONE_LIKE.test(username)) { return false; }
+    const trimmed = username.trim();
+    if (trimmed.charAt(0) === '+' || trimmed.indexOf('00') === 0) { return true; }
+    return PHONE_DIGITS.test(trimmed.replace(/\D/g, ''));
+}
+
+/**
+* Normalize a username which may be an email address or a phone number
+* @param {String} username - the username as the user typed it
+* @param {String[]} usernameAttributes - the attributes users sign in with, email and phone_number
+* @param {String} defaultCountryCode - optional, the country code of phone numbers without one
+* @return - the normalized username and the attribute it looks like, null as username
+* when it looks like that attribute but is malformed
+*/
+export function normalizeUsername(
+    username: string,
+    usernameAttributes: string[],
+    defaultCountryCode?: string
+): { username: string, attribute: string } {
+    const attributes = usernameAttributes || [];
+    if (attributes.indexOf('email') !== -1 && username.indexOf('@') !== -1) {
+        return { username: normalizeEmail(username), attribute: 'email' };
+    }
+    if (attributes.indexOf('phone_number') !== -1 && isPhoneNumberLike(username)) {
+        return { username: normalizePhoneNumber(username, defaultCountryCode), attribute: 'phone_number' };
+    }
+    return { username, attribute: null };
+}
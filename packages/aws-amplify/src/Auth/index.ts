@@ -26,3 +26,6 @@ if (!_instance) {
 
 const Auth = _instance;
 export default Auth;
+export { default as AuthError, AuthErrorCodes } from './AuthError';
+export { domActivityTracker, appStateActivityTracker } from './SessionTimeout';
+export { AuthEvent, AuthEventPayload } from './types';
@@ -28,6 +28,217 @@ export interface AuthOptions {
     userPoolWebClientId: string,
     identityPoolId: string,
     region?: string,
+    authenticationFlowType?: string,
+    oauth?: OAuthOptions,
+    federationProviders?: { [name: string]: FederationProvider | string },
+    storage?: 'localStorage' | 'sessionStorage' | 'memory' | 'cookie' | AuthStorage,
+    cookieStorage?: CookieStorageOptions,
+    // server side instance, no global state or background refresh
+    ssr?: boolean,
+    // the role of the user pool users, the identity pool picks it by default
+    roleResolution?: 'preferred' | RoleResolver,
+    // sign out after this many milliseconds without activity
+    idleTimeout?: number,
+    // sign out this many milliseconds after the sign in
+    maxSessionAge?: number,
+    // milliseconds between the sessionTimeoutWarning event and the sign out, one minute by default
+    sessionTimeoutWarning?: number,
+    // DOM events of the window by default
+    activityTracker?: ActivityTracker,
+    // checked before signUp, completeNewPassword and forgotPasswordSubmit call the user pool
+    passwordPolicy?: PasswordPolicy,
+    // checked before signUp calls the user pool
+    signUpAttributes?: AttributeSchema,
+    // usernames which look like these attributes are normalized, email to lower case and phone_number to E.164
+    usernameAttributes?: ('email' | 'phone_number')[],
+    // country code of the phone numbers typed without one, e.g. 1 or +1
+    defaultCountryCode?: string,
+    // retries, timeout, fetch, userAgent and hooks of the requests to the user pool
+    clientOptions?: object,
+}
+
+/**
+* Events Auth dispatches on the auth channel of Hub
+*/
+export type AuthEvent =
+    'signUp' | 'signUp_failure' | 'confirmSignUp' |
+    'signIn' | 'signIn_failure' | 'mfaRequired' | 'completeNewPassword' | 'federatedSignIn' | 'switchUser' |
+    'forgotPassword' | 'forgotPasswordSubmit' | 'changePassword' | 'deleteUserAttributes' |
+    'tokenRefresh' | 'tokenRefresh_failure' | 'credentialsChanged' |
+    'sessionTimeoutWarning' | 'sessionTimeout' |
+    'signOut' | 'globalSignOut' | 'globalSignOut_failure' | 'userDeleted';
+
+/**
+* Payload of the auth channel of Hub
+*/
+export interface AuthEventPayload {
+    event: AuthEvent,
+    data: any,
+}
+
+/**
+* Data of the confirmSignUp, forgotPassword and forgotPasswordSubmit events
+*/
+export interface UsernameEventData {
+    username: string,
+    // where the code was sent, for forgotPassword
+    codeDeliveryDetails?: object,
+}
+
+/**
+* Data of the federatedSignIn event
+*/
+export interface FederatedSignInEventData {
+    provider: string,
+    user: object,
+}
+
+/**
+* Data of the credentialsChanged event, the keys themselves are left out
+*/
+export interface CredentialsChangedEventData {
+    // aws, guest, userPool or federated
+    source: string,
+    authenticated: boolean,
+    identityId: string,
+    expiration: Date,
+}
+
+/**
+* Password policy, the same rules as the policy of the user pool
+*/
+export interface PasswordPolicy {
+    minimumLength?: number,
+    requireLowercase?: boolean,
+    requireUppercase?: boolean,
+    requireNumbers?: boolean,
+    requireSymbols?: boolean,
+}
+
+/**
+* Rules of the sign up attributes by attribute name
+*/
+export interface AttributeSchema {
+    [name: string]: {
+        required?: boolean,
+        minLength?: number,
+        maxLength?: number,
+        pattern?: RegExp,
+    };
+}
+
+/**
+* A rule a password or an attribute breaks
+*/
+export interface ValidationFailure {
+    rule: string,
+    message: string,
+    // the attribute, for the sign up attributes
+    attribute?: string,
+}
+
+/**
+* Call onActivity whenever the user is active, return a function which stops tracking
+*/
+export type ActivityTracker = (onActivity: () => void) => () => void;
+
+export interface RoleClaims {
+    groups: string[],
+    roles: string[],
+    preferredRole?: string,
+    claims: object
+}
+
+/**
+* Return the ARN of the role to assume, undefined for the role the identity pool picks
+*/
+export type RoleResolver = (claims: RoleClaims) => string;
+
+/**
+* Tokens of a user pool session
+*/
+export interface SessionTokens {
+    idToken: string,
+    accessToken: string,
+    refreshToken?: string,
+}
+
+/**
+* Session of a server side request
+*/
+export interface RequestSession {
+    // the Cookie header, or the cookie values by name
+    cookies?: string | { [name: string]: string },
+    tokens?: SessionTokens,
+}
+
+/**
+* Storage for the tokens and the federated info
+*/
+export interface AuthStorage {
+    setItem(key: string, value: string): void,
+    getItem(key: string): string,
+    removeItem(key: string): void,
+    clear?(): void,
+}
+
+/**
+* Options of the cookies when the storage is cookie
+*/
+export interface CookieStorageOptions {
+    domain: string,
+    path?: string,
+    expires?: number,
+    secure?: boolean,
+}
+
+/**
+* Response of an identity provider passed to Auth.federatedSignIn
+*/
+export interface FederatedResponse {
+    token: string,
+    expires_at?: number,
+    identity_id?: string,
+}
+
+/**
+* Identity provider for Auth.federatedSignIn
+*/
+export interface FederationProvider {
+    // key of the Cognito Identity Logins map: issuer domain, SAML provider ARN, or e.g. api.twitter.com
+    domain?: string,
+    // developer authenticated identity, the token is the OpenID token issued to the identity
+    developer?: boolean,
+    // resolves to a fresh response when the token is about to expire
+    refreshHandler?: () => Promise<FederatedResponse>,
+}
+
+/**
+* Options for the Cognito Hosted UI
+*/
+export interface OAuthOptions {
+    domain: string,
+    scope: string[],
+    redirectSignIn: string,
+    redirectSignOut: string,
+    // only code, the authorization code grant, is supported
+    responseType?: string,
+}
+
+/**
+* Options for sign in
+*/
+export interface SignInOptions {
+    authenticationFlowType?: string,
+}
+
+/**
+* Options for sign out
+*/
+export interface SignOutOptions {
+    global?: boolean,
+    // sign out this user only, the current user by default
+    username?: string,
 }
 
 /**
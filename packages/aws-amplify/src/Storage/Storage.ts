@@ -71,11 +71,11 @@ export default class StorageClass {
     /**
     * Get a presigned URL of the file
     * @param {String} key - key of the object
-    * @param {Object} [options] - { level : private|public }
+    * @param {Object} [options] - { level : private|public, credentials }
     * @return - A promise resolves to Amazon S3 presigned URL on success
     */
     public async get(key: string, options) :Promise<Object> {
-        const credentialsOK = await this._ensureCredentials();
+        const credentialsOK = await this._ensureCredentials(options);
         if (!credentialsOK) { return Promise.reject('No credentials'); }
 
         const opt = Object.assign({}, this._options, options);
@@ -134,11 +134,11 @@ export default class StorageClass {
      * Put a file in S3 bucket specified to configure method
      * @param {Stirng} key - key of the object
      * @param {Object} object - File to be put in Amazon S3 bucket
-     * @param {Object} [options] - { level : private|public, contentType: MIME Types }
+     * @param {Object} [options] - { level : private|public, contentType: MIME Types, credentials }
      * @return - promise resolves to object on success
      */
     public async put(key:string, object, options): Promise<Object> {
-        const credentialsOK = await this._ensureCredentials();
+        const credentialsOK = await this._ensureCredentials(options);
         if (!credentialsOK) { return Promise.reject('No credentials'); }
 
         const opt = Object.assign({}, this._options, options);
@@ -183,11 +183,11 @@ export default class StorageClass {
     /**
      * Remove the object for specified key
      * @param {String} key - key of the object
-     * @param {Object} [options] - { level : private|public }
+     * @param {Object} [options] - { level : private|public, credentials }
      * @return - Promise resolves upon successful removal of the object
      */ 
     public async remove(key: string, options) :Promise<any> {
-        const credentialsOK = await this._ensureCredentials();
+        const credentialsOK = await this._ensureCredentials(options);
         if (!credentialsOK) { return Promise.reject('No credentials'); }
 
         const opt = Object.assign({}, this._options, options, );
@@ -225,11 +225,11 @@ export default class StorageClass {
     /**
      * List bucket objects relative to the level and prefix specified
      * @param {String} path - the path that contains objects
-     * @param {Object} [options] - { level : private|public }
+     * @param {Object} [options] - { level : private|public, credentials }
      * @return - Promise resolves to list of keys for all objects in path
      */
     public async list(path, options) : Promise<any> {
-        const credentialsOK = await this._ensureCredentials();
+        const credentialsOK = await this._ensureCredentials(options);
         if (!credentialsOK) { return Promise.reject('No credentials'); }
 
         const opt = Object.assign({}, this._options, options);
@@ -277,11 +277,14 @@ export default class StorageClass {
     /**
      * @private
      */
-    _ensureCredentials() {
+    _ensureCredentials(options?) {
         // commented
         // will cause bug if another user logged in without refreshing page
         // if (this._options.credentials) { return Promise.resolve(true); }
 
+        // given with the call, e.g. by a server side Auth instance
+        if (options && options.credentials) { return Promise.resolve(true); }
+
         return Auth.currentCredentials()
             .then(credentials => {
                 const cred = Auth.essentialCredentials(credentials);
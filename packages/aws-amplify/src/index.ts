@@ -11,7 +11,14 @@
  * and limitations under the License.
  */
 
-import Auth from './Auth';
+import Auth, {
+    AuthError,
+    AuthErrorCodes,
+    AuthEvent,
+    AuthEventPayload,
+    domActivityTracker,
+    appStateActivityTracker
+} from './Auth';
 import Analytics from './Analytics';
 import Storage from './Storage';
 import API from './API';
@@ -58,4 +65,22 @@ Amplify.Cache = Cache;
 
 Amplify.Logger = Logger;
 
-export { Auth, Analytics, Storage, API, I18n, Logger, Hub, Cache, JS, ClientDevice, Signer };
+export {
+    Auth,
+    AuthError,
+    AuthErrorCodes,
+    AuthEvent,
+    AuthEventPayload,
+    domActivityTracker,
+    appStateActivityTracker,
+    Analytics,
+    Storage,
+    API,
+    I18n,
+    Logger,
+    Hub,
+    Cache,
+    JS,
+    ClientDevice,
+    Signer
+};